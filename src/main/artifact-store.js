@@ -0,0 +1,187 @@
+/**
+ * Artifact Store
+ *
+ * Screenshots and DOM snapshots taken during runs. The files live in a
+ * directory of their own (one file per artifact) and the table keeps
+ * what they belong to: run, record, step and the log line that
+ * references them (run_logs.screenshot_id / snapshot_id).
+ *
+ * Retention: artifacts older than maxAgeDays are removed, and when the
+ * files together exceed maxTotalBytes the oldest go first. Limits are
+ * enforced on start-up and after every save; log lines keep their ids, so
+ * a removed artifact simply reads as gone.
+ *
+ * Table: artifacts
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KINDS = {
+    screenshot: { mimeType: 'image/jpeg', extension: 'jpg' },
+    dom: { mimeType: 'text/html', extension: 'html' }
+};
+
+const DEFAULT_MAX_AGE_DAYS = 14;
+const DEFAULT_MAX_TOTAL_BYTES = 500 * 1024 * 1024;
+
+class ArtifactStore {
+    /**
+     * @param {import('better-sqlite3').Database} db
+     * @param {Object} options - { dir (required), maxAgeDays, maxTotalBytes }
+     */
+    constructor(db, options = {}) {
+        if (!options.dir) {
+            throw new Error('Artifact dizini belirtilmedi');
+        }
+        this.db = db;
+        this.dir = options.dir;
+        this.maxAgeDays = options.maxAgeDays ?? DEFAULT_MAX_AGE_DAYS;
+        this.maxTotalBytes = options.maxTotalBytes ?? DEFAULT_MAX_TOTAL_BYTES;
+        this.init();
+    }
+
+    init() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS artifacts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                run_id INTEGER,
+                record_index INTEGER,
+                step_id INTEGER,
+                kind TEXT NOT NULL,
+                mime_type TEXT NOT NULL,
+                file_name TEXT NOT NULL,
+                size INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_artifacts_run ON artifacts (run_id);
+        `);
+        try {
+            this.prune();
+        } catch (error) {
+            console.warn('⚠️ Eski artifact\'lar temizlenemedi:', error.message);
+        }
+    }
+
+    /**
+     * @param {Object} artifact - { runId, recordIndex, stepId, kind: 'screenshot'|'dom',
+     *   content: Buffer (screenshot) | string (dom) }
+     * @returns {number} artifact id
+     */
+    save(artifact) {
+        const kind = KINDS[artifact.kind];
+        if (!kind) {
+            throw new Error(`Bilinmeyen artifact türü: ${artifact.kind}`);
+        }
+        const content = Buffer.isBuffer(artifact.content)
+            ? artifact.content
+            : Buffer.from(artifact.content || '', 'utf8');
+
+        const id = this.db.prepare(`
+            INSERT INTO artifacts (run_id, record_index, step_id, kind, mime_type, file_name, size)
+            VALUES (?, ?, ?, ?, ?, '', ?)
+        `).run(
+            artifact.runId ?? null,
+            artifact.recordIndex ?? null,
+            artifact.stepId ?? null,
+            artifact.kind,
+            kind.mimeType,
+            content.length
+        ).lastInsertRowid;
+
+        const fileName = `${id}-${artifact.kind}.${kind.extension}`;
+        try {
+            fs.writeFileSync(path.join(this.dir, fileName), content);
+            this.db.prepare('UPDATE artifacts SET file_name = ? WHERE id = ?').run(fileName, id);
+        } catch (error) {
+            this.db.prepare('DELETE FROM artifacts WHERE id = ?').run(id);
+            throw error;
+        }
+
+        this.prune();
+        return id;
+    }
+
+    /**
+     * @returns {Object|null} the row plus `content`: a data URL for
+     *   screenshots, the HTML text for DOM snapshots; null once removed
+     */
+    load(id) {
+        const row = this.db.prepare('SELECT * FROM artifacts WHERE id = ?').get(id);
+        if (!row) return null;
+
+        let content;
+        try {
+            content = fs.readFileSync(path.join(this.dir, row.file_name));
+        } catch (error) {
+            this._remove([row]);
+            return null;
+        }
+        return {
+            ...row,
+            content: row.kind === 'screenshot'
+                ? `data:${row.mime_type};base64,${content.toString('base64')}`
+                : content.toString('utf8')
+        };
+    }
+
+    deleteRun(runId) {
+        this._remove(this.db.prepare('SELECT id, file_name FROM artifacts WHERE run_id = ?').all(runId));
+    }
+
+    /**
+     * Apply the retention limits.
+     * @returns {number} artifacts removed
+     */
+    prune() {
+        const expired = this.maxAgeDays > 0
+            ? this.db.prepare(`
+                SELECT id, file_name FROM artifacts
+                WHERE created_at < datetime('now', ?)
+            `).all(`-${this.maxAgeDays} days`)
+            : [];
+        this._remove(expired);
+
+        let removed = expired.length;
+        if (this.maxTotalBytes > 0) {
+            const { total } = this.db.prepare('SELECT COALESCE(SUM(size), 0) AS total FROM artifacts').get();
+            let excess = total - this.maxTotalBytes;
+            if (excess > 0) {
+                const oldest = [];
+                for (const row of this.db.prepare('SELECT id, file_name, size FROM artifacts ORDER BY id').iterate()) {
+                    oldest.push(row);
+                    excess -= row.size;
+                    if (excess <= 0) break;
+                }
+                this._remove(oldest);
+                removed += oldest.length;
+            }
+        }
+        return removed;
+    }
+
+    getStats() {
+        return this.db.prepare(`
+            SELECT COUNT(*) AS count, COALESCE(SUM(size), 0) AS totalBytes FROM artifacts
+        `).get();
+    }
+
+    _remove(rows) {
+        if (rows.length === 0) return;
+        const remove = this.db.prepare('DELETE FROM artifacts WHERE id = ?');
+        this.db.transaction(() => {
+            for (const row of rows) {
+                remove.run(row.id);
+            }
+        })();
+        for (const row of rows) {
+            if (row.file_name) {
+                fs.rmSync(path.join(this.dir, row.file_name), { force: true });
+            }
+        }
+    }
+}
+
+module.exports = ArtifactStore;
+module.exports.KINDS = KINDS;
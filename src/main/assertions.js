@@ -0,0 +1,188 @@
+/**
+ * Assertions
+ *
+ * Checks made by the `assert` step, stored in `config.assert` and rendered
+ * with the template engine first, so `expected` may use {{column}}:
+ *
+ *   { type: 'text',   selector, operator, expected }   // element text
+ *   { type: 'value',  selector, operator, expected }   // input/select value
+ *   { type: 'count',  selector, operator, expected }   // number of matches
+ *   { type: 'url',    operator, expected }             // page URL
+ *   { type: 'script', script }                         // JS predicate
+ *
+ * Operators: equals, not_equals, contains, matches (regex, "/…/flags" or
+ * plain), gt, lt, gte, lte. `timeout` (ms) keeps re-checking until the
+ * assertion holds, for pages that update after an AJAX save.
+ * A text/value assertion whose element is not found fails whatever the
+ * operator (not_equals, contains '' ...), retried only within `timeout`.
+ *
+ * A script runs in the page like execute_script (`record`, `vars` in
+ * scope). It passes when it returns a truthy value, or may return
+ * { pass, expected, actual } for a detailed reason.
+ */
+
+const SimpleSelector = require('./simple-selector-demo');
+const { AutomationError, AssertionError, describeSelectors } = require('./errors');
+
+const ASSERTION_TYPES = ['text', 'value', 'count', 'url', 'script'];
+const POLL_INTERVAL = 250;
+// text/value için element bulunamadı; karşılaştırma yapılmaz, doğrulama başarısız olur
+const NOT_FOUND = Symbol('not found');
+
+const OPERATORS = {
+    equals: (actual, expected) => actual === expected,
+    not_equals: (actual, expected) => actual !== expected,
+    contains: (actual, expected) => actual.includes(expected),
+    matches: (actual, expected) => toRegExp(expected).test(actual),
+    gt: (actual, expected) => toNumber(actual) > toNumber(expected),
+    lt: (actual, expected) => toNumber(actual) < toNumber(expected),
+    gte: (actual, expected) => toNumber(actual) >= toNumber(expected),
+    lte: (actual, expected) => toNumber(actual) <= toNumber(expected)
+};
+
+function toNumber(value) {
+    const text = String(value).trim().replace(',', '.');
+    return text === '' ? NaN : Number(text);
+}
+
+function toRegExp(pattern) {
+    const literal = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+    try {
+        return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+    } catch (error) {
+        throw new AutomationError(`Geçersiz düzenli ifade: ${pattern}`);
+    }
+}
+
+/**
+ * @param {Object} assertion - rendered config.assert
+ * @param {Object} env - { page, record, variables, scope: ElementHandle|null }
+ * @returns {Promise<{ check, expected, actual }>} when the assertion holds
+ * @throws {AssertionError} with expected/actual when it does not
+ */
+async function verifyAssertion(assertion, env) {
+    if (!assertion || !ASSERTION_TYPES.includes(assertion.type)) {
+        throw new AutomationError(`Geçersiz doğrulama tipi: ${assertion ? assertion.type : '(boş)'}`);
+    }
+
+    const timeout = parseInt(assertion.timeout, 10) || 0;
+    const deadline = Date.now() + timeout;
+    let result;
+
+    for (;;) {
+        result = await evaluate(assertion, env);
+        if (result.pass || Date.now() >= deadline) break;
+        await delay(POLL_INTERVAL);
+    }
+
+    if (!result.pass) {
+        throw new AssertionError(result.check, result.expected, result.actual);
+    }
+    return { check: result.check, expected: result.expected, actual: result.actual };
+}
+
+async function evaluate(assertion, env) {
+    if (assertion.type === 'script') {
+        return runScript(assertion, env);
+    }
+
+    const operator = assertion.operator || (assertion.type === 'count' ? 'gte' : 'equals');
+    const compare = OPERATORS[operator];
+    if (!compare) {
+        throw new AutomationError(`Bilinmeyen doğrulama operatörü: ${operator}`);
+    }
+
+    const expected = assertion.expected === undefined || assertion.expected === null
+        ? (assertion.type === 'count' ? '1' : '')
+        : String(assertion.expected).trim();
+    const value = await readActual(assertion, env);
+    const subject = assertion.type === 'url'
+        ? 'URL'
+        : `${assertion.type}(${describeSelectors(assertion.selector)})`;
+
+    if (value === NOT_FOUND) {
+        return { pass: false, check: `${subject} ${operator}`, expected, actual: '(element yok)' };
+    }
+    const actual = String(value).trim();
+    return { pass: compare(actual, expected), check: `${subject} ${operator}`, expected, actual };
+}
+
+async function readActual(assertion, env) {
+    const selector = new SimpleSelector(env.page);
+
+    switch (assertion.type) {
+        case 'url':
+            return env.page.url();
+        case 'count': {
+            const { elements } = await selector.findElements(assertion.selector, { scope: env.scope });
+            await Promise.all(elements.map(element => element.dispose().catch(() => {})));
+            return elements.length;
+        }
+        case 'text':
+        case 'value':
+        default: {
+            const found = await selector.findElement(assertion.selector, { scope: env.scope, heal: false });
+            if (!found.element) {
+                return NOT_FOUND;
+            }
+            try {
+                return await found.element.evaluate((el, type) => {
+                    if (type === 'value') return 'value' in el ? String(el.value) : '';
+                    return el.innerText || el.textContent || '';
+                }, assertion.type);
+            } finally {
+                await found.element.dispose();
+            }
+        }
+    }
+}
+
+async function runScript(assertion, env) {
+    if (!assertion.script) {
+        throw new AutomationError('Doğrulama scripti boş');
+    }
+    // execute_script ile aynı: Runtime.evaluate, sayfanın CSP'si engellemez
+    const source = `(async (record, vars) => {\n${assertion.script}\n})(${JSON.stringify(env.record || {})}, ${JSON.stringify(env.variables || {})})`;
+    const result = await env.page.evaluate(source);
+
+    if (result && typeof result === 'object' && 'pass' in result) {
+        return {
+            pass: !!result.pass,
+            check: 'script',
+            expected: result.expected ?? 'true',
+            actual: result.actual ?? JSON.stringify(result)
+        };
+    }
+    return { pass: !!result, check: 'script', expected: 'true', actual: JSON.stringify(result) };
+}
+
+/**
+ * Static check for the editors and the run preflight.
+ * @returns {string|null} problem message
+ */
+function validateAssertion(assertion) {
+    if (!assertion || !ASSERTION_TYPES.includes(assertion.type)) {
+        return 'Doğrulama tipi seçilmemiş';
+    }
+    if (['text', 'value', 'count'].includes(assertion.type) && !assertion.selector) {
+        return 'Bu doğrulama için element seçici gerekli';
+    }
+    if (assertion.type === 'script' && !assertion.script) {
+        return 'Doğrulama scripti boş';
+    }
+    if (assertion.operator && !OPERATORS[assertion.operator]) {
+        return `Bilinmeyen doğrulama operatörü: ${assertion.operator}`;
+    }
+    return null;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    verifyAssertion,
+    validateAssertion,
+    ASSERTION_TYPES,
+    OPERATORS
+};
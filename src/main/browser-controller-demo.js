@@ -1,47 +1,265 @@
 /**
- * Browser Controller - Demo Version
- * 
- * ⚠️ This is a placeholder file for the public repository.
- * The actual browser automation logic is in the private repository.
- * 
- * Production version includes:
- * - Puppeteer browser launch with multiple strategies
- * - Browser connection management (connect to existing Chrome)
- * - Page navigation with retry logic
- * - Screenshot capture and debugging tools
- * - Network interception and request handling
- * - Cookie and session management
- * - Viewport configuration
- * - Browser profile management (user-data-dir)
- * - Graceful shutdown and cleanup
- * - Error recovery mechanisms
- * 
- * For the complete implementation, see the private EDUBot repository.
+ * Browser Controller
+ *
+ * Owns the Puppeteer browser used by the workflow executor. Three strategies
+ * are supported:
+ * - launch:  start a bundled Chromium with a temporary profile (user-data-dir)
+ * - connect: attach over the DevTools protocol to a Chrome/Edge the user
+ *            already started with `browser:launch-debug` (no re-login needed)
+ * - auto:    try connect first, fall back to launch
+ *
+ * A connected browser belongs to the user, so close() only disconnects from
+ * it; a launched browser is closed and its temporary profile removed.
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const puppeteer = require('puppeteer');
 
+const DEFAULT_DEBUG_HOST = '127.0.0.1';
+const DEFAULT_DEBUG_PORT = 9222;
+
 class BrowserController {
-    constructor() {
+    constructor(options = {}) {
         this.browser = null;
         this.page = null;
-        this.defaultTimeout = 30000;
+        this.defaultTimeout = options.defaultTimeout || 30000;
+        this.navigationTimeout = options.navigationTimeout || 60000;
         this.isLaunched = false;
+        this.connectedToExisting = false;
+        this.tempProfileDir = null;
     }
 
+    /**
+     * Start a browser with the requested strategy.
+     * @param {Object} options - { strategy: 'launch'|'connect'|'auto', ...launch/connect options }
+     */
+    async start(options = {}) {
+        const strategy = options.strategy || 'auto';
+
+        if (strategy === 'launch') {
+            return this.launch(options);
+        }
+        if (strategy === 'connect') {
+            return this.connect(options);
+        }
+
+        try {
+            return await this.connect(options);
+        } catch (error) {
+            console.log('⚠️ Açık tarayıcıya bağlanılamadı, yeni tarayıcı başlatılıyor:', error.message);
+            return this.launch(options);
+        }
+    }
+
+    /**
+     * Launch a bundled Chromium.
+     * @param {Object} options - { headless, slowMo, executablePath, userDataDir, args, viewport }
+     */
     async launch(options = {}) {
-        // Production implementation in private repository
-        console.log('Browser launch (demo version)');
+        if (this.browser) {
+            await this.close();
+        }
+
+        let userDataDir = options.userDataDir;
+        if (!userDataDir) {
+            this.tempProfileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'edubot-profile-'));
+            userDataDir = this.tempProfileDir;
+        }
+
+        try {
+            this.browser = await puppeteer.launch({
+                headless: options.headless !== undefined ? options.headless : false,
+                slowMo: options.slowMo || 0,
+                executablePath: options.executablePath || undefined,
+                userDataDir,
+                args: options.args || ['--no-first-run', '--no-default-browser-check'],
+                defaultViewport: options.viewport || null
+            });
+        } catch (error) {
+            // Başlatılamayan tarayıcının geçici profili geride kalmasın
+            this._removeTempProfile();
+            throw error;
+        }
+
+        this.isLaunched = true;
+        this.connectedToExisting = false;
+        this._watchDisconnect();
+
+        const [firstPage] = await this.browser.pages();
+        await this._usePage(firstPage || await this.browser.newPage());
+
+        console.log('🚀 Tarayıcı başlatıldı');
+        return this.page;
+    }
+
+    /**
+     * Attach to a browser started with --remote-debugging-port.
+     * @param {Object} options - { host, port, browserURL, browserWSEndpoint, slowMo, pageUrl }
+     *   pageUrl: prefer an already open tab whose URL contains this string
+     */
+    async connect(options = {}) {
+        if (this.browser) {
+            await this.close();
+        }
+
+        const connectOptions = {
+            defaultViewport: null,
+            slowMo: options.slowMo || 0
+        };
+
+        if (options.browserWSEndpoint) {
+            connectOptions.browserWSEndpoint = options.browserWSEndpoint;
+        } else {
+            const host = options.host || DEFAULT_DEBUG_HOST;
+            const port = options.port || DEFAULT_DEBUG_PORT;
+            connectOptions.browserURL = options.browserURL || `http://${host}:${port}`;
+        }
+
+        this.browser = await puppeteer.connect(connectOptions);
+        this.isLaunched = true;
+        this.connectedToExisting = true;
+        this._watchDisconnect();
+
+        const page = await this._pickExistingPage(options.pageUrl);
+        await this._usePage(page || await this.browser.newPage());
+
+        console.log('🔗 Açık tarayıcıya bağlanıldı:', connectOptions.browserURL || connectOptions.browserWSEndpoint);
+        return this.page;
+    }
+
+    async navigate(url, options = {}) {
+        const page = this.getPage();
+        return page.goto(url, {
+            waitUntil: options.waitUntil || 'domcontentloaded',
+            timeout: options.timeout || this.navigationTimeout
+        });
+    }
+
+    /**
+     * Active page handle. Throws when no browser is running.
+     */
+    getPage() {
+        if (!this.page || this.page.isClosed()) {
+            throw new Error('Tarayıcı açık değil. Önce launch() veya connect() çağrılmalı.');
+        }
+        return this.page;
+    }
+
+    async newPage() {
+        this._assertBrowser();
+        const page = await this.browser.newPage();
+        await this._usePage(page);
+        return page;
+    }
+
+    async pages() {
+        this._assertBrowser();
+        return this.browser.pages();
     }
 
-    async navigate(url) {
-        // Production implementation in private repository
-        console.log('Navigate (demo version):', url);
+    /**
+     * Switch the active page (e.g. to a tab opened by a click).
+     */
+    async setActivePage(page) {
+        await this._usePage(page);
+        await page.bringToFront();
+        return page;
+    }
+
+    setDefaultTimeout(timeout) {
+        this.defaultTimeout = timeout;
+        if (this.page && !this.page.isClosed()) {
+            this.page.setDefaultTimeout(timeout);
+        }
+    }
+
+    setNavigationTimeout(timeout) {
+        this.navigationTimeout = timeout;
+        if (this.page && !this.page.isClosed()) {
+            this.page.setDefaultNavigationTimeout(timeout);
+        }
+    }
+
+    isConnected() {
+        return !!this.browser && this.browser.connected;
     }
 
     async close() {
-        // Production implementation in private repository
-        console.log('Browser close (demo version)');
+        const browser = this.browser;
+        this.browser = null;
+        this.page = null;
+        this.isLaunched = false;
+
+        if (browser) {
+            try {
+                if (this.connectedToExisting) {
+                    // Kullanıcının tarayıcısı: sadece bağlantıyı kes, oturum açık kalsın
+                    await browser.disconnect();
+                } else {
+                    await browser.close();
+                }
+            } catch (error) {
+                console.warn('⚠️ Tarayıcı kapatılırken hata:', error.message);
+            }
+        }
+
+        this.connectedToExisting = false;
+        this._removeTempProfile();
+    }
+
+    // ==================== PRIVATE ====================
+
+    async _usePage(page) {
+        page.setDefaultTimeout(this.defaultTimeout);
+        page.setDefaultNavigationTimeout(this.navigationTimeout);
+        this.page = page;
+    }
+
+    async _pickExistingPage(pageUrl) {
+        const pages = await this.browser.pages();
+        const candidates = pages.filter(page => {
+            const url = page.url();
+            return !url.startsWith('devtools://') && !url.startsWith('chrome-extension://');
+        });
+
+        if (pageUrl) {
+            const match = candidates.find(page => page.url().includes(pageUrl));
+            if (match) return match;
+        }
+
+        return candidates[candidates.length - 1] || null;
+    }
+
+    _watchDisconnect() {
+        const browser = this.browser;
+        browser.once('disconnected', () => {
+            if (this.browser === browser) {
+                console.log('🔌 Tarayıcı bağlantısı kesildi');
+                this.browser = null;
+                this.page = null;
+                this.isLaunched = false;
+                this.connectedToExisting = false;
+                this._removeTempProfile();
+            }
+        });
+    }
+
+    _assertBrowser() {
+        if (!this.browser) {
+            throw new Error('Tarayıcı açık değil. Önce launch() veya connect() çağrılmalı.');
+        }
+    }
+
+    _removeTempProfile() {
+        if (!this.tempProfileDir) return;
+        try {
+            fs.rmSync(this.tempProfileDir, { recursive: true, force: true });
+        } catch (error) {
+            console.warn('⚠️ Geçici profil silinemedi:', error.message);
+        }
+        this.tempProfileDir = null;
     }
 }
 
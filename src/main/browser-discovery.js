@@ -0,0 +1,219 @@
+/**
+ * Browser Discovery
+ *
+ * Finds Chrome/Edge instances started with --remote-debugging-port by probing
+ * a port range (9222-9224 by default) via the DevTools HTTP endpoints:
+ * - /json/version → browser product (Chrome vs Edge) and WebSocket endpoint
+ * - /json/list    → open tabs
+ *
+ * The results are turned into labeled choices for the browser selection modal
+ * in WorkflowRunner. The first word of every label is an icon, because the
+ * modal renders `choice.label.split(' ')[0]` as the browser icon.
+ */
+
+const http = require('http');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORTS = [9222, 9223, 9224];
+const PROBE_TIMEOUT = 1500;
+
+const BROWSER_ICONS = {
+    chrome: '🌐',
+    edge: '🔷',
+    chromium: '⚙️'
+};
+
+const LAUNCH_NEW_CHOICE = {
+    id: 'launch-new',
+    type: 'launch',
+    label: '🆕 Yeni tarayıcı başlat (yeniden login gerekir)'
+};
+
+class BrowserDiscovery {
+    /**
+     * @param {Object} options - { host, ports, portRange: [from, to], timeout }
+     */
+    constructor(options = {}) {
+        this.host = options.host || DEFAULT_HOST;
+        this.ports = options.portRange
+            ? expandPortRange(options.portRange[0], options.portRange[1])
+            : (options.ports || DEFAULT_PORTS);
+        this.timeout = options.timeout || PROBE_TIMEOUT;
+        this.pendingSelection = null;
+    }
+
+    /**
+     * Probe every configured port and return the debuggable browsers found.
+     */
+    async discover() {
+        const results = await Promise.all(this.ports.map(port => this.probePort(port)));
+        return results.filter(Boolean);
+    }
+
+    /**
+     * Probe a single port. Resolves to null when nothing listens there.
+     */
+    async probePort(port) {
+        try {
+            const version = await this._getJSON(port, '/json/version');
+            const targets = await this._getJSON(port, '/json/list').catch(() => []);
+            const browser = identifyBrowser(version);
+
+            return {
+                port,
+                host: this.host,
+                browser,
+                product: version.Browser || '',
+                userAgent: version['User-Agent'] || '',
+                webSocketDebuggerUrl: version.webSocketDebuggerUrl || '',
+                tabs: (targets || [])
+                    .filter(target => target.type === 'page')
+                    .map(target => ({ id: target.id, title: target.title, url: target.url }))
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Discovered browsers as choices for the selection modal, plus an
+     * option to launch a fresh browser.
+     */
+    async getChoices() {
+        const browsers = await this.discover();
+        const choices = browsers.map(info => ({
+            id: `${info.browser}-${info.port}`,
+            type: 'connect',
+            label: buildLabel(info),
+            browser: info.browser,
+            product: info.product,
+            host: info.host,
+            port: info.port,
+            browserWSEndpoint: info.webSocketDebuggerUrl,
+            tabs: info.tabs
+        }));
+
+        return [...choices, { ...LAUNCH_NEW_CHOICE }];
+    }
+
+    /**
+     * Ask the renderer which browser to use.
+     *
+     * When no debuggable browser is running there is nothing to choose and
+     * the launch choice is returned right away. Otherwise the choices are
+     * sent with `browser-selection-required` and the promise resolves once
+     * select() is called (execution.selectBrowser in the preload bridge).
+     *
+     * @param {Function} notify - (channel, data) => void, sends to renderer
+     */
+    async requestSelection(notify) {
+        const choices = await this.getChoices();
+        if (choices.length === 1) {
+            return choices[0];
+        }
+
+        this.cancelSelection();
+
+        return new Promise((resolve, reject) => {
+            this.pendingSelection = { choices, resolve, reject };
+            notify('browser-selection-required', { choices });
+        });
+    }
+
+    /**
+     * Resolve a pending requestSelection() with the user's choice.
+     */
+    select(choice) {
+        if (!this.pendingSelection) {
+            return { success: false, message: 'Bekleyen tarayıcı seçimi yok' };
+        }
+
+        const { choices, resolve } = this.pendingSelection;
+        const selected = choices.find(c => c.id === (choice && choice.id));
+        if (!selected) {
+            return { success: false, message: 'Geçersiz tarayıcı seçimi' };
+        }
+
+        this.pendingSelection = null;
+        resolve(selected);
+        return { success: true, data: selected };
+    }
+
+    /**
+     * Reject a pending selection, e.g. when the workflow is stopped.
+     */
+    cancelSelection() {
+        if (this.pendingSelection) {
+            const { reject } = this.pendingSelection;
+            this.pendingSelection = null;
+            reject(new Error('Tarayıcı seçimi iptal edildi'));
+        }
+    }
+
+    _getJSON(port, pathname) {
+        return new Promise((resolve, reject) => {
+            const request = http.get({
+                host: this.host,
+                port,
+                path: pathname,
+                timeout: this.timeout
+            }, (response) => {
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    reject(new Error(`HTTP ${response.statusCode}`));
+                    return;
+                }
+
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => { body += chunk; });
+                response.on('end', () => {
+                    try {
+                        resolve(JSON.parse(body));
+                    } catch (error) {
+                        reject(error);
+                    }
+                });
+            });
+
+            request.on('timeout', () => request.destroy(new Error('Timeout')));
+            request.on('error', reject);
+        });
+    }
+}
+
+/**
+ * Chrome vs Edge from /json/version. Edge reports "Edg/x.y" in Browser
+ * and User-Agent; Chrome reports "Chrome/x.y".
+ */
+function identifyBrowser(version) {
+    const product = `${version.Browser || ''} ${version['User-Agent'] || ''}`;
+    if (/\bEdg(e|A|iOS)?\//.test(product)) return 'edge';
+    if (/HeadlessChrome|Chromium/.test(product)) return 'chromium';
+    if (/Chrome\//.test(product)) return 'chrome';
+    return 'chromium';
+}
+
+function buildLabel(info) {
+    const names = { chrome: 'Chrome', edge: 'Edge', chromium: 'Chromium' };
+    const tabCount = info.tabs.length;
+    const firstTab = info.tabs[0] && (info.tabs[0].title || info.tabs[0].url);
+    const tabText = tabCount > 0 ? ` - ${tabCount} sekme` : '';
+    const titleText = firstTab ? ` (${truncate(firstTab, 40)})` : '';
+    return `${BROWSER_ICONS[info.browser]} ${names[info.browser]} :${info.port}${tabText}${titleText}`;
+}
+
+function truncate(text, length) {
+    return text.length > length ? text.substring(0, length - 1) + '…' : text;
+}
+
+function expandPortRange(from, to) {
+    const ports = [];
+    for (let port = from; port <= to; port++) {
+        ports.push(port);
+    }
+    return ports;
+}
+
+module.exports = BrowserDiscovery;
+module.exports.identifyBrowser = identifyBrowser;
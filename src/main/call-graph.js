@@ -0,0 +1,109 @@
+/**
+ * Call Graph
+ *
+ * `call_workflow` steps run another workflow inline. The step keeps its
+ * target and arguments in config:
+ *
+ *   { workflowId: 12, params: { term: "{{donem}}", course_code: "MAT101" } }
+ *
+ * The callee sees the caller's record overlaid with the rendered params as
+ * its record, starts with no variables, and hands every `storeAs` variable
+ * it defines back to the caller.
+ *
+ * loadCallGraph() loads every workflow reachable through call_workflow
+ * steps once, before the run, and rejects missing targets and call cycles
+ * (A → B → A) so recursion can never start.
+ */
+
+const { normalizeStep, describeStep } = require('./step-normalizer');
+const { compileFlow } = require('./flow-compiler');
+
+/**
+ * @param {Object} databaseManager - getWorkflow, getSteps
+ * @param {number} rootWorkflowId
+ * @param {Array} rootSteps - normalized steps of the root workflow
+ * @returns {Promise<{ callees: Map<number, { workflow, steps, program, exports }>, problems: Array }>}
+ *   callees is keyed by workflow id; exports are the variable names handed back
+ */
+async function loadCallGraph(databaseManager, rootWorkflowId, rootSteps) {
+    const callees = new Map();
+    const problems = [];
+    const report = (step, message) => problems.push({
+        stepId: step ? step.id : null,
+        step: step ? describeStep(step) : null,
+        message
+    });
+
+    // Depth-first so a callee's exports are known before its caller's. A
+    // workflow already on `path` is an open call: calling it again is a cycle.
+    // Finished callees are reused; DFS has already explored their calls.
+    const visit = async (workflowId, steps, path) => {
+        for (const step of steps) {
+            if (step.actionType !== 'call_workflow') continue;
+
+            const targetId = calleeId(step);
+            if (!targetId) {
+                report(step, 'Çağrılacak workflow seçilmemiş');
+                continue;
+            }
+            if (path.includes(targetId)) {
+                const cycle = [...path.slice(path.indexOf(targetId)), targetId].join(' → ');
+                report(step, `Workflow çağrı döngüsü: ${cycle}`);
+                continue;
+            }
+
+            if (!callees.has(targetId)) {
+                const workflow = await databaseManager.getWorkflow(targetId);
+                if (!workflow) {
+                    report(step, `Çağrılan workflow bulunamadı: ${targetId}`);
+                    continue;
+                }
+                const calleeSteps = ((await databaseManager.getSteps(targetId)) || [])
+                    .map(normalizeStep)
+                    .sort((a, b) => a.order - b.order);
+                const callee = { workflow, steps: calleeSteps, program: null, exports: [] };
+                callees.set(targetId, callee);
+
+                await visit(targetId, calleeSteps, [...path, targetId]);
+
+                const { program, problems: flowProblems } = compileFlow(calleeSteps);
+                flowProblems.forEach(problem => problems.push({
+                    ...problem,
+                    step: `${workflow.name || `Workflow ${targetId}`} / ${problem.step}`
+                }));
+                callee.program = program;
+                callee.exports = exportedVariables(calleeSteps);
+            }
+
+            step.defines = [...new Set([...(step.defines || []), ...callees.get(targetId).exports])];
+        }
+    };
+
+    await visit(rootWorkflowId, rootSteps, rootWorkflowId ? [Number(rootWorkflowId)] : []);
+    return { callees, problems };
+}
+
+function calleeId(step) {
+    const id = parseInt(step.config.workflowId, 10);
+    return Number.isNaN(id) ? null : id;
+}
+
+/**
+ * storeAs names of the callee, including those returned from its own calls.
+ */
+function exportedVariables(steps) {
+    const names = new Set();
+    for (const step of steps) {
+        if (step.storeAs) names.add(step.storeAs);
+        if (step.actionType === 'call_workflow') {
+            (step.defines || []).forEach(name => names.add(name));
+        }
+    }
+    return [...names];
+}
+
+module.exports = {
+    loadCallGraph,
+    calleeId,
+    exportedVariables
+};
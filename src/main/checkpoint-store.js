@@ -0,0 +1,121 @@
+/**
+ * Checkpoint Store
+ *
+ * Persists how far a run got so it can continue after a crash or app
+ * restart. One open checkpoint per workflow + data source; it is written
+ * before every step and closed when the run finishes all records.
+ *
+ * Table: execution_checkpoints
+ */
+
+const { ensureColumn } = require('./schema-utils');
+
+class CheckpointStore {
+    /**
+     * @param {import('better-sqlite3').Database} db
+     */
+    constructor(db) {
+        this.db = db;
+        this.init();
+    }
+
+    init() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS execution_checkpoints (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                workflow_id INTEGER NOT NULL,
+                data_source_id INTEGER,
+                record_index INTEGER NOT NULL DEFAULT 0,
+                step_index INTEGER NOT NULL DEFAULT 0,
+                step_id INTEGER,
+                total_records INTEGER NOT NULL DEFAULT 0,
+                success_count INTEGER NOT NULL DEFAULT 0,
+                error_count INTEGER NOT NULL DEFAULT 0,
+                skipped_count INTEGER NOT NULL DEFAULT 0,
+                status TEXT NOT NULL DEFAULT 'open',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_execution_checkpoints_open
+                ON execution_checkpoints (workflow_id, data_source_id, status);
+        `);
+        ensureColumn(this.db, 'execution_checkpoints', 'skipped_count', 'INTEGER NOT NULL DEFAULT 0');
+    }
+
+    /**
+     * Open checkpoint for a workflow and data source (null = no data source).
+     */
+    getOpen(workflowId, dataSourceId) {
+        return this.db.prepare(`
+            SELECT * FROM execution_checkpoints
+            WHERE workflow_id = ? AND data_source_id IS ? AND status = 'open'
+            ORDER BY updated_at DESC
+            LIMIT 1
+        `).get(workflowId, dataSourceId ?? null) || null;
+    }
+
+    getAllOpen() {
+        return this.db.prepare(`
+            SELECT * FROM execution_checkpoints
+            WHERE status = 'open'
+            ORDER BY updated_at DESC
+        `).all();
+    }
+
+    /**
+     * Start tracking a new run; older open checkpoints of the same pair are discarded.
+     * @returns {number} checkpoint id
+     */
+    open(workflowId, dataSourceId, totalRecords) {
+        this.db.prepare(`
+            UPDATE execution_checkpoints
+            SET status = 'discarded', updated_at = CURRENT_TIMESTAMP
+            WHERE workflow_id = ? AND data_source_id IS ? AND status = 'open'
+        `).run(workflowId, dataSourceId ?? null);
+
+        const result = this.db.prepare(`
+            INSERT INTO execution_checkpoints (workflow_id, data_source_id, total_records)
+            VALUES (?, ?, ?)
+        `).run(workflowId, dataSourceId ?? null, totalRecords);
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * @param {number} id
+     * @param {Object} position - { recordIndex, stepIndex, stepId, successCount, errorCount, skippedCount }
+     */
+    save(id, position) {
+        this.db.prepare(`
+            UPDATE execution_checkpoints
+            SET record_index = ?, step_index = ?, step_id = ?,
+                success_count = ?, error_count = ?, skipped_count = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(
+            position.recordIndex,
+            position.stepIndex || 0,
+            position.stepId || null,
+            position.successCount || 0,
+            position.errorCount || 0,
+            position.skippedCount || 0,
+            id
+        );
+    }
+
+    complete(id) {
+        this._setStatus(id, 'completed');
+    }
+
+    discard(id) {
+        this._setStatus(id, 'discarded');
+    }
+
+    _setStatus(id, status) {
+        this.db.prepare(`
+            UPDATE execution_checkpoints
+            SET status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(status, id);
+    }
+}
+
+module.exports = CheckpointStore;
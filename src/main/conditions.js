@@ -0,0 +1,152 @@
+/**
+ * Conditions
+ *
+ * Evaluated by `if` and conditional `goto` steps. Stored in `config.condition`
+ * and rendered with the template engine before evaluation:
+ *
+ *   { type: 'element', selector, state: 'present' | 'absent', timeout }
+ *   { type: 'text',    selector, operator, value }   // element text; no selector = page text
+ *   { type: 'field',   field, operator, value }      // record column or variable
+ *
+ * Operators: equals, not_equals, contains, not_contains, empty, not_empty,
+ * gt, lt (numbers, "85,5" accepted).
+ */
+
+const SimpleSelector = require('./simple-selector-demo');
+const { AutomationError, describeSelectors } = require('./errors');
+
+const CONDITION_TYPES = ['element', 'text', 'field'];
+const POLL_INTERVAL = 250;
+
+const OPERATORS = {
+    equals: (actual, expected) => actual === expected,
+    not_equals: (actual, expected) => actual !== expected,
+    contains: (actual, expected) => actual.includes(expected),
+    not_contains: (actual, expected) => !actual.includes(expected),
+    empty: (actual) => actual.trim() === '',
+    not_empty: (actual) => actual.trim() !== '',
+    gt: (actual, expected) => toNumber(actual) > toNumber(expected),
+    lt: (actual, expected) => toNumber(actual) < toNumber(expected)
+};
+
+function toNumber(value) {
+    const text = String(value).trim().replace(',', '.');
+    return text === '' ? NaN : Number(text);
+}
+
+function normalizeText(value) {
+    return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * @param {Object} condition - rendered condition
+ * @param {Object} env - { page, record, variables, scope: ElementHandle|null }
+ * @returns {Promise<{ result: boolean, description: string }>}
+ */
+async function evaluateCondition(condition, env) {
+    if (!condition || !CONDITION_TYPES.includes(condition.type)) {
+        throw new AutomationError(`Geçersiz koşul tipi: ${condition ? condition.type : '(boş)'}`);
+    }
+
+    switch (condition.type) {
+        case 'element':
+            return evaluateElement(condition, env);
+        case 'text':
+            return compare(condition, await readText(condition, env), `metin(${describeSelectors(condition.selector || 'sayfa')})`);
+        case 'field':
+        default:
+            return compare(condition, lookupField(condition.field, env), condition.field);
+    }
+}
+
+async function evaluateElement(condition, env) {
+    const selector = new SimpleSelector(env.page);
+    const timeout = parseInt(condition.timeout, 10) || 0;
+    const absent = condition.state === 'absent';
+    const options = { visible: true, scope: env.scope, heal: false };
+
+    // waitForElement / waitForElementGone zaman aşımında hata fırlatır; koşulda
+    // zaman aşımı yalnızca "beklenen durum gelmedi" demektir, bu yüzden burada yoklanır
+    const deadline = Date.now() + timeout;
+    let present;
+    for (;;) {
+        const found = await selector.findElement(condition.selector, options);
+        present = !!found.element;
+        if (found.element) await found.element.dispose();
+        if (present !== absent || Date.now() >= deadline) break;
+        await delay(Math.min(POLL_INTERVAL, deadline - Date.now()));
+    }
+
+    return {
+        result: absent ? !present : present,
+        description: `${describeSelectors(condition.selector)} ${absent ? 'yok' : 'var'}`
+    };
+}
+
+async function readText(condition, env) {
+    if (!condition.selector) {
+        return env.page.evaluate(() => (document.body ? document.body.innerText : ''));
+    }
+    const found = await new SimpleSelector(env.page).findElement(condition.selector, { scope: env.scope, heal: false });
+    if (!found.element) {
+        return '';
+    }
+    try {
+        return await found.element.evaluate(el => ('value' in el && el.tagName !== 'BUTTON' ? el.value : el.innerText) || '');
+    } finally {
+        await found.element.dispose();
+    }
+}
+
+function lookupField(field, env) {
+    const variables = env.variables || {};
+    const record = env.record || {};
+    if (Object.prototype.hasOwnProperty.call(variables, field)) return variables[field];
+    if (Object.prototype.hasOwnProperty.call(record, field)) return record[field];
+    return undefined;
+}
+
+function compare(condition, actual, subject) {
+    const operator = condition.operator || 'equals';
+    const fn = OPERATORS[operator];
+    if (!fn) {
+        throw new AutomationError(`Bilinmeyen koşul operatörü: ${operator}`);
+    }
+    const actualText = normalizeText(actual);
+    const expected = normalizeText(condition.value);
+    return {
+        result: fn(actualText, expected),
+        description: `${subject} ${operator} "${expected}" (değer: "${actualText}")`
+    };
+}
+
+/**
+ * Static check used by the flow compiler and the designer.
+ * @returns {string|null} problem message
+ */
+function validateCondition(condition) {
+    if (!condition || !CONDITION_TYPES.includes(condition.type)) {
+        return 'Koşul tipi seçilmemiş';
+    }
+    if (condition.type === 'element' && !condition.selector) {
+        return 'Element koşulu için seçici gerekli';
+    }
+    if (condition.type === 'field' && !condition.field) {
+        return 'Alan koşulu için alan adı gerekli';
+    }
+    if (condition.operator && !OPERATORS[condition.operator]) {
+        return `Bilinmeyen koşul operatörü: ${condition.operator}`;
+    }
+    return null;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    evaluateCondition,
+    validateCondition,
+    CONDITION_TYPES,
+    OPERATORS
+};
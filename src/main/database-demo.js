@@ -14,7 +14,12 @@
  */
 
 class DatabaseDemo {
-    constructor() {
+    /**
+     * @param {import('better-sqlite3').Database} [db] - open connection, shared
+     *   with the stores implemented in this repository (selector suggestions, ...)
+     */
+    constructor(db = null) {
+        this.db = db;
         console.log('⚠️ Demo version - Limited functionality');
         console.log('📊 See database/academic-schema.sql for schema structure');
     }
@@ -27,7 +32,13 @@ class DatabaseDemo {
             students: 'Student information',
             courses: 'Course catalog',
             grades: 'Grade records',
-            data_sources: 'Data import configurations'
+            data_sources: 'Data import configurations',
+            selector_suggestions: 'Self-healed selectors awaiting user review',
+            execution_checkpoints: 'Resume points of unfinished workflow runs',
+            runs: 'Run history: options, workflow version, operator, totals and outcome',
+            run_records: 'Per-record results of a run, with failure screenshots',
+            run_logs: 'Step logs of a run (same fields as logs), with their screenshot and DOM snapshot ids',
+            artifacts: 'Screenshots and DOM snapshots of run log lines (files kept under retention limits)'
         };
     }
 
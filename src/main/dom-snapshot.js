@@ -0,0 +1,59 @@
+/**
+ * DOM Snapshot
+ *
+ * Serializes the current page for the artifact store: the live DOM
+ * (not the HTML as loaded), with what was typed into inputs, textareas
+ * and selects written back as attributes, so the snapshot shows the form
+ * as the step left it. Password values are masked and scripts removed;
+ * the snapshot is viewed offline, relative URLs are not rewritten.
+ */
+
+const MAX_SNAPSHOT_LENGTH = 5 * 1024 * 1024;
+const PASSWORD_MASK = '••••••';
+
+// Sayfa içinde çalışır (page.evaluate); dışarıdaki değişkenlere erişemez
+function serializeDocument(passwordMask) {
+    const root = document.documentElement;
+    const clone = root.cloneNode(true);
+    const originals = root.querySelectorAll('input, textarea, select');
+    const copies = clone.querySelectorAll('input, textarea, select');
+
+    originals.forEach((element, index) => {
+        const copy = copies[index];
+        if (!copy) return;
+        const type = (element.type || '').toLowerCase();
+        if (element.tagName === 'TEXTAREA') {
+            copy.textContent = element.value;
+        } else if (element.tagName === 'SELECT') {
+            Array.from(copy.options).forEach((option, optionIndex) => {
+                const selected = element.options[optionIndex] && element.options[optionIndex].selected;
+                option.toggleAttribute('selected', !!selected);
+            });
+        } else if (type === 'checkbox' || type === 'radio') {
+            copy.toggleAttribute('checked', element.checked);
+        } else if (type === 'password') {
+            copy.setAttribute('value', element.value ? passwordMask : '');
+        } else if (type !== 'file') {
+            copy.setAttribute('value', element.value);
+        }
+    });
+    clone.querySelectorAll('script, noscript').forEach(element => element.remove());
+
+    return `<!DOCTYPE html>\n<!-- ${location.href.replace(/--/g, '%2D%2D')} -->\n${clone.outerHTML}`;
+}
+
+/**
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<string>} HTML, cut at MAX_SNAPSHOT_LENGTH
+ */
+async function captureDomSnapshot(page) {
+    const html = await page.evaluate(serializeDocument, PASSWORD_MASK);
+    return html.length > MAX_SNAPSHOT_LENGTH
+        ? `${html.slice(0, MAX_SNAPSHOT_LENGTH)}\n<!-- snapshot kısaltıldı -->`
+        : html;
+}
+
+module.exports = {
+    MAX_SNAPSHOT_LENGTH,
+    captureDomSnapshot
+};
@@ -0,0 +1,119 @@
+/**
+ * Dry Run Report
+ *
+ * What a test run (execution.execute with { dryRun: true }) found, step by
+ * step and record by record, without anything being typed, clicked,
+ * uploaded or saved:
+ *
+ *   {
+ *     templateProblems:    [{ step, message }]                   // checked before the browser opens
+ *     unresolvedSelectors: [{ recordIndex, stepId, step, selectors, message }]
+ *     missingVariables:    [{ recordIndex, stepId, step, variable, message }]
+ *     problems:            [{ recordIndex, stepId, step, message }]  // anything else
+ *     records:             [{ recordIndex, planned: [{ stepId, step, actionType,
+ *                              value, filePath, selectors, found, skipped }] }]
+ *   }
+ */
+
+const { describeStep } = require('./step-normalizer');
+const { describeSelectors } = require('./errors');
+
+class DryRunReport {
+    constructor() {
+        this.templateProblems = [];
+        this.unresolvedSelectors = [];
+        this.missingVariables = [];
+        this.problems = [];
+        this.records = [];
+    }
+
+    addTemplateProblems(problems) {
+        this.templateProblems.push(...problems);
+    }
+
+    /**
+     * Start (or, after a login wait, restart) a record's entries.
+     */
+    startRecord(recordIndex) {
+        const keep = entry => entry.recordIndex !== recordIndex;
+        this.unresolvedSelectors = this.unresolvedSelectors.filter(keep);
+        this.missingVariables = this.missingVariables.filter(keep);
+        this.problems = this.problems.filter(keep);
+        this.records = this.records.filter(keep);
+        this.records.push({ recordIndex, planned: [] });
+    }
+
+    /**
+     * @param {Object} context - executor context (recordIndex)
+     * @param {Object} step - normalized step
+     * @param {Object} resolved - the step with its templates rendered
+     * @param {Object} outcome - { found: true|false|null, skipped }
+     */
+    plan(context, step, resolved, { found = null, skipped = false } = {}) {
+        const record = this._record(context.recordIndex);
+        record.planned.push({
+            stepId: step.id,
+            step: describeStep(step),
+            actionType: step.actionType,
+            value: resolved.value ?? null,
+            filePath: resolved.filePath ?? null,
+            selectors: resolved.selectors ? describeSelectors(resolved.selectors) : null,
+            found,
+            skipped
+        });
+    }
+
+    unresolvedSelector(context, step, selectors, error) {
+        this.unresolvedSelectors.push({
+            ...this._where(context, step),
+            selectors: describeSelectors(selectors),
+            message: error.message
+        });
+    }
+
+    missingVariable(context, step, error) {
+        this.missingVariables.push({
+            ...this._where(context, step),
+            variable: error.details.variable || null,
+            message: error.message
+        });
+    }
+
+    problem(context, step, error) {
+        this.problems.push({ ...this._where(context, step), message: error.message });
+    }
+
+    hasProblems(recordIndex) {
+        return [this.unresolvedSelectors, this.missingVariables, this.problems]
+            .some(list => list.some(entry => entry.recordIndex === recordIndex));
+    }
+
+    toJSON() {
+        return {
+            templateProblems: this.templateProblems,
+            unresolvedSelectors: this.unresolvedSelectors,
+            missingVariables: this.missingVariables,
+            problems: this.problems,
+            records: this.records
+        };
+    }
+
+    _where(context, step) {
+        return {
+            recordIndex: context.recordIndex,
+            stepId: step ? step.id : null,
+            step: step ? describeStep(step) : null
+        };
+    }
+
+    _record(recordIndex) {
+        let record = this.records.find(entry => entry.recordIndex === recordIndex);
+        if (!record) {
+            record = { recordIndex, planned: [] };
+            this.records.push(record);
+        }
+        return record;
+    }
+}
+
+module.exports = DryRunReport;
@@ -0,0 +1,212 @@
+/**
+ * Element Fingerprint
+ *
+ * ElementPicker stores a fingerprint of the picked element next to its
+ * selectors (`element_selectors.fingerprint`):
+ *
+ *   {
+ *     tagName: 'input',
+ *     attributes: { id, name, type, placeholder, title, role, 'aria-label' },
+ *     classes: ['form-control'],
+ *     text: 'Kaydet',
+ *     labels: ['Vize Notu'],
+ *     domPath: ['body', 'div#content', 'form', 'table', 'tbody', 'tr', 'td', 'input']
+ *   }
+ *
+ * When every stored selector fails at run time, findBestMatch() scores all
+ * elements with the same tag against the fingerprint and returns the best
+ * candidate together with freshly generated selectors. Those are only
+ * suggested back to the step; the user decides whether to accept them.
+ */
+
+const MIN_SCORE = 0.55;
+const MAX_CANDIDATES = 3000;
+
+/**
+ * @param {import('puppeteer').Page|import('puppeteer').Frame} context
+ * @param {Object} fingerprint
+ * @param {Object} options - { minScore, root: shadow root handle to search in instead of the document }
+ * @returns {Promise<{css, xpath, score}|null>}
+ */
+async function findBestMatch(context, fingerprint, options = {}) {
+    if (!fingerprint || !fingerprint.tagName) return null;
+
+    const minScore = options.minScore !== undefined ? options.minScore : MIN_SCORE;
+    const match = await context.evaluate(scoreCandidatesInPage, fingerprint, MAX_CANDIDATES, options.root || null);
+
+    if (!match || match.score < minScore) {
+        return null;
+    }
+    return match;
+}
+
+/**
+ * Runs inside the page. Must be self-contained: Puppeteer serializes it.
+ * Generated selectors are relative to `root` (document or a shadow root).
+ */
+function scoreCandidatesInPage(fingerprint, maxCandidates, root) {
+    const scope = root || document;
+    const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+    const labelsOf = (element) => {
+        const labels = [];
+        if (element.labels) {
+            Array.from(element.labels).forEach(label => labels.push(label.textContent));
+        }
+        const labelledBy = element.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            labelledBy.split(/\s+/).forEach(id => {
+                const label = scope.getElementById ? scope.getElementById(id) : document.getElementById(id);
+                if (label) labels.push(label.textContent);
+            });
+        }
+        const previous = element.previousElementSibling;
+        if (previous && previous.textContent.trim().length <= 50) {
+            labels.push(previous.textContent);
+        }
+        const row = element.closest('tr');
+        if (row && row.cells && row.cells.length > 0) {
+            labels.push(row.cells[0].textContent);
+        }
+        return labels.map(normalize).filter(Boolean);
+    };
+
+    const domPathOf = (element) => {
+        const path = [];
+        let current = element;
+        while (current && current.nodeType === Node.ELEMENT_NODE && current.tagName !== 'HTML') {
+            path.unshift(current.tagName.toLowerCase() + (current.id ? '#' + current.id : ''));
+            current = current.parentElement;
+        }
+        return path;
+    };
+
+    const commonSuffixRatio = (a, b) => {
+        const stripIds = (list) => list.map(part => part.split('#')[0]);
+        const left = stripIds(a);
+        const right = stripIds(b);
+        let common = 0;
+        while (
+            common < left.length && common < right.length &&
+            left[left.length - 1 - common] === right[right.length - 1 - common]
+        ) {
+            common++;
+        }
+        return common / Math.max(left.length, right.length, 1);
+    };
+
+    const jaccard = (a, b) => {
+        if (a.length === 0 && b.length === 0) return 0;
+        const setB = new Set(b);
+        const intersection = a.filter(item => setB.has(item)).length;
+        return intersection / new Set([...a, ...b]).size;
+    };
+
+    const attributeWeights = {
+        id: 30, name: 25, placeholder: 15, 'aria-label': 15, title: 10, type: 5, role: 5
+    };
+
+    const scoreElement = (element) => {
+        let score = 0;
+        let max = 0;
+        const attributes = fingerprint.attributes || {};
+
+        Object.entries(attributeWeights).forEach(([attribute, weight]) => {
+            if (!attributes[attribute]) return;
+            max += weight;
+            if (element.getAttribute(attribute) === attributes[attribute]) score += weight;
+        });
+
+        if (fingerprint.text) {
+            max += 20;
+            const text = normalize(element.innerText || element.textContent || element.value);
+            const expected = normalize(fingerprint.text);
+            if (text === expected) score += 20;
+            else if (text && (text.includes(expected) || expected.includes(text))) score += 10;
+        }
+
+        if (fingerprint.classes && fingerprint.classes.length > 0) {
+            max += 15;
+            score += 15 * jaccard(fingerprint.classes, Array.from(element.classList));
+        }
+
+        if (fingerprint.labels && fingerprint.labels.length > 0) {
+            max += 20;
+            const labels = labelsOf(element);
+            const expected = fingerprint.labels.map(normalize);
+            if (expected.some(label => labels.includes(label))) score += 20;
+        }
+
+        if (fingerprint.domPath && fingerprint.domPath.length > 0) {
+            max += 15;
+            score += 15 * commonSuffixRatio(fingerprint.domPath, domPathOf(element));
+        }
+
+        return max > 0 ? score / max : 0;
+    };
+
+    const hasUniqueId = (element) =>
+        !!element.id && scope.querySelectorAll('#' + CSS.escape(element.id)).length === 1;
+
+    const cssPathOf = (element) => {
+        const parts = [];
+        let current = element;
+        while (current && current.nodeType === Node.ELEMENT_NODE && current.tagName !== 'HTML') {
+            if (hasUniqueId(current)) {
+                parts.unshift('#' + CSS.escape(current.id));
+                break;
+            }
+            let part = current.tagName.toLowerCase();
+            const sameTag = Array.from(current.parentElement ? current.parentElement.children : [])
+                .filter(sibling => sibling.tagName === current.tagName);
+            if (sameTag.length > 1) {
+                part += ':nth-of-type(' + (sameTag.indexOf(current) + 1) + ')';
+            }
+            parts.unshift(part);
+            current = current.parentElement;
+        }
+        return parts.join(' > ');
+    };
+
+    const xpathOf = (element) => {
+        const parts = [];
+        let current = element;
+        while (current && current.nodeType === Node.ELEMENT_NODE) {
+            if (hasUniqueId(current)) {
+                parts.unshift('//*[@id="' + current.id + '"]');
+                return parts.join('/');
+            }
+            const sameTag = Array.from(current.parentElement ? current.parentElement.children : [])
+                .filter(sibling => sibling.tagName === current.tagName);
+            const index = sameTag.indexOf(current) + 1;
+            parts.unshift(current.tagName.toLowerCase() + (sameTag.length > 1 ? '[' + index + ']' : ''));
+            current = current.parentElement;
+        }
+        return '/' + parts.join('/');
+    };
+
+    const candidates = Array.from(scope.querySelectorAll(fingerprint.tagName)).slice(0, maxCandidates);
+    let best = null;
+    let bestScore = 0;
+
+    candidates.forEach(element => {
+        const score = scoreElement(element);
+        if (score > bestScore) {
+            best = element;
+            bestScore = score;
+        }
+    });
+
+    if (!best) return null;
+
+    return {
+        css: cssPathOf(best),
+        xpath: xpathOf(best),
+        score: Math.round(bestScore * 100) / 100
+    };
+}
+
+module.exports = {
+    findBestMatch,
+    MIN_SCORE
+};
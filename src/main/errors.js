@@ -0,0 +1,114 @@
+/**
+ * Error classes shared by the main-process automation modules.
+ * Each class carries a stable `code` so errors survive IPC serialization
+ * (only message/name reach the renderer) and can be matched in logs.
+ */
+
+class AutomationError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = 'AUTOMATION_ERROR';
+        this.details = details;
+    }
+}
+
+class ElementNotFoundError extends AutomationError {
+    /**
+     * @param {Object} selectors - selectors that were tried
+     * @param {Array} attempts - per-strategy attempts from SimpleSelector
+     */
+    constructor(selectors, attempts = []) {
+        super(`Element bulunamadı: ${describeSelectors(selectors)}`, { selectors, attempts });
+        this.code = 'ELEMENT_NOT_FOUND';
+    }
+}
+
+/**
+ * Thrown inside a run when the user stops it; not counted as a record failure.
+ */
+class ExecutionStoppedError extends AutomationError {
+    constructor() {
+        super('Workflow kullanıcı tarafından durduruldu');
+        this.code = 'EXECUTION_STOPPED';
+    }
+}
+
+/**
+ * Ends the current record without counting it as a failure
+ * (e.g. a manual confirmation timed out with the "skip" policy).
+ */
+class RecordSkippedError extends AutomationError {
+    constructor(message) {
+        super(message);
+        this.code = 'RECORD_SKIPPED';
+    }
+}
+
+/**
+ * The session expired and the page was redirected to the screen's login page.
+ */
+class LoginRequiredError extends AutomationError {
+    constructor(reason) {
+        super(`Oturum sonlanmış, login gerekli (${reason})`, { reason });
+        this.code = 'LOGIN_REQUIRED';
+    }
+}
+
+/**
+ * A {{placeholder}} that cannot be resolved or an unknown template filter.
+ */
+class TemplateError extends AutomationError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.code = 'TEMPLATE_ERROR';
+    }
+}
+
+/**
+ * An assert step did not hold. `expected` and `actual` are kept in details
+ * so logs can show the structured reason.
+ */
+class AssertionError extends AutomationError {
+    /**
+     * @param {string} check - what was verified, e.g. "metin(#sonuc) eşittir"
+     * @param {*} expected
+     * @param {*} actual
+     */
+    constructor(check, expected, actual) {
+        super(`Doğrulama başarısız: ${check} - beklenen "${expected}", bulunan "${actual}"`, { check, expected, actual });
+        this.code = 'ASSERTION_FAILED';
+    }
+}
+
+/**
+ * Broken control flow: rejected by the flow compiler before the run, or a
+ * goto loop that exceeded its maxIterations at run time.
+ */
+class FlowError extends AutomationError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.code = 'FLOW_ERROR';
+    }
+}
+
+function describeSelectors(selectors) {
+    if (!selectors) return '(boş)';
+    if (typeof selectors === 'string') return selectors;
+    return Object.entries(selectors)
+        .filter(([, value]) => typeof value === 'string' && value.trim())
+        .map(([key, value]) => `${key}=${value}`)
+        .join(', ') || '(boş)';
+}
+
+module.exports = {
+    AutomationError,
+    ElementNotFoundError,
+    ExecutionStoppedError,
+    RecordSkippedError,
+    LoginRequiredError,
+    TemplateError,
+    FlowError,
+    AssertionError,
+    describeSelectors
+};
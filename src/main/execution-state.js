@@ -0,0 +1,166 @@
+/**
+ * Execution State Machine
+ *
+ *   idle ──start──▶ running ◀──resume── paused
+ *                     │  ▲                ▲
+ *                     │  └── waiting-for-user (browser selection, manual steps)
+ *                     ▼
+ *                  stopping ──▶ done ──start──▶ running
+ *
+ * pause() and stop() only record the request. The executor calls
+ * checkpoint() between steps, which is where a pause actually takes effect,
+ * so a pause never lands in the middle of typing into a field.
+ */
+
+const { ExecutionStoppedError } = require('./errors');
+
+const STATES = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    WAITING_FOR_USER: 'waiting-for-user',
+    STOPPING: 'stopping',
+    DONE: 'done'
+};
+
+const TRANSITIONS = {
+    [STATES.IDLE]: [STATES.RUNNING],
+    [STATES.RUNNING]: [STATES.PAUSED, STATES.WAITING_FOR_USER, STATES.STOPPING, STATES.DONE],
+    [STATES.PAUSED]: [STATES.RUNNING, STATES.STOPPING],
+    [STATES.WAITING_FOR_USER]: [STATES.RUNNING, STATES.STOPPING],
+    [STATES.STOPPING]: [STATES.DONE],
+    [STATES.DONE]: [STATES.RUNNING]
+};
+
+class ExecutionStateMachine {
+    /**
+     * @param {Object} options - { onChange: ({ state, previous }) => void }
+     */
+    constructor(options = {}) {
+        this.state = STATES.IDLE;
+        this.onChange = options.onChange || (() => {});
+        this.pauseRequested = false;
+        this._resumeWaiters = [];
+    }
+
+    get isActive() {
+        return this.state !== STATES.IDLE && this.state !== STATES.DONE;
+    }
+
+    get isStopping() {
+        return this.state === STATES.STOPPING;
+    }
+
+    can(next) {
+        return TRANSITIONS[this.state].includes(next);
+    }
+
+    transition(next) {
+        if (!this.can(next)) {
+            throw new Error(`Geçersiz durum geçişi: ${this.state} → ${next}`);
+        }
+        const previous = this.state;
+        this.state = next;
+        this.onChange({ state: next, previous });
+
+        if (next === STATES.RUNNING || next === STATES.STOPPING) {
+            this._releaseWaiters();
+        }
+    }
+
+    start() {
+        this.pauseRequested = false;
+        this.transition(STATES.RUNNING);
+    }
+
+    /**
+     * Request a pause; it takes effect at the next checkpoint().
+     */
+    pause() {
+        if (this.state !== STATES.RUNNING) {
+            return false;
+        }
+        this.pauseRequested = true;
+        return true;
+    }
+
+    resume() {
+        if (this.pauseRequested && this.state === STATES.RUNNING) {
+            // Henüz güvenli noktaya gelinmeden devam istendi
+            this.pauseRequested = false;
+            return true;
+        }
+        if (this.state !== STATES.PAUSED) {
+            return false;
+        }
+        this.pauseRequested = false;
+        this.transition(STATES.RUNNING);
+        return true;
+    }
+
+    stop() {
+        if (!this.can(STATES.STOPPING)) {
+            return false;
+        }
+        this.pauseRequested = false;
+        this.transition(STATES.STOPPING);
+        return true;
+    }
+
+    finish() {
+        if (this.state === STATES.RUNNING || this.state === STATES.STOPPING) {
+            this.transition(STATES.DONE);
+        } else if (this.state === STATES.PAUSED || this.state === STATES.WAITING_FOR_USER) {
+            this.transition(STATES.STOPPING);
+            this.transition(STATES.DONE);
+        }
+    }
+
+    /**
+     * Run `work` in the waiting-for-user state and return to running afterwards.
+     */
+    async waitForUser(work) {
+        this.transition(STATES.WAITING_FOR_USER);
+        try {
+            return await work();
+        } finally {
+            if (this.state === STATES.WAITING_FOR_USER) {
+                this.transition(STATES.RUNNING);
+            }
+        }
+    }
+
+    /**
+     * Safe boundary between steps: throws when stopping, blocks while paused.
+     * @param {Function} onPause - called once when the pause takes effect
+     */
+    async checkpoint(onPause) {
+        if (this.isStopping) {
+            throw new ExecutionStoppedError();
+        }
+        if (!this.pauseRequested) {
+            return;
+        }
+
+        this.pauseRequested = false;
+        this.transition(STATES.PAUSED);
+        if (onPause) {
+            await onPause();
+        }
+
+        await new Promise(resolve => this._resumeWaiters.push(resolve));
+
+        if (this.isStopping) {
+            throw new ExecutionStoppedError();
+        }
+    }
+
+    _releaseWaiters() {
+        const waiters = this._resumeWaiters;
+        this._resumeWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+}
+
+module.exports = ExecutionStateMachine;
+module.exports.STATES = STATES;
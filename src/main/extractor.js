@@ -0,0 +1,224 @@
+/**
+ * Extractor
+ *
+ * Reads rows off the page for the `extract` step. The step's selectors
+ * point at an HTML table (mode 'table') or at the repeated elements of a
+ * list (mode 'list'); config describes the columns and pagination:
+ *
+ *   {
+ *     mode: 'table' | 'list',
+ *     columns: [
+ *       { name: 'student_no', header: 'Öğrenci No' },        // table: by header text
+ *       { name: 'grade', selector: 'td:nth-child(4) input',   // relative to the row/item
+ *         attribute: 'value' }                                // default: text (or input value)
+ *     ],
+ *     nextSelector: 'a.next:not(.disabled)',  // clicked until missing or maxPages
+ *     maxPages: 20,
+ *     pageTimeout: 10000
+ *   }
+ *
+ * Without columns a table yields one column per cell, named after its
+ * header (column_1, column_2... when there is none); a list yields `text`.
+ */
+
+const SimpleSelector = require('./simple-selector-demo');
+const { AutomationError, ElementNotFoundError } = require('./errors');
+
+const DEFAULT_MAX_PAGES = 50;
+const DEFAULT_PAGE_TIMEOUT = 10000;
+const PAGE_POLL_INTERVAL = 250;
+
+/**
+ * @param {import('puppeteer').Page} page
+ * @param {Object|string} selectors - table or list item selectors (rendered)
+ * @param {Object} config - see above
+ * @param {Object} options - { scope: ElementHandle, onPage: (pageNumber, rowCount) => void }
+ * @returns {Promise<{ rows: Object[], pages: number }>}
+ */
+async function extractRows(page, selectors, config = {}, options = {}) {
+    const mode = config.mode || 'table';
+    if (mode !== 'table' && mode !== 'list') {
+        throw new AutomationError(`Bilinmeyen çıkarma modu: ${mode}`);
+    }
+
+    const maxPages = parseInt(config.maxPages, 10) || DEFAULT_MAX_PAGES;
+    const pageTimeout = parseInt(config.pageTimeout, 10) || DEFAULT_PAGE_TIMEOUT;
+    const columns = Array.isArray(config.columns) ? config.columns.filter(column => column && column.name) : [];
+    const selector = new SimpleSelector(page);
+    const rows = [];
+    let pages = 0;
+
+    while (pages < maxPages) {
+        const pageRows = mode === 'table'
+            ? await readTable(selector, selectors, columns, options.scope)
+            : await readList(selector, selectors, columns, options.scope);
+        rows.push(...pageRows);
+        pages++;
+        if (options.onPage) options.onPage(pages, pageRows.length);
+
+        if (!config.nextSelector || pages >= maxPages) break;
+        const moved = await goToNextPage(selector, selectors, config.nextSelector, pageTimeout, options.scope);
+        if (!moved) break;
+    }
+
+    return { rows, pages };
+}
+
+async function readTable(selector, selectors, columns, scope) {
+    const found = await selector.findElement(selectors, { scope, heal: false });
+    if (!found.element) {
+        throw new ElementNotFoundError(selectors, found.attempts);
+    }
+    try {
+        return await found.element.evaluate((table, columns) => {
+            const text = (el) => {
+                if (!el) return '';
+                if ('value' in el && el.tagName !== 'BUTTON' && el.tagName !== 'LI') return String(el.value);
+                return (el.innerText || el.textContent || '').trim();
+            };
+            const own = Array.from(table.querySelectorAll('tr')).filter(row => row.closest('table') === table);
+            const headerRow = own.find(row => row.closest('thead'))
+                || (own[0] && !own[0].querySelector('td') ? own[0] : null);
+            const headers = headerRow ? Array.from(headerRow.children).map(cell => text(cell)) : [];
+            const bodyRows = own.filter(row => row !== headerRow && !row.closest('thead') && !row.closest('tfoot') && row.querySelector('td'));
+
+            return bodyRows.map(row => {
+                const cells = Array.from(row.children);
+                const record = {};
+                if (columns.length === 0) {
+                    cells.forEach((cell, index) => {
+                        record[headers[index] || `column_${index + 1}`] = text(cell);
+                    });
+                    return record;
+                }
+                for (const column of columns) {
+                    let el = row;
+                    if (column.selector) {
+                        el = row.querySelector(column.selector);
+                    } else if (column.header) {
+                        el = cells[headers.indexOf(column.header)];
+                    }
+                    record[column.name] = column.attribute && el ? (el.getAttribute(column.attribute) || '') : text(el);
+                }
+                return record;
+            });
+        }, columns);
+    } finally {
+        await found.element.dispose();
+    }
+}
+
+async function readList(selector, selectors, columns, scope) {
+    const { elements } = await selector.findElements(selectors, { scope });
+    if (elements.length === 0) {
+        return [];
+    }
+    try {
+        // framePath ile bulunan öğeler iframe'in bağlamındadır; ana sayfada değerlendirilemezler
+        return await elements[0].frame.evaluate((columns, ...items) => {
+            const text = (el) => {
+                if (!el) return '';
+                if ('value' in el && el.tagName !== 'BUTTON' && el.tagName !== 'LI') return String(el.value);
+                return (el.innerText || el.textContent || '').trim();
+            };
+            return items.map(item => {
+                if (columns.length === 0) {
+                    return { text: text(item) };
+                }
+                const record = {};
+                for (const column of columns) {
+                    const el = column.selector ? item.querySelector(column.selector) : item;
+                    record[column.name] = column.attribute && el ? (el.getAttribute(column.attribute) || '') : text(el);
+                }
+                return record;
+            });
+        }, columns, ...elements);
+    } finally {
+        await Promise.all(elements.map(element => element.dispose().catch(() => {})));
+    }
+}
+
+/**
+ * Click "next" and wait until the page turns: the rows/items read
+ * differently, or the element they were read from is detached (AJAX
+ * re-render or a new document), which also catches a page whose rows
+ * repeat the previous page's text. false when there is no usable next link.
+ */
+async function goToNextPage(selector, selectors, nextSelector, timeout, scope) {
+    const next = await selector.findElement(nextSelector, { visible: true, heal: false });
+    if (!next.element) {
+        return false;
+    }
+    const disabled = await next.element.evaluate(el =>
+        el.disabled || el.getAttribute('aria-disabled') === 'true' || el.classList.contains('disabled'));
+    if (disabled) {
+        await next.element.dispose();
+        return false;
+    }
+
+    const marker = (await selector.findElement(selectors, { scope, heal: false })).element;
+    try {
+        const before = await signature(selector, selectors, scope);
+        await next.element.click();
+        await next.element.dispose().catch(() => {});
+
+        const deadline = Date.now() + timeout;
+        while (Date.now() < deadline) {
+            await delay(PAGE_POLL_INTERVAL);
+            // null: sayfa yükleniyor, öğeler henüz okunamıyor
+            const current = await signature(selector, selectors, scope).catch(() => null);
+            if (current === null) {
+                continue;
+            }
+            if (current !== before || !(await isAttached(marker))) {
+                return true;
+            }
+        }
+    } finally {
+        if (marker) {
+            await marker.dispose().catch(() => {});
+        }
+    }
+    throw new AutomationError(`Sonraki sayfa ${timeout}ms içinde yüklenmedi (${nextSelector})`);
+}
+
+/**
+ * Text of every data row / item on the page; changes when the page turns
+ * even if single rows repeat across pages.
+ */
+async function signature(selector, selectors, scope) {
+    const { elements } = await selector.findElements(selectors, { scope });
+    if (elements.length === 0) {
+        return '';
+    }
+    try {
+        return await elements[0].frame.evaluate((...items) => items.map(el => {
+            if (el.tagName !== 'TABLE') return el.innerText || '';
+            return Array.from(el.querySelectorAll('tr'))
+                .filter(row => row.closest('table') === el)
+                .map(row => row.innerText)
+                .join('\n');
+        }).join('\n'), ...elements);
+    } finally {
+        await Promise.all(elements.map(element => element.dispose().catch(() => {})));
+    }
+}
+
+/**
+ * false once the element left the DOM, or its document was replaced by a
+ * navigation (the handle can no longer be evaluated).
+ */
+async function isAttached(element) {
+    if (!element) {
+        return true;
+    }
+    return element.evaluate(el => el.isConnected).catch(() => false);
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    extractRows
+};
@@ -0,0 +1,262 @@
+/**
+ * Flow Compiler
+ *
+ * Steps stay a flat `step_order` list; control flow is expressed with marker
+ * steps that open and close blocks:
+ *
+ *   if (condition) … [else …] end_if
+ *   for_each_element (selector) … end_for_each
+ *   label (name)        goto (label name, optional condition)
+ *
+ * compileFlow() pairs the markers, resolves jump targets into `step.flow`
+ * and statically rejects broken programs:
+ * - unbalanced or crossed blocks, duplicate/unknown labels, invalid conditions
+ * - goto into or out of a for_each_element body
+ * - steps that can never be reached
+ * - cycles with no way out (e.g. an unconditional goto back to a label)
+ * Loops that have an exit but never take it are capped at run time by
+ * `maxIterations` (see the executor).
+ */
+
+const { describeStep } = require('./step-normalizer');
+const { validateCondition } = require('./conditions');
+
+const FLOW_TYPES = ['if', 'else', 'end_if', 'label', 'goto', 'for_each_element', 'end_for_each'];
+
+// Markers only route control; reaching them or not is not worth reporting
+const MARKER_TYPES = ['else', 'end_if', 'label', 'end_for_each'];
+
+function isFlowStep(step) {
+    return FLOW_TYPES.includes(step.actionType);
+}
+
+/**
+ * @param {Array} steps - normalized steps in execution order
+ * @returns {{ program: Array, problems: Array<{ stepId, step, message }> }}
+ *   program: copies of the steps with `flow` jump info
+ */
+function compileFlow(steps) {
+    const program = steps.map(step => ({ ...step, flow: {} }));
+    const problems = [];
+    const report = (step, message) => problems.push({
+        stepId: step ? step.id : null,
+        step: step ? describeStep(step) : null,
+        message
+    });
+
+    pairBlocks(program, report);
+    resolveLabels(program, report);
+
+    if (problems.length === 0) {
+        checkReachability(program, report);
+        checkTraps(program, report);
+    }
+
+    return { program, problems };
+}
+
+function pairBlocks(program, report) {
+    const stack = [];
+
+    program.forEach((step, index) => {
+        step.flow.loopIndex = stack.filter(block => block.type === 'for_each_element').map(block => block.index).pop() ?? null;
+
+        switch (step.actionType) {
+            case 'if':
+                if (!step.condition) {
+                    report(step, 'if adımında koşul tanımlı değil');
+                } else if (validateCondition(step.condition)) {
+                    report(step, validateCondition(step.condition));
+                }
+                stack.push({ type: 'if', index });
+                break;
+            case 'else': {
+                const block = stack[stack.length - 1];
+                if (!block || block.type !== 'if') {
+                    report(step, 'else, bir if bloğunun içinde olmalı');
+                } else if (block.elseIndex !== undefined) {
+                    report(step, 'Aynı if bloğunda birden fazla else var');
+                } else {
+                    block.elseIndex = index;
+                }
+                break;
+            }
+            case 'end_if': {
+                const block = stack.pop();
+                if (!block || block.type !== 'if') {
+                    report(step, block ? 'end_if, açık for_each_element bloğunu kapatıyor' : 'Eşleşmeyen end_if');
+                    if (block) stack.push(block);
+                    break;
+                }
+                const ifStep = program[block.index];
+                ifStep.flow.elseIndex = block.elseIndex ?? null;
+                ifStep.flow.endIndex = index;
+                if (block.elseIndex !== undefined) {
+                    program[block.elseIndex].flow.endIndex = index;
+                }
+                break;
+            }
+            case 'for_each_element':
+                if (!step.selectors) report(step, 'for_each_element adımında element seçici tanımlı değil');
+                stack.push({ type: 'for_each_element', index });
+                break;
+            case 'end_for_each': {
+                const block = stack.pop();
+                if (!block || block.type !== 'for_each_element') {
+                    report(step, block ? 'end_for_each, açık if bloğunu kapatıyor' : 'Eşleşmeyen end_for_each');
+                    if (block) stack.push(block);
+                    break;
+                }
+                program[block.index].flow.endIndex = index;
+                step.flow.startIndex = block.index;
+                break;
+            }
+            default:
+                break;
+        }
+    });
+
+    for (const block of stack) {
+        report(program[block.index], block.type === 'if' ? 'if bloğu end_if ile kapatılmamış' : 'for_each_element bloğu end_for_each ile kapatılmamış');
+    }
+}
+
+function resolveLabels(program, report) {
+    const labels = new Map();
+
+    program.forEach((step, index) => {
+        if (step.actionType !== 'label') return;
+        const name = String(step.value || '').trim();
+        if (!name) {
+            report(step, 'Etiket adı boş');
+        } else if (labels.has(name)) {
+            report(step, `"${name}" etiketi birden fazla kez tanımlı`);
+        } else {
+            labels.set(name, index);
+        }
+    });
+
+    program.forEach(step => {
+        if (step.actionType !== 'goto') return;
+        const name = String(step.value || '').trim();
+        if (!labels.has(name)) {
+            report(step, `Hedef etiket bulunamadı: "${name}"`);
+            return;
+        }
+        if (step.condition && validateCondition(step.condition)) {
+            report(step, validateCondition(step.condition));
+        }
+        const targetIndex = labels.get(name);
+        // Döngü durumu atlanmasın: goto ile hedefi aynı döngü gövdesinde olmalı
+        if (program[targetIndex].flow.loopIndex !== step.flow.loopIndex) {
+            report(step, `"${name}" etiketine atlama bir for_each_element bloğunun sınırını aşıyor`);
+            return;
+        }
+        step.flow.targetIndex = targetIndex;
+    });
+}
+
+/**
+ * Control-flow successors of program[index]. program.length = end of record.
+ */
+function successors(program, index) {
+    const step = program[index];
+    const next = index + 1;
+
+    switch (step.actionType) {
+        case 'if':
+            return [next, (step.flow.elseIndex ?? step.flow.endIndex) + 1];
+        case 'else':
+            // then-dalının sonundan gelince else gövdesi atlanır
+            return [step.flow.endIndex + 1];
+        case 'goto':
+            return step.condition ? [step.flow.targetIndex, next] : [step.flow.targetIndex];
+        case 'for_each_element':
+            return [next, step.flow.endIndex + 1];
+        case 'end_for_each':
+            return [step.flow.startIndex];
+        default:
+            return [next];
+    }
+}
+
+function checkReachability(program, report) {
+    const reached = new Set();
+    const queue = [0];
+
+    while (queue.length > 0) {
+        const index = queue.shift();
+        if (index >= program.length || reached.has(index)) continue;
+        reached.add(index);
+        queue.push(...successors(program, index));
+    }
+
+    program.forEach((step, index) => {
+        if (!reached.has(index) && !MARKER_TYPES.includes(step.actionType)) {
+            report(step, 'Bu adıma hiçbir yoldan ulaşılamıyor');
+        }
+    });
+}
+
+/**
+ * A strongly connected component with a cycle and no edge leaving it can
+ * never finish (Tarjan's algorithm).
+ */
+function checkTraps(program, report) {
+    const indexOf = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    let counter = 0;
+
+    const visit = (node) => {
+        indexOf.set(node, counter);
+        lowLink.set(node, counter);
+        counter++;
+        stack.push(node);
+        onStack.add(node);
+
+        for (const next of successors(program, node)) {
+            if (next >= program.length) continue;
+            if (!indexOf.has(next)) {
+                visit(next);
+                lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(next)));
+            } else if (onStack.has(next)) {
+                lowLink.set(node, Math.min(lowLink.get(node), indexOf.get(next)));
+            }
+        }
+
+        if (lowLink.get(node) === indexOf.get(node)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== node);
+            inspectComponent(component);
+        }
+    };
+
+    const inspectComponent = (component) => {
+        const members = new Set(component);
+        const isCycle = component.length > 1 || successors(program, component[0]).includes(component[0]);
+        if (!isCycle) return;
+
+        const hasExit = component.some(node => successors(program, node).some(next => !members.has(next)));
+        if (!hasExit) {
+            const first = Math.min(...component);
+            report(program[first], 'Sonsuz döngü: bu adımlardan çıkış yolu yok (koşulsuz goto)');
+        }
+    };
+
+    for (let node = 0; node < program.length; node++) {
+        if (!indexOf.has(node)) visit(node);
+    }
+}
+
+module.exports = {
+    compileFlow,
+    isFlowStep,
+    FLOW_TYPES
+};
@@ -0,0 +1,190 @@
+/**
+ * Grade Converter
+ *
+ * Turns `numeric_grade` into `letter_grade` with a grade scale, so steps can
+ * type {{letter_grade}}. A scale's definition (grade_scales.definition) is
+ * one of:
+ *
+ *   absolute - bands on the raw grade, highest `min` first:
+ *     { bands: [{ letter: 'AA', min: 90 }, { letter: 'BA', min: 85 }, ... { letter: 'FF', min: 0 }] }
+ *
+ *   relative - bands on the T-score (50 + 10 * (grade - mean) / sd) of the
+ *   course's class; grades under `failBelow` get `failLetter` and are left
+ *   out of the mean. Classes smaller than `minClassSize` use `absoluteBands`.
+ *     { bands: [{ letter: 'AA', min: 63 }, ...], failBelow: 40, failLetter: 'FF',
+ *       minClassSize: 10, absoluteBands: [...] }
+ *
+ * Which scale applies to a record is decided by the caller (see
+ * GradeScaleStore.resolver: course, then faculty, then the default scale).
+ */
+
+const { parseLocaleNumber } = require('./template-engine');
+
+const SCALE_TYPES = ['absolute', 'relative'];
+const GRADE_FIELD = 'numeric_grade';
+const LETTER_FIELD = 'letter_grade';
+const DEFAULT_MIN_CLASS_SIZE = 10;
+
+/**
+ * @param {Object} scale - { name, type, definition }
+ * @returns {string|null} problem message
+ */
+function validateScale(scale) {
+    if (!scale || !scale.name || !String(scale.name).trim()) {
+        return 'Not ölçeğinin adı boş';
+    }
+    if (!SCALE_TYPES.includes(scale.type)) {
+        return `Bilinmeyen ölçek tipi: ${scale.type}`;
+    }
+    const definition = scale.definition || {};
+    const problem = validateBands(definition.bands, scale.type === 'relative' ? 'T-skor' : 'Not');
+    if (problem) return problem;
+    if (scale.type === 'relative' && definition.absoluteBands && definition.absoluteBands.length > 0) {
+        return validateBands(definition.absoluteBands, 'Küçük sınıf');
+    }
+    return null;
+}
+
+function validateBands(bands, label) {
+    if (!Array.isArray(bands) || bands.length === 0) {
+        return `${label} aralıkları tanımlanmamış`;
+    }
+    for (const band of bands) {
+        if (!band.letter || isNaN(parseLocaleNumber(band.min))) {
+            return `${label} aralığında eksik harf veya alt sınır: ${JSON.stringify(band)}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Letter of the first band whose `min` the value reaches; bands may be in
+ * any order. null when the value is below every band.
+ */
+function letterFor(bands, value) {
+    const sorted = [...bands].sort((a, b) => parseLocaleNumber(b.min) - parseLocaleNumber(a.min));
+    const band = sorted.find(candidate => value >= parseLocaleNumber(candidate.min));
+    return band ? band.letter : null;
+}
+
+/**
+ * Mean and (population) standard deviation of the grades that count for
+ * the curve.
+ */
+function classStatistics(values) {
+    const count = values.length;
+    if (count === 0) return { count, mean: null, sd: null };
+    const mean = values.reduce((sum, value) => sum + value, 0) / count;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+    return { count, mean, sd: Math.sqrt(variance) };
+}
+
+/**
+ * @param {Object} scale - { type, definition }
+ * @param {number} grade
+ * @param {Object} stats - classStatistics of the course (relative scales)
+ * @returns {string|null}
+ */
+function convertGrade(scale, grade, stats = null) {
+    const definition = scale.definition || {};
+    if (scale.type !== 'relative') {
+        return letterFor(definition.bands, grade);
+    }
+
+    const failBelow = parseLocaleNumber(definition.failBelow);
+    if (!isNaN(failBelow) && grade < failBelow) {
+        return definition.failLetter || 'FF';
+    }
+
+    const minClassSize = parseInt(definition.minClassSize, 10) || DEFAULT_MIN_CLASS_SIZE;
+    if (!stats || stats.count < minClassSize || !stats.sd) {
+        const fallback = definition.absoluteBands && definition.absoluteBands.length > 0
+            ? definition.absoluteBands
+            : null;
+        return fallback ? letterFor(fallback, grade) : null;
+    }
+
+    const tScore = 50 + 10 * (grade - stats.mean) / stats.sd;
+    return letterFor(definition.bands, tScore);
+}
+
+/**
+ * Adds letter_grade to every record with a numeric_grade. A letter that
+ * the data source already has is kept.
+ * @param {Object[]} records
+ * @param {(record: Object) => Object|null} resolveScale
+ * @returns {{ records: Object[], courses: Object[], problems: string[] }}
+ *   courses: per course/scale { course, scale, count, mean, sd, mode, distribution }
+ */
+function annotateRecords(records, resolveScale) {
+    const groups = new Map();
+    const problems = [];
+
+    records.forEach((record, index) => {
+        if (!record || record[GRADE_FIELD] === undefined || record[GRADE_FIELD] === '') return;
+        const grade = parseLocaleNumber(record[GRADE_FIELD]);
+        if (isNaN(grade)) return;
+
+        const scale = resolveScale(record);
+        if (!scale) {
+            problems.push(`Kayıt ${index + 1}: ${record.course_code || '(ders yok)'} için not ölçeği atanmamış`);
+            return;
+        }
+        const key = `${record.course_code || ''}\u0000${scale.id}`;
+        if (!groups.has(key)) {
+            groups.set(key, { course: record.course_code || '', scale, items: [] });
+        }
+        groups.get(key).items.push({ record, grade, index });
+    });
+
+    const courses = [];
+    const annotated = [...records];
+
+    for (const group of groups.values()) {
+        const { scale } = group;
+        const failBelow = parseLocaleNumber((scale.definition || {}).failBelow);
+        const counted = group.items
+            .map(item => item.grade)
+            .filter(grade => isNaN(failBelow) || grade >= failBelow);
+        const stats = scale.type === 'relative' ? classStatistics(counted) : null;
+        const minClassSize = parseInt((scale.definition || {}).minClassSize, 10) || DEFAULT_MIN_CLASS_SIZE;
+        const distribution = {};
+
+        for (const item of group.items) {
+            const existing = item.record[LETTER_FIELD];
+            const letter = existing !== undefined && existing !== null && String(existing).trim() !== ''
+                ? String(existing).trim()
+                : convertGrade(scale, item.grade, stats);
+            if (!letter) {
+                problems.push(`Kayıt ${item.index + 1}: ${item.grade} notu ${scale.name} ölçeğinde hiçbir aralığa girmiyor`);
+                continue;
+            }
+            annotated[item.index] = { ...item.record, [LETTER_FIELD]: letter };
+            distribution[letter] = (distribution[letter] || 0) + 1;
+        }
+
+        courses.push({
+            course: group.course,
+            scale: { id: scale.id, name: scale.name, type: scale.type },
+            count: group.items.length,
+            mean: stats ? stats.mean : null,
+            sd: stats ? stats.sd : null,
+            mode: scale.type === 'relative' && stats && stats.count >= minClassSize && stats.sd
+                ? 'relative'
+                : 'absolute',
+            distribution
+        });
+    }
+
+    return { records: annotated, courses, problems };
+}
+
+module.exports = {
+    SCALE_TYPES,
+    GRADE_FIELD,
+    LETTER_FIELD,
+    validateScale,
+    convertGrade,
+    classStatistics,
+    annotateRecords
+};
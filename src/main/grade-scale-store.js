@@ -0,0 +1,179 @@
+/**
+ * Grade Scale Store
+ *
+ * Grade scale definitions (see grade-converter.js) and which scale a course
+ * or a faculty uses. A record's scale is found by its course_code, then by
+ * its faculty (an explicit assignment first, else a scale whose own faculty
+ * field names it), then falls back to the scale marked as default.
+ *
+ * Tables: grade_scales, grade_scale_assignments
+ */
+
+const { validateScale } = require('./grade-converter');
+
+const TARGET_TYPES = ['course', 'faculty'];
+
+class GradeScaleStore {
+    /**
+     * @param {import('better-sqlite3').Database} db
+     */
+    constructor(db) {
+        this.db = db;
+        this.init();
+    }
+
+    init() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS grade_scales (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                type TEXT NOT NULL DEFAULT 'absolute',
+                faculty TEXT,
+                definition TEXT NOT NULL,
+                is_default INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS grade_scale_assignments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                target_type TEXT NOT NULL,
+                target TEXT NOT NULL,
+                scale_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (target_type, target)
+            );
+        `);
+    }
+
+    getAll() {
+        return this.db.prepare('SELECT * FROM grade_scales ORDER BY name').all().map(parseRow);
+    }
+
+    get(id) {
+        const row = this.db.prepare('SELECT * FROM grade_scales WHERE id = ?').get(id);
+        return row ? parseRow(row) : null;
+    }
+
+    /**
+     * Insert (no id) or update a scale. Marking one as default unmarks the rest.
+     * @param {Object} scale - { id?, name, type, faculty, definition, is_default }
+     * @returns {Object} the saved scale
+     */
+    save(scale) {
+        const problem = validateScale(scale);
+        if (problem) {
+            throw new Error(problem);
+        }
+
+        const values = [
+            String(scale.name).trim(),
+            scale.type,
+            scale.faculty || null,
+            JSON.stringify(scale.definition),
+            scale.is_default ? 1 : 0
+        ];
+
+        const id = this.db.transaction(() => {
+            if (scale.is_default) {
+                this.db.prepare('UPDATE grade_scales SET is_default = 0 WHERE is_default = 1').run();
+            }
+            if (scale.id) {
+                this.db.prepare(`
+                    UPDATE grade_scales
+                    SET name = ?, type = ?, faculty = ?, definition = ?, is_default = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ?
+                `).run(...values, scale.id);
+                return scale.id;
+            }
+            return this.db.prepare(`
+                INSERT INTO grade_scales (name, type, faculty, definition, is_default)
+                VALUES (?, ?, ?, ?, ?)
+            `).run(...values).lastInsertRowid;
+        })();
+
+        return this.get(id);
+    }
+
+    delete(id) {
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM grade_scale_assignments WHERE scale_id = ?').run(id);
+            this.db.prepare('DELETE FROM grade_scales WHERE id = ?').run(id);
+        })();
+    }
+
+    getAssignments() {
+        return this.db.prepare(`
+            SELECT a.*, s.name AS scale_name
+            FROM grade_scale_assignments a
+            JOIN grade_scales s ON s.id = a.scale_id
+            ORDER BY a.target_type, a.target
+        `).all();
+    }
+
+    /**
+     * Use `scaleId` for a course code or faculty; replaces an earlier assignment.
+     * @param {'course'|'faculty'} targetType
+     * @param {string} target
+     * @param {number} scaleId
+     */
+    assign(targetType, target, scaleId) {
+        if (!TARGET_TYPES.includes(targetType)) {
+            throw new Error(`Geçersiz atama tipi: ${targetType}`);
+        }
+        if (!target || !String(target).trim()) {
+            throw new Error('Ders kodu veya fakülte boş');
+        }
+        if (!this.get(scaleId)) {
+            throw new Error(`Not ölçeği bulunamadı: ${scaleId}`);
+        }
+        this.db.prepare(`
+            INSERT INTO grade_scale_assignments (target_type, target, scale_id)
+            VALUES (?, ?, ?)
+            ON CONFLICT (target_type, target) DO UPDATE SET scale_id = excluded.scale_id
+        `).run(targetType, String(target).trim(), scaleId);
+    }
+
+    unassign(id) {
+        this.db.prepare('DELETE FROM grade_scale_assignments WHERE id = ?').run(id);
+    }
+
+    /**
+     * Snapshot of all scales and assignments as a record → scale function,
+     * so a run converts every record with the same rules.
+     * @returns {(record: Object) => Object|null}
+     */
+    resolver() {
+        const scales = new Map(this.getAll().map(scale => [scale.id, scale]));
+        const byTarget = new Map(this.getAssignments()
+            .map(assignment => [`${assignment.target_type}:${assignment.target}`, scales.get(assignment.scale_id)]));
+        // Ölçeğin kendi fakülte alanı, açık atama yoksa o fakültenin ölçeğidir (ada göre ilk ölçek)
+        const byFaculty = new Map();
+        for (const scale of scales.values()) {
+            const faculty = String(scale.faculty || '').trim();
+            if (faculty && !byFaculty.has(faculty)) {
+                byFaculty.set(faculty, scale);
+            }
+        }
+        const fallback = [...scales.values()].find(scale => scale.is_default) || null;
+
+        return (record) => {
+            const faculty = String(record.faculty || '').trim();
+            return byTarget.get(`course:${String(record.course_code || '').trim()}`)
+                || byTarget.get(`faculty:${faculty}`)
+                || (faculty && byFaculty.get(faculty))
+                || fallback;
+        };
+    }
+}
+
+function parseRow(row) {
+    let definition = {};
+    try {
+        definition = JSON.parse(row.definition);
+    } catch (error) {
+        console.error(`Not ölçeği okunamadı (${row.name}):`, error.message);
+    }
+    return { ...row, definition, is_default: !!row.is_default };
+}
+
+module.exports = GradeScaleStore;
@@ -23,6 +23,9 @@
 
 const { app, BrowserWindow } = require('electron');
 const path = require('path');
+const Database = require('better-sqlite3');
+const DatabaseDemo = require('./database-demo');
+const IPCHandlers = require('./ipc-handlers-demo');
 
 let mainWindow;
 
@@ -49,6 +52,12 @@ function createWindow() {
 }
 
 app.whenReady().then(() => {
+    const db = new Database(path.join(app.getPath('userData'), 'edubot.db'));
+    const ipcHandlers = new IPCHandlers(new DatabaseDemo(db), {
+        getMainWindow: () => mainWindow
+    });
+    ipcHandlers.registerHandlers();
+
     createWindow();
     
     app.on('activate', () => {
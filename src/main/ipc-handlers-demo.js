@@ -1,32 +1,486 @@
 /**
- * IPC Handlers - Demo Version
- * 
- * ⚠️ This is a placeholder file for the public repository.
- * The actual IPC handlers containing business logic are in the private repository.
- * 
- * Production version includes:
+ * IPC Handlers
+ *
+ * Registers the main-process handlers behind the preload bridge.
+ *
+ * Implemented here:
+ * - Workflow execution (workflow:execute, pause, resume, stop, status, continue)
+ * - Execution checkpoints (workflow:getCheckpoint, workflow:discardCheckpoint)
+ * - Control-flow validation for the editors (workflow:validateFlow)
+ * - Browser discovery and selection (browser:discover, workflow:selectBrowser)
+ * - Self-healed selector suggestions (selectors:*)
+ * - Grade scales, course/faculty assignments and conversion preview (grades:*)
+ * - Run history: runs and their record results (runs:*), the run
+ *   report as HTML or PDF (runs:exportReport) and age-based cleanup
+ *   (runs:clearOld)
+ * - Log search over the run history with filters and cursor paging
+ *   (logs:query), the live log stream (logs:subscribe) and export of
+ *   the filtered logs as CSV or JSON Lines (logs:export)
+ * - Screenshots and DOM snapshots referenced by log lines (artifacts:*)
+ *
+ * Still in the private repository:
  * - Workflow CRUD operations (create, read, update, delete, duplicate)
  * - Data source management
  * - Database query handlers
- * - Execution control (start, pause, stop, status)
- * - Log retrieval and filtering
+ * - Log writing and retrieval over the logs table (db:createLog, db:getLogs,
+ *   db:getAllLogs) and cleanup
  * - Hybrid import handlers (CSV to database)
  * - Academic data management (students, courses, grades)
  * - Batch job processing
  * - Configuration management
- * 
- * For the complete implementation, see the private EDUBot repository.
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { app, BrowserWindow, dialog, ipcMain } = require('electron');
+const ArtifactStore = require('./artifact-store');
+const BrowserController = require('./browser-controller-demo');
+const BrowserDiscovery = require('./browser-discovery');
+const { loadCallGraph } = require('./call-graph');
+const CheckpointStore = require('./checkpoint-store');
+const { compileFlow } = require('./flow-compiler');
+const { annotateRecords } = require('./grade-converter');
+const GradeScaleStore = require('./grade-scale-store');
+const { ensureLoginDetectorColumn } = require('./login-detector');
+const { ensureRetryPolicyColumn } = require('./retry-policy');
+const { FORMATS: LOG_EXPORT_FORMATS, writeLogExport } = require('./log-export');
+const { matchesLogFilters } = require('./log-query');
+const { ensureRecordSchemaColumn } = require('./record-schema');
+const { buildRunReport } = require('./run-report');
+const RunStore = require('./run-store');
+const SelectorSuggestionStore = require('./selector-suggestion-store');
+const { normalizeStep } = require('./step-normalizer');
+const WorkflowExecutor = require('./workflow-executor-demo');
+
+const LOG_STREAM_INTERVAL = 250;
+
 class IPCHandlers {
-    constructor(databaseManager) {
+    /**
+     * @param {Object} databaseManager
+     * @param {Object} options - { getMainWindow: () => BrowserWindow, debugPorts: number[],
+     *   artifactDir (default: <userData>/artifacts), artifactRetention: { maxAgeDays, maxTotalBytes } }
+     */
+    constructor(databaseManager, options = {}) {
         this.databaseManager = databaseManager;
+        this.getMainWindow = options.getMainWindow || (() => null);
+        this.discovery = new BrowserDiscovery({ ports: options.debugPorts });
+        this.suggestions = new SelectorSuggestionStore(databaseManager.db);
+        this.checkpoints = new CheckpointStore(databaseManager.db);
+        this.gradeScales = new GradeScaleStore(databaseManager.db);
+        this.runs = new RunStore(databaseManager.db, { onLog: (row) => this._streamLog(row) });
+        this.artifacts = new ArtifactStore(databaseManager.db, {
+            dir: options.artifactDir || path.join(app.getPath('userData'), 'artifacts'),
+            ...options.artifactRetention
+        });
+        this.logSubscription = null;
+        this.logBuffer = [];
+        this.logFlushTimer = null;
+        ensureLoginDetectorColumn(databaseManager.db);
+        ensureRetryPolicyColumn(databaseManager.db);
+        ensureRecordSchemaColumn(databaseManager.db);
+        this.browserController = new BrowserController();
+        this.executor = new WorkflowExecutor(databaseManager, {
+            browserController: this.browserController,
+            discovery: this.discovery,
+            suggestionStore: this.suggestions,
+            checkpointStore: this.checkpoints,
+            gradeScaleStore: this.gradeScales,
+            runStore: this.runs,
+            artifactStore: this.artifacts,
+            notify: (channel, data) => this.sendToRenderer(channel, data)
+        });
     }
 
     registerHandlers() {
-        // Production handlers registered here
-        // See private repository for implementation
-        console.log('IPC Handlers registered (demo version)');
+        // ==================== WORKFLOW EXECUTION ====================
+
+        ipcMain.handle('workflow:execute', async (event, workflowId, dataSourceId, options = {}) => {
+            try {
+                const summary = await this.executor.executeWorkflow(workflowId, dataSourceId, options);
+                return { success: true, data: summary };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('workflow:pause', async () => {
+            return this.executor.pause()
+                ? { success: true }
+                : { success: false, message: 'Duraklatılacak çalışan workflow yok' };
+        });
+
+        ipcMain.handle('workflow:resume', async () => {
+            return this.executor.resume()
+                ? { success: true }
+                : { success: false, message: 'Duraklatılmış workflow yok' };
+        });
+
+        ipcMain.handle('workflow:stop', async () => {
+            const stopped = this.executor.stop();
+            return stopped
+                ? { success: true }
+                : { success: false, message: 'Çalışan workflow yok' };
+        });
+
+        ipcMain.handle('workflow:continue', async () => {
+            return this.executor.continueExecution()
+                ? { success: true }
+                : { success: false, message: 'Onay bekleyen adım yok' };
+        });
+
+        ipcMain.handle('workflow:status', async () => {
+            return { success: true, data: this.executor.getStatus() };
+        });
+
+        ipcMain.handle('workflow:getCheckpoint', async (event, workflowId, dataSourceId) => {
+            try {
+                return { success: true, data: this.checkpoints.getOpen(workflowId, dataSourceId) };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('workflow:discardCheckpoint', async (event, id) => {
+            try {
+                this.checkpoints.discard(id);
+                return { success: true };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        // Steps as the editor holds them (unsaved rows included), in display order.
+        // workflowId (null for a new workflow) lets call_workflow cycles be found.
+        ipcMain.handle('workflow:validateFlow', async (event, steps = [], workflowId = null) => {
+            try {
+                const normalized = steps.map((step, index) => normalizeStep({ ...step, step_order: index + 1 }));
+                const { problems } = compileFlow(normalized);
+                const calls = await loadCallGraph(this.databaseManager, workflowId, normalized);
+                return { success: true, data: [...problems, ...calls.problems] };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        // ==================== BROWSER ====================
+
+        ipcMain.handle('browser:discover', async () => {
+            try {
+                const choices = await this.discovery.getChoices();
+                return { success: true, data: choices };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('workflow:selectBrowser', async (event, choice) => {
+            return this.discovery.select(choice);
+        });
+
+        // ==================== SELECTOR SUGGESTIONS ====================
+
+        ipcMain.handle('selectors:getSuggestions', async (event, workflowId) => {
+            try {
+                return { success: true, data: this.suggestions.getPending(workflowId) };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('selectors:resolveSuggestion', async (event, id, status) => {
+            try {
+                return { success: true, data: this.suggestions.resolve(id, status) };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        // stepIds: { eskiStepId: yeniStepId } - tasarımcı adımları silip yeniden oluşturur
+        ipcMain.handle('selectors:rekeySuggestions', async (event, workflowId, stepIds = {}) => {
+            try {
+                return { success: true, data: this.suggestions.rekey(workflowId, stepIds || {}) };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        // ==================== GRADE SCALES ====================
+
+        ipcMain.handle('grades:getScales', async () => {
+            try {
+                return { success: true, data: this.gradeScales.getAll() };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('grades:saveScale', async (event, scale) => {
+            try {
+                return { success: true, data: this.gradeScales.save(scale) };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('grades:deleteScale', async (event, id) => {
+            try {
+                this.gradeScales.delete(id);
+                return { success: true };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('grades:getAssignments', async () => {
+            try {
+                return { success: true, data: this.gradeScales.getAssignments() };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('grades:assign', async (event, targetType, target, scaleId) => {
+            try {
+                this.gradeScales.assign(targetType, target, scaleId);
+                return { success: true, data: this.gradeScales.getAssignments() };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('grades:unassign', async (event, id) => {
+            try {
+                this.gradeScales.unassign(id);
+                return { success: true, data: this.gradeScales.getAssignments() };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        // İçe aktarma önizlemesi: kayıtlar kaydedilmeden harf notları hesaplanır
+        ipcMain.handle('grades:preview', async (event, records) => {
+            try {
+                return { success: true, data: annotateRecords(records || [], this.gradeScales.resolver()) };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        // ==================== RUN HISTORY ====================
+
+        // filters: { workflowId, status, limit }
+        ipcMain.handle('runs:getAll', async (event, filters = {}) => {
+            try {
+                return { success: true, data: this.runs.getAll(filters) };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('runs:get', async (event, id) => {
+            try {
+                const run = this.runs.get(id);
+                return run
+                    ? { success: true, data: run }
+                    : { success: false, message: `Çalışma bulunamadı: ${id}` };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('runs:getRecords', async (event, runId) => {
+            try {
+                return { success: true, data: this.runs.getRecords(runId) };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        // format: 'html' | 'pdf'; data: kaydedilen dosya yolu, iptal edilirse null
+        ipcMain.handle('runs:exportReport', async (event, runId, format = 'html') => {
+            try {
+                if (!['html', 'pdf'].includes(format)) {
+                    return { success: false, message: `Desteklenmeyen rapor biçimi: ${format}` };
+                }
+                const run = this.runs.get(runId);
+                if (!run) {
+                    return { success: false, message: `Çalışma bulunamadı: ${runId}` };
+                }
+
+                const filePath = await this._askSavePath(`calisma-raporu-${run.id}.${format}`, format === 'pdf'
+                    ? { name: 'PDF', extensions: ['pdf'] }
+                    : { name: 'HTML', extensions: ['html'] });
+                if (!filePath) {
+                    return { success: true, data: null };
+                }
+
+                const html = buildRunReport(run, this.runs.getRecords(run.id), (id) => {
+                    const artifact = this.artifacts.load(id);
+                    return artifact ? artifact.content : null;
+                });
+                if (format === 'pdf') {
+                    await this._printToPdf(html, filePath);
+                } else {
+                    fs.writeFileSync(filePath, html, 'utf8');
+                }
+                return { success: true, data: filePath };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        ipcMain.handle('runs:delete', async (event, id) => {
+            try {
+                this.artifacts.deleteRun(id);
+                this.runs.delete(id);
+                return { success: true };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        // db:clearOldLogs'un çalışma geçmişi karşılığı: eski çalışmalar, kayıtları, logları ve artifact'ları
+        ipcMain.handle('runs:clearOld', async (event, daysToKeep) => {
+            try {
+                const ids = this.runs.clearOld(daysToKeep);
+                ids.forEach(id => this.artifacts.deleteRun(id));
+                return { success: true, data: ids.length };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        // ==================== LOGS ====================
+
+        // filters: see log-query.js; data: { logs (newest first), nextCursor }
+        ipcMain.handle('logs:query', async (event, filters = {}, limit) => {
+            try {
+                return { success: true, data: this.runs.queryLogs(filters || {}, limit) };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        // format: 'csv' | 'jsonl'; data: { filePath, count }, iptal edilirse null
+        ipcMain.handle('logs:export', async (event, filters = {}, format = 'csv') => {
+            try {
+                if (!LOG_EXPORT_FORMATS.includes(format)) {
+                    return { success: false, message: `Desteklenmeyen export biçimi: ${format}` };
+                }
+                const date = new Date().toISOString().slice(0, 10);
+                const filePath = await this._askSavePath(`loglar-${date}.${format}`, format === 'csv'
+                    ? { name: 'CSV', extensions: ['csv'] }
+                    : { name: 'JSON Lines', extensions: ['jsonl'] });
+                if (!filePath) {
+                    return { success: true, data: null };
+                }
+
+                const count = writeLogExport(this.runs, filters || {}, format, filePath);
+                return { success: true, data: { filePath, count } };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        // ==================== ARTIFACTS ====================
+
+        // data: { id, kind, mime_type, created_at, content (ekran görüntüsünde data URL, DOM'da HTML) }
+        ipcMain.handle('artifacts:get', async (event, id) => {
+            try {
+                const artifact = this.artifacts.load(id);
+                return artifact
+                    ? { success: true, data: artifact }
+                    : { success: false, message: 'Kayıt saklama süresi dolduğu için silinmiş' };
+            } catch (error) {
+                return { success: false, message: error.message };
+            }
+        });
+
+        // Canlı mod: yalnızca filtreye uyan yeni satırlar logs:appended ile gönderilir
+        ipcMain.handle('logs:subscribe', async (event, filters = {}) => {
+            this.logSubscription = filters || {};
+            return { success: true };
+        });
+
+        ipcMain.handle('logs:unsubscribe', async () => {
+            this.logSubscription = null;
+            this.logBuffer = [];
+            return { success: true };
+        });
+
+        console.log('✅ IPC Handlers registered');
+    }
+
+    /**
+     * Queue a new log line for the live stream. Lines are sent in batches
+     * so a busy run does not flood the renderer with one message per line.
+     */
+    _streamLog(row) {
+        if (!this.logSubscription || !matchesLogFilters(row, this.logSubscription)) {
+            return;
+        }
+        this.logBuffer.push(row);
+        if (!this.logFlushTimer) {
+            this.logFlushTimer = setTimeout(() => {
+                this.logFlushTimer = null;
+                const rows = this.logBuffer;
+                this.logBuffer = [];
+                if (rows.length > 0) {
+                    this.sendToRenderer('logs:appended', rows);
+                }
+            }, LOG_STREAM_INTERVAL);
+        }
+    }
+
+    /**
+     * @returns {Promise<string|null>} chosen path, null when cancelled
+     */
+    async _askSavePath(defaultName, filter) {
+        const options = {
+            defaultPath: defaultName,
+            filters: [filter]
+        };
+        const window = this.getMainWindow();
+        const result = window && !window.isDestroyed()
+            ? await dialog.showSaveDialog(window, options)
+            : await dialog.showSaveDialog(options);
+        return result.canceled ? null : result.filePath;
+    }
+
+    /**
+     * Render the HTML in a hidden window and save it as an A4 PDF. The page
+     * is loaded from a temp file, since embedded screenshots can exceed
+     * what a data: URL may hold.
+     */
+    async _printToPdf(html, filePath) {
+        const tempPath = path.join(os.tmpdir(), `edubot-rapor-${Date.now()}.html`);
+        const window = new BrowserWindow({
+            show: false,
+            webPreferences: { javascript: false }
+        });
+        try {
+            fs.writeFileSync(tempPath, html, 'utf8');
+            await window.loadFile(tempPath);
+            const pdf = await window.webContents.printToPDF({
+                printBackground: true,
+                pageSize: 'A4'
+            });
+            fs.writeFileSync(filePath, pdf);
+        } finally {
+            window.destroy();
+            fs.rmSync(tempPath, { force: true });
+        }
+    }
+
+    /**
+     * Send an event to the renderer (e.g. browser-selection-required).
+     */
+    sendToRenderer(channel, data) {
+        const window = this.getMainWindow();
+        if (window && !window.isDestroyed()) {
+            window.webContents.send(channel, data);
+        }
     }
 }
 
@@ -0,0 +1,120 @@
+/**
+ * Log Export
+ *
+ * Writes the run history's log lines matching the LogViewer filters
+ * (log-query.js) to a file, newest first, a page at a time so large
+ * histories never sit in memory at once.
+ *
+ * - csv: `;`-separated with a UTF-8 BOM and Turkish headers, dates and
+ *   level names, so it opens as columns in a Turkish Excel; text cells
+ *   starting with = + - @ get a leading ' so Excel never runs them
+ * - jsonl: one JSON object per line with the raw columns, an ISO
+ *   created_at and the run's workflow name and operator
+ */
+
+const fs = require('fs');
+const { MAX_LIMIT, fromSqlTimestamp } = require('./log-query');
+
+const FORMATS = ['csv', 'jsonl'];
+
+const LEVEL_LABELS = {
+    info: 'Bilgi',
+    success: 'Başarılı',
+    warning: 'Uyarı',
+    error: 'Hata',
+    debug: 'Debug'
+};
+
+const CSV_COLUMNS = [
+    ['Tarih', (row) => formatDate(row.created_at)],
+    ['Seviye', (row) => LEVEL_LABELS[row.status] || row.status],
+    ['Çalışma', (row) => row.run_id],
+    ['Workflow', (row, run) => (run && run.workflow_name) || row.workflow_id],
+    ['Operatör', (row, run) => (run && run.operator) || ''],
+    ['Kayıt', (row) => (row.record_index === null ? '' : row.record_index + 1)],
+    ['Adım', (row) => row.step_id ?? ''],
+    ['Mesaj', (row) => row.message],
+    ['Detay', (row) => row.error_details],
+    ['Süre (ms)', (row) => row.execution_time ?? '']
+];
+
+function formatDate(value) {
+    const date = fromSqlTimestamp(value);
+    return date ? date.toLocaleString('tr-TR') : '';
+}
+
+// Sayfa metni ve kayıt değerleri içeren hücreler Excel'de formül olarak çalışmasın
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return `${values.map(csvCell).join(';')}\r\n`;
+}
+
+function jsonLine(row, run) {
+    const date = fromSqlTimestamp(row.created_at);
+    return `${JSON.stringify({
+        ...row,
+        created_at: date ? date.toISOString() : null,
+        workflow_name: run ? run.workflow_name : null,
+        operator: run ? run.operator : null
+    })}\n`;
+}
+
+/**
+ * @param {Object} runStore - RunStore
+ * @param {Object} filters - see log-query.js (cursor is ignored)
+ * @param {string} format - csv | jsonl
+ * @param {string} filePath
+ * @returns {number} lines written
+ */
+function writeLogExport(runStore, filters, format, filePath) {
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Desteklenmeyen export biçimi: ${format}`);
+    }
+
+    const runs = new Map();
+    const runOf = (runId) => {
+        if (!runs.has(runId)) {
+            runs.set(runId, runStore.get(runId));
+        }
+        return runs.get(runId);
+    };
+
+    const fd = fs.openSync(filePath, 'w');
+    let count = 0;
+    try {
+        if (format === 'csv') {
+            fs.writeSync(fd, `\uFEFF${csvLine(CSV_COLUMNS.map(([header]) => header))}`);
+        }
+
+        let cursor = null;
+        do {
+            const page = runStore.queryLogs({ ...filters, cursor }, MAX_LIMIT);
+            const chunk = page.logs.map((row) => {
+                const run = runOf(row.run_id);
+                return format === 'csv'
+                    ? csvLine(CSV_COLUMNS.map(([, value]) => value(row, run)))
+                    : jsonLine(row, run);
+            }).join('');
+            if (chunk) {
+                fs.writeSync(fd, chunk);
+            }
+            count += page.logs.length;
+            cursor = page.nextCursor;
+        } while (cursor);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return count;
+}
+
+module.exports = {
+    FORMATS,
+    writeLogExport
+};
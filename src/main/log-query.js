@@ -0,0 +1,144 @@
+/**
+ * Log Query
+ *
+ * Filters over the run history's log lines (run_logs), shared by the paged
+ * query behind logs:query and the live log stream, so both show the
+ * same lines for the same filters:
+ *
+ *   {
+ *     workflowId, runId,
+ *     recordIndex,          // number, or null for lines without a record
+ *     levels: ['error'],    // status values; empty = all
+ *     from, to,             // ISO timestamps (inclusive)
+ *     text,                 // case-insensitive match in message / error details
+ *     cursor                // id of the last line of the previous page
+ *   }
+ *
+ * Pages are newest first; paging by id keeps every page an index range
+ * scan however many rows the table holds.
+ */
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+/**
+ * ISO (or anything Date parses) → SQLite CURRENT_TIMESTAMP format (UTC).
+ * @returns {string|null}
+ */
+function toSqlTimestamp(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Geçersiz tarih: ${value}`);
+    }
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * SQLite timestamp (UTC, no zone) → Date.
+ * @returns {Date|null}
+ */
+function fromSqlTimestamp(value) {
+    if (!value) return null;
+    const text = String(value);
+    return new Date(text.includes('T') ? text : `${text.replace(' ', 'T')}Z`);
+}
+
+function normalizeLimit(limit) {
+    const value = parseInt(limit, 10);
+    if (!value || value < 1) return DEFAULT_LIMIT;
+    return Math.min(value, MAX_LIMIT);
+}
+
+function levelsOf(filters) {
+    const levels = filters.levels || (filters.level ? [filters.level] : []);
+    return levels.filter(Boolean);
+}
+
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+/**
+ * @returns {{ sql: string, params: Array }} one page plus one row to tell
+ *   whether another page follows
+ */
+function buildLogQuery(filters = {}, limit) {
+    const where = [];
+    const params = [];
+
+    if (filters.workflowId) {
+        where.push('workflow_id = ?');
+        params.push(filters.workflowId);
+    }
+    if (filters.runId) {
+        where.push('run_id = ?');
+        params.push(filters.runId);
+    }
+    if (filters.recordIndex !== undefined) {
+        where.push('record_index IS ?');
+        params.push(filters.recordIndex);
+    }
+    const levels = levelsOf(filters);
+    if (levels.length > 0) {
+        where.push(`status IN (${levels.map(() => '?').join(', ')})`);
+        params.push(...levels);
+    }
+    if (filters.from) {
+        where.push('created_at >= ?');
+        params.push(toSqlTimestamp(filters.from));
+    }
+    if (filters.to) {
+        where.push('created_at <= ?');
+        params.push(toSqlTimestamp(filters.to));
+    }
+    if (filters.text && filters.text.trim()) {
+        const pattern = `%${escapeLike(filters.text.trim())}%`;
+        where.push("(message LIKE ? ESCAPE '\\' OR error_details LIKE ? ESCAPE '\\')");
+        params.push(pattern, pattern);
+    }
+    if (filters.cursor) {
+        where.push('id < ?');
+        params.push(filters.cursor);
+    }
+
+    params.push(normalizeLimit(limit) + 1);
+    return {
+        sql: `SELECT * FROM run_logs
+            ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+            ORDER BY id DESC
+            LIMIT ?`,
+        params
+    };
+}
+
+/**
+ * Same filters for a single line (live stream); the cursor does not apply.
+ */
+function matchesLogFilters(row, filters = {}) {
+    if (filters.workflowId && Number(row.workflow_id) !== Number(filters.workflowId)) return false;
+    if (filters.runId && Number(row.run_id) !== Number(filters.runId)) return false;
+    if (filters.recordIndex !== undefined && (row.record_index ?? null) !== filters.recordIndex) return false;
+
+    const levels = levelsOf(filters);
+    if (levels.length > 0 && !levels.includes(row.status)) return false;
+    if (filters.from && row.created_at < toSqlTimestamp(filters.from)) return false;
+    if (filters.to && row.created_at > toSqlTimestamp(filters.to)) return false;
+
+    if (filters.text && filters.text.trim()) {
+        const text = filters.text.trim().toLowerCase();
+        const haystack = `${row.message || ''}\n${row.error_details || ''}`.toLowerCase();
+        if (!haystack.includes(text)) return false;
+    }
+    return true;
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    buildLogQuery,
+    fromSqlTimestamp,
+    matchesLogFilters,
+    normalizeLimit,
+    toSqlTimestamp
+};
@@ -0,0 +1,107 @@
+/**
+ * Login Detector
+ *
+ * Recognizes a login wall for one screen. The detector is stored as JSON in
+ * `screens.login_detector` and any of its rules may be set:
+ *
+ *   {
+ *     urlPattern: "/Account/Login" | "/giris|login/i",  // substring or /regex/flags
+ *     selector:   "#loginForm input[type=password]",
+ *     text:       "Oturumunuz sona erdi"
+ *   }
+ *
+ * A page counts as the login page when any configured rule matches.
+ */
+
+const SimpleSelector = require('./simple-selector-demo');
+const { ensureColumn } = require('./schema-utils');
+
+class LoginDetector {
+    /**
+     * @param {Object} config - { urlPattern, selector, text }
+     */
+    constructor(config = {}) {
+        this.urlPattern = config.urlPattern || '';
+        this.selector = config.selector || '';
+        this.text = config.text || '';
+        this.urlMatcher = buildUrlMatcher(this.urlPattern);
+    }
+
+    /**
+     * @param {Object|null} screen - row from db:getScreen
+     * @returns {LoginDetector|null} null when the screen has no rules
+     */
+    static fromScreen(screen) {
+        if (!screen || !screen.login_detector) {
+            return null;
+        }
+        let config = screen.login_detector;
+        if (typeof config === 'string') {
+            try {
+                config = JSON.parse(config);
+            } catch (error) {
+                console.warn(`⚠️ Ekran ${screen.id} için login ayarı okunamadı:`, error.message);
+                return null;
+            }
+        }
+        const detector = new LoginDetector(config);
+        return detector.isConfigured() ? detector : null;
+    }
+
+    isConfigured() {
+        return !!(this.urlPattern || this.selector || this.text);
+    }
+
+    /**
+     * @param {import('puppeteer').Page} page
+     * @returns {Promise<{ loggedOut: boolean, reason: string|null }>}
+     */
+    async check(page) {
+        if (this.urlMatcher && this.urlMatcher(page.url())) {
+            return { loggedOut: true, reason: `URL eşleşti: ${page.url()}` };
+        }
+
+        if (this.selector) {
+            const result = await new SimpleSelector(page).findElement(this.selector, { visible: true, heal: false });
+            if (result.element) {
+                await result.element.dispose();
+                return { loggedOut: true, reason: `Login elementi bulundu: ${this.selector}` };
+            }
+        }
+
+        if (this.text) {
+            const found = await page.evaluate(
+                (text) => !!document.body && document.body.innerText.includes(text),
+                this.text
+            );
+            if (found) {
+                return { loggedOut: true, reason: `Login metni bulundu: "${this.text}"` };
+            }
+        }
+
+        return { loggedOut: false, reason: null };
+    }
+}
+
+function buildUrlMatcher(pattern) {
+    if (!pattern) {
+        return null;
+    }
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        const expression = new RegExp(regex[1], regex[2]);
+        return (url) => expression.test(url);
+    }
+    return (url) => url.includes(pattern);
+}
+
+/**
+ * Adds the login_detector column to screens on databases created before it existed.
+ * @param {import('better-sqlite3').Database} db
+ */
+function ensureLoginDetectorColumn(db) {
+    ensureColumn(db, 'screens', 'login_detector', 'TEXT');
+}
+
+module.exports = LoginDetector;
+module.exports.ensureLoginDetectorColumn = ensureLoginDetectorColumn;
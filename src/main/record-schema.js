@@ -0,0 +1,61 @@
+/**
+ * Record Schema
+ *
+ * The fields a workflow expects from its data source, kept in
+ * `workflows.record_schema` as a JSON array:
+ *
+ *   [
+ *     { name: 'student_no', type: 'string', required: true, validator: 'student_no' },
+ *     { name: 'grade', type: 'number', required: true, validator: 'grade_range' },
+ *     { name: 'letter_grade', type: 'string', required: false, validator: 'letter_grade' }
+ *   ]
+ *
+ * The import wizard (renderer/utils/field-validators.js) maps source
+ * columns onto these fields and checks every row; here the run preflight
+ * only makes sure the chosen data source has the required fields.
+ */
+
+const { ensureColumn } = require('./schema-utils');
+
+/**
+ * @param {Array|string|null} value - workflows.record_schema
+ * @returns {Object[]} fields with a name
+ */
+function parseRecordSchema(value) {
+    if (!value) return [];
+    let fields = value;
+    if (typeof value === 'string') {
+        try {
+            fields = JSON.parse(value);
+        } catch (error) {
+            return [];
+        }
+    }
+    return Array.isArray(fields) ? fields.filter(field => field && field.name) : [];
+}
+
+/**
+ * Required fields that no record of the data source has.
+ * @param {Object[]} fields - parseRecordSchema result
+ * @param {string[]} columns - collectColumns(records)
+ * @returns {string[]}
+ */
+function missingRequiredFields(fields, columns) {
+    return fields
+        .filter(field => field.required && !columns.includes(field.name))
+        .map(field => field.name);
+}
+
+/**
+ * Adds workflows.record_schema on databases created before it existed.
+ * @param {import('better-sqlite3').Database} db
+ */
+function ensureRecordSchemaColumn(db) {
+    ensureColumn(db, 'workflows', 'record_schema', 'TEXT');
+}
+
+module.exports = {
+    parseRecordSchema,
+    missingRequiredFields,
+    ensureRecordSchemaColumn
+};
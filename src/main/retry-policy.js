@@ -0,0 +1,147 @@
+/**
+ * Retry Policy
+ *
+ * A policy says how often a failing step (or a whole record) is tried again,
+ * how long to wait in between and which errors are worth retrying:
+ *
+ *   {
+ *     maxAttempts: 3,                 // 1 = no retry
+ *     backoff: 'exponential',         // 'fixed' | 'linear' | 'exponential'
+ *     initialDelay: 1000,             // ms before the second attempt
+ *     maxDelay: 30000,
+ *     retryOn: ['element-not-found', 'navigation-timeout', 'detached-frame']
+ *   }
+ *
+ * The workflow keeps its policies in `workflows.retry_policy` as
+ * { step: {...}, record: {...} }; a step overrides the step policy with
+ * `config.retry`. Unset fields fall back to the level above.
+ */
+
+const { ensureColumn } = require('./schema-utils');
+
+/**
+ * Error class name → matcher. Puppeteer reports most of these with plain
+ * Error/TimeoutError instances, so matching is by code, name and message.
+ */
+const ERROR_CLASSES = {
+    'element-not-found': (error) => error.code === 'ELEMENT_NOT_FOUND',
+    'navigation-timeout': (error) => error.name === 'TimeoutError' && /navigation/i.test(error.message),
+    'timeout': (error) => error.name === 'TimeoutError',
+    'detached-frame': (error) =>
+        /detached frame|frame (got|was) detached|execution context was destroyed|target closed|session closed/i.test(error.message),
+    'assertion': (error) => error.code === 'ASSERTION_FAILED',
+    'any': () => true
+};
+
+const DEFAULT_STEP_POLICY = {
+    maxAttempts: 1,
+    backoff: 'exponential',
+    initialDelay: 1000,
+    maxDelay: 30000,
+    retryOn: ['element-not-found', 'navigation-timeout', 'detached-frame']
+};
+
+const DEFAULT_RECORD_POLICY = {
+    ...DEFAULT_STEP_POLICY,
+    retryOn: ['any']
+};
+
+/**
+ * @param {...Object} layers - least to most specific; null/undefined skipped
+ * @returns {Object} complete policy
+ */
+function resolvePolicy(...layers) {
+    const policy = {};
+    for (const layer of layers) {
+        if (!layer) continue;
+        for (const [key, value] of Object.entries(layer)) {
+            if (value !== undefined && value !== null && value !== '') {
+                policy[key] = value;
+            }
+        }
+    }
+    policy.maxAttempts = Math.max(1, parseInt(policy.maxAttempts, 10) || 1);
+    policy.initialDelay = Math.max(0, parseInt(policy.initialDelay, 10) || 0);
+    policy.maxDelay = Math.max(policy.initialDelay, parseInt(policy.maxDelay, 10) || policy.initialDelay);
+    policy.retryOn = Array.isArray(policy.retryOn) ? policy.retryOn : [];
+    return policy;
+}
+
+/**
+ * @param {Object|string|null} workflowPolicy - workflows.retry_policy
+ * @returns {{ step: Object, record: Object }}
+ */
+function parseWorkflowPolicy(workflowPolicy) {
+    let parsed = workflowPolicy || {};
+    if (typeof parsed === 'string') {
+        try {
+            parsed = JSON.parse(parsed);
+        } catch (error) {
+            console.warn('⚠️ Workflow retry ayarı okunamadı:', error.message);
+            parsed = {};
+        }
+    }
+    return {
+        step: resolvePolicy(DEFAULT_STEP_POLICY, parsed.step),
+        record: resolvePolicy(DEFAULT_RECORD_POLICY, parsed.record)
+    };
+}
+
+/**
+ * @returns {string|null} first matching class from the policy's retryOn
+ */
+function classifyError(error, retryOn) {
+    if (!error) return null;
+    return retryOn.find(name => ERROR_CLASSES[name] && ERROR_CLASSES[name](error)) || null;
+}
+
+/**
+ * Delay before attempt number `attempt + 1` (attempt is 1-based).
+ */
+function computeDelay(policy, attempt) {
+    let delay;
+    switch (policy.backoff) {
+        case 'fixed':
+            delay = policy.initialDelay;
+            break;
+        case 'linear':
+            delay = policy.initialDelay * attempt;
+            break;
+        case 'exponential':
+        default:
+            delay = policy.initialDelay * Math.pow(2, attempt - 1);
+            break;
+    }
+    return Math.min(delay, policy.maxDelay);
+}
+
+/**
+ * @returns {{ retry: boolean, errorClass: string|null, delay: number }}
+ */
+function shouldRetry(policy, error, attempt) {
+    const errorClass = classifyError(error, policy.retryOn);
+    if (!errorClass || attempt >= policy.maxAttempts) {
+        return { retry: false, errorClass, delay: 0 };
+    }
+    return { retry: true, errorClass, delay: computeDelay(policy, attempt) };
+}
+
+/**
+ * Adds workflows.retry_policy on databases created before it existed.
+ * @param {import('better-sqlite3').Database} db
+ */
+function ensureRetryPolicyColumn(db) {
+    ensureColumn(db, 'workflows', 'retry_policy', 'TEXT');
+}
+
+module.exports = {
+    ERROR_CLASSES,
+    DEFAULT_STEP_POLICY,
+    DEFAULT_RECORD_POLICY,
+    resolvePolicy,
+    parseWorkflowPolicy,
+    classifyError,
+    computeDelay,
+    shouldRetry,
+    ensureRetryPolicyColumn
+};
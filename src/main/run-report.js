@@ -0,0 +1,224 @@
+/**
+ * Run Report
+ *
+ * Builds a self-contained HTML report of one run from the run history
+ * (run-store.js): workflow and version, operator, time window, totals and
+ * one row per student/record with its outcome. Screenshots of failed
+ * records are loaded from the artifact store when the report is built and
+ * embedded as data URLs, so the file can be mailed or archived on its own
+ * and printed to PDF as is; screenshots already pruned are left out.
+ *
+ * All labels, dates and numbers are Turkish (tr-TR).
+ */
+
+const { fromSqlTimestamp } = require('./log-query');
+
+// Öğrenci kayıtlarında bilinen alanlar; hiçbiri yoksa kaydın ilk alanları gösterilir
+const STUDENT_FIELDS = [
+    ['student_no', 'Öğrenci No'],
+    ['student_name', 'Ad Soyad'],
+    ['course_code', 'Ders'],
+    ['numeric_grade', 'Not'],
+    ['letter_grade', 'Harf Notu']
+];
+const FALLBACK_FIELD_COUNT = 3;
+
+const RUN_STATUSES = {
+    running: 'Çalışıyor',
+    completed: 'Tamamlandı',
+    stopped: 'Durduruldu',
+    failed: 'Başarısız',
+    interrupted: 'Yarıda kesildi'
+};
+
+const RECORD_STATUSES = {
+    success: 'Başarılı',
+    error: 'Hata',
+    skipped: 'Atlandı',
+    stopped: 'Durduruldu'
+};
+
+const STYLE = `
+    body { font-family: "Segoe UI", Arial, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+    .subtitle { color: #666; margin-bottom: 16px; }
+    .summary { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }
+    .summary dt { font-weight: 600; color: #555; }
+    .summary dd { margin: 0; }
+    .totals { display: flex; gap: 12px; margin-top: 12px; }
+    .total { border: 1px solid #ddd; border-radius: 4px; padding: 6px 12px; text-align: center; }
+    .total strong { display: block; font-size: 16px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #f3f3f3; }
+    tr { page-break-inside: avoid; }
+    .status-success { color: #1e7e34; }
+    .status-error { color: #c82333; font-weight: 600; }
+    .status-skipped, .status-stopped { color: #856404; }
+    .error { color: #c82333; }
+    .failure { page-break-inside: avoid; margin-bottom: 16px; }
+    .failure img { max-width: 100%; border: 1px solid #ccc; }
+    footer { margin-top: 24px; color: #888; font-size: 10px; }
+`;
+
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDate(value) {
+    const date = fromSqlTimestamp(value);
+    return date ? date.toLocaleString('tr-TR') : '-';
+}
+
+function formatNumber(value) {
+    return typeof value === 'number' ? value.toLocaleString('tr-TR') : escapeHtml(value);
+}
+
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) return '-';
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) {
+        return ms < 1000 ? `${formatNumber(ms)} ms` : `${seconds} sn`;
+    }
+    const minutes = Math.floor(seconds / 60);
+    return minutes >= 60
+        ? `${Math.floor(minutes / 60)} sa ${minutes % 60} dk`
+        : `${minutes} dk ${seconds % 60} sn`;
+}
+
+/**
+ * Columns describing each record: the known student fields present in
+ * the run's records, else the first fields of the first record.
+ * @returns {Array<[string, string]>} [field, header]
+ */
+function recordColumns(records) {
+    const data = records.map(record => record.record_data || {});
+    const known = STUDENT_FIELDS.filter(([field]) => data.some(row => row[field] !== undefined));
+    if (known.length > 0) return known;
+
+    const first = data.find(row => Object.keys(row).length > 0) || {};
+    return Object.keys(first)
+        .filter(key => !key.startsWith('_'))
+        .slice(0, FALLBACK_FIELD_COUNT)
+        .map(key => [key, key]);
+}
+
+function recordLabel(record, columns) {
+    const data = record.record_data || {};
+    const parts = columns.map(([field]) => data[field]).filter(value => value !== undefined && value !== '');
+    return parts.length > 0 ? parts.join(' · ') : `Kayıt ${record.record_index + 1}`;
+}
+
+/**
+ * @param {Object} run - RunStore.get()
+ * @param {Array} records - RunStore.getRecords()
+ * @param {Function} [loadScreenshot] - artifact id → data URL, or null once removed
+ * @returns {string} HTML document
+ */
+function buildRunReport(run, records, loadScreenshot = () => null) {
+    const columns = recordColumns(records);
+    const started = fromSqlTimestamp(run.started_at);
+    const ended = fromSqlTimestamp(run.ended_at);
+    const workflowName = run.workflow_name || `Workflow ${run.workflow_id}`;
+    const screenshots = new Map();
+    for (const record of records) {
+        const screenshot = record.screenshot_id ? loadScreenshot(record.screenshot_id) : null;
+        if (screenshot) {
+            screenshots.set(record.record_index, screenshot);
+        }
+    }
+    const failures = records.filter(record => screenshots.has(record.record_index));
+
+    const summary = [
+        ['Workflow', escapeHtml(workflowName)],
+        ['Workflow sürümü', `<code>${escapeHtml(run.workflow_version || '-')}</code>`],
+        ['Operatör', escapeHtml(run.operator || '-')],
+        ['Başlangıç', formatDate(run.started_at)],
+        ['Bitiş', formatDate(run.ended_at)],
+        ['Süre', started && ended ? formatDuration(ended - started) : '-'],
+        ['Durum', escapeHtml(RUN_STATUSES[run.status] || run.status)],
+        ['Veri kaynağı', run.data_source_id ? `#${run.data_source_id}` : 'Yok (tek sefer)']
+    ];
+    if (run.resumed_from !== null && run.resumed_from !== undefined) {
+        summary.push(['Devam edilen kayıt', formatNumber(run.resumed_from + 1)]);
+    }
+
+    const totals = [
+        ['Toplam', run.total_records],
+        ['Başarılı', run.success_count],
+        ['Hata', run.error_count],
+        ['Atlandı', run.skipped_count]
+    ];
+
+    const rows = records.map(record => `
+            <tr>
+                <td>${formatNumber(record.record_index + 1)}</td>
+                ${columns.map(([field]) => `<td>${formatNumber((record.record_data || {})[field])}</td>`).join('')}
+                <td class="status-${escapeHtml(record.status)}">${escapeHtml(RECORD_STATUSES[record.status] || record.status)}</td>
+                <td>${formatDuration(record.duration)}</td>
+                <td>${formatDate(record.created_at)}</td>
+                <td>${escapeHtml(record.message)}${screenshots.has(record.record_index) ? ` <a href="#kayit-${record.record_index}">(ekran görüntüsü)</a>` : ''}</td>
+            </tr>`).join('');
+
+    const failureSections = failures.map(record => `
+        <div class="failure" id="kayit-${record.record_index}">
+            <h3>Kayıt ${formatNumber(record.record_index + 1)}: ${escapeHtml(recordLabel(record, columns))}</h3>
+            <p class="error">${escapeHtml(record.message)}</p>
+            <img src="${escapeHtml(screenshots.get(record.record_index))}" alt="Kayıt ${record.record_index + 1} ekran görüntüsü">
+        </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+    <meta charset="utf-8">
+    <title>Çalışma Raporu #${run.id} - ${escapeHtml(workflowName)}</title>
+    <style>${STYLE}</style>
+</head>
+<body>
+    <h1>Çalışma Raporu #${run.id}</h1>
+    <div class="subtitle">${escapeHtml(workflowName)} · ${formatDate(run.started_at)}</div>
+
+    <dl class="summary">
+        ${summary.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('\n        ')}
+    </dl>
+    ${run.error_message ? `<p class="error">Çalışma hatası: ${escapeHtml(run.error_message)}</p>` : ''}
+
+    <div class="totals">
+        ${totals.map(([label, value]) => `<div class="total"><strong>${formatNumber(value || 0)}</strong>${label}</div>`).join('\n        ')}
+    </div>
+
+    <h2>Kayıt Sonuçları</h2>
+    ${records.length === 0 ? '<p>Bu çalışmada işlenmiş kayıt yok.</p>' : `
+    <table>
+        <thead>
+            <tr>
+                <th>#</th>
+                ${columns.map(([, header]) => `<th>${escapeHtml(header)}</th>`).join('')}
+                <th>Durum</th>
+                <th>Süre</th>
+                <th>Zaman</th>
+                <th>Mesaj</th>
+            </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>`}
+
+    ${failures.length > 0 ? `<h2>Hata Ekran Görüntüleri</h2>${failureSections}` : ''}
+
+    <footer>Oluşturulma: ${new Date().toLocaleString('tr-TR')}</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    buildRunReport
+};
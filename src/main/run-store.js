@@ -0,0 +1,325 @@
+/**
+ * Run Store
+ *
+ * History of workflow runs: one row per execution with its workflow
+ * version, data source, operator, options, totals and outcome, one row per
+ * processed record (with the id of the screenshot of the page it failed
+ * on), and a copy of every log line the executor writes during the run.
+ * The log copy has the columns of logs.create (workflowId, stepId,
+ * recordIndex, status, message, errorDetails, executionTime) plus the run
+ * id, so the history view can drill from a run to a record to its steps,
+ * and the ids of the screenshot and DOM snapshot taken with the line.
+ * Screenshots themselves live in the artifact store (artifact-store.js)
+ * and follow its retention limits.
+ *
+ * Status: running → completed | stopped | failed. Runs still `running`
+ * when the app starts were cut off by a crash and become `interrupted`.
+ *
+ * Log lines can be searched with the filters of log-query.js; every new
+ * line is also handed to `onLog`, which feeds the live log stream.
+ * run_logs duplicates what the executor writes to the logs table, so it
+ * gets the same age-based cleanup (clearOld), whole runs at a time.
+ *
+ * Tables: runs, run_records, run_logs
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const { buildLogQuery, normalizeLimit, toSqlTimestamp } = require('./log-query');
+const { ensureColumn } = require('./schema-utils');
+
+const DEFAULT_LIMIT = 100;
+
+class RunStore {
+    /**
+     * @param {import('better-sqlite3').Database} db
+     * @param {Object} options - { onLog: (row) => void, called for every new log line }
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.onLog = options.onLog || (() => {});
+        this.init();
+    }
+
+    init() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                workflow_id INTEGER NOT NULL,
+                workflow_name TEXT,
+                workflow_version TEXT,
+                data_source_id INTEGER,
+                options TEXT,
+                status TEXT NOT NULL DEFAULT 'running',
+                total_records INTEGER NOT NULL DEFAULT 0,
+                success_count INTEGER NOT NULL DEFAULT 0,
+                error_count INTEGER NOT NULL DEFAULT 0,
+                skipped_count INTEGER NOT NULL DEFAULT 0,
+                resumed_from INTEGER,
+                error_message TEXT,
+                started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                ended_at DATETIME
+            );
+            CREATE INDEX IF NOT EXISTS idx_runs_workflow ON runs (workflow_id, started_at);
+            CREATE TABLE IF NOT EXISTS run_records (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                run_id INTEGER NOT NULL,
+                record_index INTEGER NOT NULL,
+                status TEXT NOT NULL,
+                record_data TEXT,
+                message TEXT,
+                duration INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (run_id, record_index)
+            );
+            CREATE TABLE IF NOT EXISTS run_logs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                run_id INTEGER NOT NULL,
+                workflow_id INTEGER,
+                step_id INTEGER,
+                record_index INTEGER,
+                status TEXT NOT NULL,
+                message TEXT,
+                error_details TEXT,
+                execution_time INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_run_logs_record ON run_logs (run_id, record_index);
+            CREATE INDEX IF NOT EXISTS idx_run_logs_workflow ON run_logs (workflow_id, id);
+            CREATE INDEX IF NOT EXISTS idx_run_logs_status ON run_logs (status, id);
+        `);
+        ensureColumn(this.db, 'runs', 'operator', 'TEXT');
+        ensureColumn(this.db, 'run_records', 'screenshot_id', 'INTEGER');
+        ensureColumn(this.db, 'run_logs', 'screenshot_id', 'INTEGER');
+        ensureColumn(this.db, 'run_logs', 'snapshot_id', 'INTEGER');
+        this.db.prepare(`
+            UPDATE runs SET status = 'interrupted', ended_at = CURRENT_TIMESTAMP
+            WHERE status = 'running'
+        `).run();
+    }
+
+    /**
+     * @param {Object} run - { workflowId, workflowName, workflowVersion, dataSourceId, options, totalRecords,
+     *   operator (default: the OS user running the app) }
+     * @returns {number} run id
+     */
+    start(run) {
+        return this.db.prepare(`
+            INSERT INTO runs (workflow_id, workflow_name, workflow_version, data_source_id, options, total_records, operator)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            run.workflowId,
+            run.workflowName || null,
+            run.workflowVersion || null,
+            run.dataSourceId ?? null,
+            JSON.stringify(run.options || {}),
+            run.totalRecords || 0,
+            run.operator || currentUser()
+        ).lastInsertRowid;
+    }
+
+    /**
+     * Store the outcome of one record; a replayed record (resume) overwrites
+     * its row. created_at is when the outcome was recorded.
+     * @param {Object} result - { status: 'success'|'error'|'skipped'|'stopped', record, message, duration,
+     *   screenshotId (artifact id) }
+     */
+    saveRecord(runId, recordIndex, result) {
+        this.db.prepare(`
+            INSERT INTO run_records (run_id, record_index, status, record_data, message, duration, screenshot_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (run_id, record_index) DO UPDATE SET
+                status = excluded.status,
+                record_data = excluded.record_data,
+                message = excluded.message,
+                duration = excluded.duration,
+                screenshot_id = excluded.screenshot_id,
+                created_at = CURRENT_TIMESTAMP
+        `).run(
+            runId,
+            recordIndex,
+            result.status,
+            result.record ? JSON.stringify(result.record) : null,
+            result.message || null,
+            result.duration ?? null,
+            result.screenshotId ?? null
+        );
+    }
+
+    /**
+     * @param {Object} [artifacts] - { screenshotId, snapshotId }
+     * @returns {Object} the stored row
+     */
+    log(runId, workflowId, stepId, recordIndex, status, message, errorDetails, executionTime, artifacts = {}) {
+        const row = {
+            run_id: runId,
+            workflow_id: workflowId,
+            step_id: stepId ?? null,
+            record_index: recordIndex ?? null,
+            status,
+            message,
+            error_details: errorDetails ?? null,
+            execution_time: executionTime ?? null,
+            created_at: toSqlTimestamp(new Date()),
+            screenshot_id: artifacts.screenshotId ?? null,
+            snapshot_id: artifacts.snapshotId ?? null
+        };
+        row.id = this.db.prepare(`
+            INSERT INTO run_logs (run_id, workflow_id, step_id, record_index, status, message, error_details, execution_time,
+                created_at, screenshot_id, snapshot_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            row.run_id, row.workflow_id, row.step_id, row.record_index, row.status,
+            row.message, row.error_details, row.execution_time, row.created_at,
+            row.screenshot_id, row.snapshot_id
+        ).lastInsertRowid;
+
+        try {
+            this.onLog(row);
+        } catch (error) {
+            console.warn('⚠️ Canlı log akışı hatası:', error.message);
+        }
+        return row;
+    }
+
+    /**
+     * One page of log lines, newest first.
+     * @param {Object} filters - see log-query.js
+     * @param {number} [limit]
+     * @returns {{ logs: Array, nextCursor: number|null }} pass nextCursor as
+     *   filters.cursor for the next page
+     */
+    queryLogs(filters = {}, limit) {
+        const { sql, params } = buildLogQuery(filters, limit);
+        const rows = this.db.prepare(sql).all(...params);
+        const pageSize = normalizeLimit(limit);
+        const logs = rows.slice(0, pageSize);
+        return {
+            logs,
+            nextCursor: rows.length > pageSize ? logs[logs.length - 1].id : null
+        };
+    }
+
+    /**
+     * @param {string} status - completed | stopped | failed
+     * @param {Object} summary - executor summary (counts, resumedFrom)
+     * @param {string} [errorMessage]
+     */
+    finish(runId, status, summary = {}, errorMessage = null) {
+        this.db.prepare(`
+            UPDATE runs
+            SET status = ?, success_count = ?, error_count = ?, skipped_count = ?,
+                resumed_from = ?, error_message = ?, ended_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(
+            status,
+            summary.successCount || 0,
+            summary.errorCount || 0,
+            summary.skippedCount || 0,
+            summary.resumedFrom ?? null,
+            errorMessage,
+            runId
+        );
+    }
+
+    /**
+     * @param {Object} filters - { workflowId, status, limit }
+     */
+    getAll(filters = {}) {
+        const where = [];
+        const params = [];
+        if (filters.workflowId) {
+            where.push('workflow_id = ?');
+            params.push(filters.workflowId);
+        }
+        if (filters.status) {
+            where.push('status = ?');
+            params.push(filters.status);
+        }
+        params.push(filters.limit || DEFAULT_LIMIT);
+
+        return this.db.prepare(`
+            SELECT * FROM runs
+            ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+            ORDER BY started_at DESC, id DESC
+            LIMIT ?
+        `).all(...params).map(parseRun);
+    }
+
+    get(id) {
+        const row = this.db.prepare('SELECT * FROM runs WHERE id = ?').get(id);
+        return row ? parseRun(row) : null;
+    }
+
+    getRecords(runId) {
+        return this.db.prepare(`
+            SELECT id, run_id, record_index, status, record_data, message, duration, created_at,
+                screenshot_id, screenshot_id IS NOT NULL AS has_screenshot
+            FROM run_records WHERE run_id = ? ORDER BY record_index
+        `).all(runId).map(row => ({
+            ...row,
+            record_data: parseJSON(row.record_data, null),
+            has_screenshot: !!row.has_screenshot
+        }));
+    }
+
+    delete(id) {
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM run_logs WHERE run_id = ?').run(id);
+            this.db.prepare('DELETE FROM run_records WHERE run_id = ?').run(id);
+            this.db.prepare('DELETE FROM runs WHERE id = ?').run(id);
+        })();
+    }
+
+    /**
+     * Delete finished runs started more than daysToKeep days ago, with
+     * their records and log lines.
+     * @returns {number[]} ids of the deleted runs
+     */
+    clearOld(daysToKeep) {
+        const days = parseInt(daysToKeep, 10);
+        if (!(days >= 0)) {
+            throw new Error(`Geçersiz gün sayısı: ${daysToKeep}`);
+        }
+        const ids = this.db.prepare(`
+            SELECT id FROM runs
+            WHERE status != 'running' AND started_at < datetime('now', ?)
+        `).all(`-${days} days`).map(row => row.id);
+        for (const id of ids) {
+            this.delete(id);
+        }
+        return ids;
+    }
+}
+
+/**
+ * Short hash of the normalized steps, so runs of an edited workflow can be
+ * told apart from runs of the version before.
+ */
+function workflowVersion(steps) {
+    return crypto.createHash('sha1').update(JSON.stringify(steps)).digest('hex').slice(0, 12);
+}
+
+function currentUser() {
+    try {
+        return os.userInfo().username;
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseRun(row) {
+    return { ...row, options: parseJSON(row.options, {}) };
+}
+
+function parseJSON(value, fallback) {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+module.exports = RunStore;
+module.exports.workflowVersion = workflowVersion;
@@ -0,0 +1,22 @@
+/**
+ * Small schema helpers for columns this repository adds to tables owned by
+ * the private database manager (screens, workflows).
+ */
+
+/**
+ * Add a column when the table exists but predates it. No-op otherwise.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition - e.g. 'TEXT'
+ */
+function ensureColumn(db, table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (columns.length > 0 && !columns.some(existing => existing.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+module.exports = {
+    ensureColumn
+};
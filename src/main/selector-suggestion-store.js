@@ -0,0 +1,146 @@
+/**
+ * Selector Suggestion Store
+ *
+ * Keeps the selectors repaired by fingerprint healing until the user accepts
+ * or dismisses them in the step editor. Healing never rewrites a step on its
+ * own; a suggestion stays `pending` until resolve() is called.
+ *
+ * Table: selector_suggestions
+ */
+
+class SelectorSuggestionStore {
+    /**
+     * @param {import('better-sqlite3').Database} db
+     */
+    constructor(db) {
+        this.db = db;
+        this.init();
+    }
+
+    init() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS selector_suggestions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                workflow_id INTEGER NOT NULL,
+                step_id INTEGER NOT NULL,
+                original_selectors TEXT,
+                suggested_css TEXT NOT NULL,
+                suggested_xpath TEXT,
+                score REAL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                hit_count INTEGER NOT NULL DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_selector_suggestions_step
+                ON selector_suggestions (step_id, status);
+        `);
+    }
+
+    /**
+     * Record a healed selector. Repeated hits for the same step and selector
+     * bump hit_count instead of adding rows.
+     */
+    add(workflowId, stepId, originalSelectors, suggestion) {
+        const existing = this.db.prepare(`
+            SELECT id FROM selector_suggestions
+            WHERE step_id = ? AND suggested_css = ? AND status = 'pending'
+        `).get(stepId, suggestion.css);
+
+        if (existing) {
+            this.db.prepare(`
+                UPDATE selector_suggestions
+                SET hit_count = hit_count + 1, score = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(suggestion.score, existing.id);
+            return existing.id;
+        }
+
+        const { fingerprint, ...selectorsOnly } = originalSelectors || {};
+        const result = this.db.prepare(`
+            INSERT INTO selector_suggestions
+                (workflow_id, step_id, original_selectors, suggested_css, suggested_xpath, score)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(
+            workflowId,
+            stepId,
+            JSON.stringify(selectorsOnly),
+            suggestion.css,
+            suggestion.xpath || null,
+            suggestion.score
+        );
+        return result.lastInsertRowid;
+    }
+
+    getPending(workflowId) {
+        return this.db.prepare(`
+            SELECT * FROM selector_suggestions
+            WHERE workflow_id = ? AND status = 'pending'
+            ORDER BY step_id, score DESC
+        `).all(workflowId);
+    }
+
+    /**
+     * @param {number} id
+     * @param {'accepted'|'dismissed'} status
+     */
+    resolve(id, status) {
+        if (status !== 'accepted' && status !== 'dismissed') {
+            throw new Error(`Geçersiz öneri durumu: ${status}`);
+        }
+        const suggestion = this.db.prepare('SELECT * FROM selector_suggestions WHERE id = ?').get(id);
+        if (!suggestion) {
+            throw new Error(`Öneri bulunamadı: ${id}`);
+        }
+
+        this.db.prepare(`
+            UPDATE selector_suggestions
+            SET status = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(status, id);
+
+        // Kabul edilen öneri aynı adımın diğer bekleyen önerilerini geçersiz kılar
+        if (status === 'accepted') {
+            this.db.prepare(`
+                UPDATE selector_suggestions
+                SET status = 'dismissed', updated_at = CURRENT_TIMESTAMP
+                WHERE step_id = ? AND status = 'pending'
+            `).run(suggestion.step_id);
+        }
+
+        return { ...suggestion, status };
+    }
+
+    /**
+     * The designer saves by deleting and recreating steps; move pending
+     * suggestions to the new step ids. Suggestions of steps that no longer
+     * exist are dismissed.
+     * @param {number} workflowId
+     * @param {Object} stepIds - { [oldStepId]: newStepId }
+     * @returns {number} suggestions moved
+     */
+    rekey(workflowId, stepIds) {
+        const pending = this.getPending(workflowId);
+        const move = this.db.prepare(`
+            UPDATE selector_suggestions SET step_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `);
+        const dismiss = this.db.prepare(`
+            UPDATE selector_suggestions SET status = 'dismissed', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `);
+        let moved = 0;
+        this.db.transaction(() => {
+            for (const suggestion of pending) {
+                const newStepId = stepIds[suggestion.step_id];
+                if (newStepId) {
+                    move.run(newStepId, suggestion.id);
+                    moved++;
+                } else {
+                    dismiss.run(suggestion.id);
+                }
+            }
+        })();
+        return moved;
+    }
+}
+
+module.exports = SelectorSuggestionStore;
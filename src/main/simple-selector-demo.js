@@ -1,41 +1,373 @@
 /**
- * Simple Selector - Demo Version
- * 
- * ⚠️ This is a placeholder file for the public repository.
- * The actual element finding algorithms are in the private repository.
- * 
- * Production version includes:
- * - Multi-strategy element finding (ID, CSS, XPath, text content)
- * - Intelligent fallback mechanisms
- * - Retry logic with exponential backoff
- * - Element visibility detection
- * - DOM mutation observers
- * - Shadow DOM support
- * - iframe traversal
- * - Dynamic element waiting
- * - Selector optimization algorithms
- * - Performance profiling
- * 
- * For the complete implementation, see the private EDUBot repository.
+ * Simple Selector
+ *
+ * Resolves the `element_selectors` saved by StepEditor to a Puppeteer
+ * ElementHandle. Every strategy that has a value is tried in a fixed
+ * priority order, so a step keeps working when its primary CSS selector
+ * breaks after an ÖBS redesign:
+ *
+ *   id → css → xpath → name → className → text
+ *
+ * Each attempt is timed and reported back, together with the strategy that
+ * matched, so flaky selectors show up in the logs.
+ *
+ * If all of them fail and the step has a stored element fingerprint, the
+ * best-scoring candidate on the page is used instead (self-healing). The
+ * result is flagged `healed` and carries a `suggestion` with new selectors
+ * that can be offered back to the step.
+ *
+ * Elements inside iframes and shadow DOM are reached through two optional
+ * path segments, both listed outer → inner:
+ *   framePath:  CSS selectors of the <iframe> elements to descend into
+ *   shadowPath: CSS selectors of the shadow hosts (inside the last frame)
+ * All other selectors are then evaluated relative to the innermost root.
+ *
+ * `options.scope` (an ElementHandle, e.g. the current for_each_element row)
+ * makes the whole lookup relative to that element instead of the page.
  */
 
+const { ElementNotFoundError } = require('./errors');
+const { findBestMatch } = require('./element-fingerprint');
+
+const STRATEGY_ORDER = ['id', 'css', 'xpath', 'name', 'className', 'text'];
+const POLL_INTERVAL = 250;
+
 class SimpleSelector {
     constructor(page) {
         this.page = page;
         this.timeout = 5000;
     }
 
-    async findElement(selectors) {
-        // Production implementation in private repository
-        console.log('Find element (demo version):', selectors);
-        return null;
+    /**
+     * Try every available strategy once, in priority order.
+     *
+     * @param {Object|string} selectors - { id, css, xpath, name, className, text, fingerprint, framePath, shadowPath }
+     *   or a plain selector string
+     * @param {Object} options - { visible: only accept visible elements, heal: use the fingerprint (default true),
+     *   scope: ElementHandle to search inside }
+     * @returns {Promise<{element, strategy, selector, attempts, duration, healed, suggestion}>}
+     *   element is null when no strategy matched
+     */
+    async findElement(selectors, options = {}) {
+        const startedAt = Date.now();
+        const attempts = [];
+        const queries = buildQueries(selectors);
+
+        const context = await this._resolveContext(selectors, attempts, options.scope);
+        if (!context) {
+            return {
+                element: null,
+                strategy: null,
+                selector: null,
+                attempts,
+                duration: Date.now() - startedAt
+            };
+        }
+
+        for (const { strategy, query } of queries) {
+            const attemptStart = Date.now();
+            let element = null;
+            let error = null;
+
+            try {
+                element = await context.root.$(query);
+                if (element && options.visible && !(await element.isVisible())) {
+                    await element.dispose();
+                    element = null;
+                }
+            } catch (err) {
+                // Geçersiz selector (ör. bozuk XPath) diğer stratejileri engellemesin
+                error = err.message;
+            }
+
+            attempts.push({
+                strategy,
+                selector: query,
+                found: !!element,
+                duration: Date.now() - attemptStart,
+                ...(error && { error })
+            });
+
+            if (element) {
+                return {
+                    element,
+                    frame: context.frame,
+                    strategy,
+                    selector: query,
+                    attempts,
+                    duration: Date.now() - startedAt
+                };
+            }
+        }
+
+        const fingerprint = selectors && selectors.fingerprint;
+        if (fingerprint && options.heal !== false) {
+            const healed = await this._healFromFingerprint(fingerprint, context, options);
+            attempts.push(healed.attempt);
+
+            if (healed.element) {
+                return {
+                    element: healed.element,
+                    frame: context.frame,
+                    strategy: 'fingerprint',
+                    selector: healed.suggestion.css,
+                    attempts,
+                    duration: Date.now() - startedAt,
+                    healed: true,
+                    suggestion: healed.suggestion
+                };
+            }
+        }
+
+        return {
+            element: null,
+            strategy: null,
+            selector: null,
+            attempts,
+            duration: Date.now() - startedAt
+        };
+    }
+
+    /**
+     * All elements matched by the first strategy that matches anything
+     * (e.g. the rows of a results table). No fingerprint healing.
+     * @returns {Promise<{elements: ElementHandle[], strategy, selector}>}
+     */
+    async findElements(selectors, options = {}) {
+        const context = await this._resolveContext(selectors, [], options.scope);
+        if (context) {
+            for (const { strategy, query } of buildQueries(selectors)) {
+                let elements = [];
+                try {
+                    elements = await context.root.$$(query);
+                } catch (error) {
+                    elements = [];
+                }
+                if (elements.length > 0) {
+                    return { elements, strategy, selector: query };
+                }
+            }
+        }
+        return { elements: [], strategy: null, selector: null };
+    }
+
+    /**
+     * Poll findElement() until an element matches or the timeout expires.
+     * The fingerprint is only consulted once the stored selectors have had
+     * the whole timeout to match, since scoring every candidate is costly.
+     * Throws ElementNotFoundError with the last round's attempts on timeout.
+     */
+    async waitForElement(selectors, timeout = this.timeout, options = {}) {
+        const deadline = Date.now() + timeout;
+        let rounds = 0;
+        let result;
+
+        do {
+            rounds++;
+            result = await this.findElement(selectors, { ...options, heal: false });
+            if (result.element) {
+                return { ...result, rounds };
+            }
+            await delay(Math.min(POLL_INTERVAL, Math.max(0, deadline - Date.now())));
+        } while (Date.now() < deadline);
+
+        if (options.heal !== false && selectors && selectors.fingerprint) {
+            result = await this.findElement(selectors, options);
+            if (result.element) {
+                return { ...result, rounds: rounds + 1 };
+            }
+        }
+
+        throw new ElementNotFoundError(selectors, result.attempts);
+    }
+
+    /**
+     * Wait until none of the selectors match anymore (e.g. a loading spinner).
+     */
+    async waitForElementGone(selectors, timeout = this.timeout, options = {}) {
+        const deadline = Date.now() + timeout;
+
+        while (Date.now() < deadline) {
+            const result = await this.findElement(selectors, { ...options, visible: true });
+            if (!result.element) return true;
+            await result.element.dispose();
+            await delay(POLL_INTERVAL);
+        }
+
+        throw new Error(`Element ${timeout}ms içinde kaybolmadı`);
     }
 
-    async waitForElement(selector, timeout) {
-        // Production implementation in private repository
-        console.log('Wait for element (demo version):', selector);
-        return null;
+    /**
+     * Descend through framePath and shadowPath. Returns { frame, root } where
+     * root is the frame itself or the innermost shadow root handle, or null
+     * (with a failed attempt recorded) when a segment cannot be reached.
+     * With a scope element both paths start from that element.
+     */
+    async _resolveContext(selectors, attempts, scope = null) {
+        let frame = scope ? scope.frame : this.page.mainFrame();
+        let shadowRoot = scope || null;
+
+        if (!selectors || typeof selectors === 'string') {
+            return { frame, root: shadowRoot || frame, shadowRoot };
+        }
+
+        for (const frameSelector of normalizePath(selectors.framePath)) {
+            const attemptStart = Date.now();
+            let child = null;
+            try {
+                const frameElement = await (shadowRoot || frame).$(frameSelector);
+                child = frameElement && await frameElement.contentFrame();
+            } catch (error) {
+                child = null;
+            }
+
+            if (!child) {
+                attempts.push({ strategy: 'frame', selector: frameSelector, found: false, duration: Date.now() - attemptStart });
+                return null;
+            }
+            frame = child;
+            shadowRoot = null;
+        }
+
+        for (const hostSelector of normalizePath(selectors.shadowPath)) {
+            const attemptStart = Date.now();
+            let nextRoot = null;
+            try {
+                const host = await (shadowRoot || frame).$(hostSelector);
+                const handle = host && await host.evaluateHandle(element => element.shadowRoot);
+                nextRoot = handle && handle.asElement();
+            } catch (error) {
+                nextRoot = null;
+            }
+
+            // Kapalı (closed) shadow root'lara dışarıdan erişilemez
+            if (!nextRoot) {
+                attempts.push({ strategy: 'shadow', selector: hostSelector, found: false, duration: Date.now() - attemptStart });
+                return null;
+            }
+            shadowRoot = nextRoot;
+        }
+
+        return { frame, root: shadowRoot || frame, shadowRoot };
     }
+
+    async _healFromFingerprint(fingerprint, context, options) {
+        const attemptStart = Date.now();
+        let element = null;
+        let match = null;
+        let error = null;
+
+        try {
+            match = await findBestMatch(context.frame, fingerprint, { root: context.shadowRoot });
+            if (match) {
+                element = await context.root.$(match.css);
+                if (element && options.visible && !(await element.isVisible())) {
+                    await element.dispose();
+                    element = null;
+                }
+            }
+        } catch (err) {
+            error = err.message;
+        }
+
+        return {
+            element,
+            suggestion: match && {
+                css: match.css,
+                xpath: match.xpath,
+                score: match.score
+            },
+            attempt: {
+                strategy: 'fingerprint',
+                selector: match ? match.css : null,
+                found: !!element,
+                duration: Date.now() - attemptStart,
+                ...(match && { score: match.score }),
+                ...(error && { error })
+            }
+        };
+    }
+}
+
+/**
+ * Turn a selectors object into Puppeteer queries, in priority order.
+ * A plain string is treated as XPath when it starts with "/" or "(",
+ * otherwise as CSS.
+ */
+function buildQueries(selectors) {
+    if (!selectors) return [];
+
+    if (typeof selectors === 'string') {
+        const value = selectors.trim();
+        if (!value) return [];
+        return isXPath(value)
+            ? [{ strategy: 'xpath', query: `xpath/${value}` }]
+            : [{ strategy: 'css', query: value }];
+    }
+
+    const queries = [];
+    for (const strategy of STRATEGY_ORDER) {
+        const raw = selectors[strategy];
+        if (typeof raw !== 'string' || !raw.trim()) continue;
+
+        const query = toQuery(strategy, raw.trim());
+        if (query) queries.push({ strategy, query });
+    }
+    return queries;
+}
+
+function toQuery(strategy, value) {
+    switch (strategy) {
+        case 'id':
+            // StepEditor ID'yi "#" olmadan, ElementPicker "#" ile kaydeder
+            return `[id="${escapeAttribute(value.replace(/^#/, ''))}"]`;
+        case 'css':
+            return value;
+        case 'xpath':
+            return `xpath/${value}`;
+        case 'name':
+            return value.startsWith('[') ? value : `[name="${escapeAttribute(value)}"]`;
+        case 'className': {
+            const classes = value.split(/\s+/).map(c => c.replace(/^\./, '')).filter(Boolean);
+            return classes.length > 0 ? classes.map(c => `.${cssEscape(c)}`).join('') : null;
+        }
+        case 'text': {
+            // ElementPicker metni text="..." biçiminde kaydeder
+            const match = value.match(/^text="(.*)"$/);
+            const text = match ? match[1] : value;
+            return `::-p-text(${JSON.stringify(text)})`;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Frame/shadow paths are stored as arrays; a string is split on " >> ".
+ */
+function normalizePath(path) {
+    if (!path) return [];
+    const segments = Array.isArray(path) ? path : String(path).split('>>');
+    return segments.map(segment => String(segment).trim()).filter(Boolean);
+}
+
+function isXPath(value) {
+    return value.startsWith('/') || value.startsWith('(');
+}
+
+function escapeAttribute(value) {
+    return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+function cssEscape(value) {
+    return value.replace(/([^a-zA-Z0-9_-])/g, '\\$1');
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 module.exports = SimpleSelector;
+module.exports.STRATEGY_ORDER = STRATEGY_ORDER;
+module.exports.buildQueries = buildQueries;
+module.exports.normalizePath = normalizePath;
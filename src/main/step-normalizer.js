@@ -0,0 +1,109 @@
+/**
+ * Step Normalizer
+ *
+ * Steps reach the executor in the shapes the two editors save:
+ * - StepEditor:       action_type, element_selectors (JSON), config (JSON),
+ *                     input_data (JSON), wait_condition (JSON)
+ * - WorkflowDesigner: action_type, selector, value, wait_after, is_optional,
+ *                     config (JSON, execute_script only)
+ *
+ * normalizeStep() folds both into one object so action handlers never have
+ * to care where a value came from.
+ */
+
+// WorkflowDesigner'daki eski action adları → StepEditor STEP_TYPES anahtarları
+const ACTION_ALIASES = {
+    wait_for_element: 'waitForElement'
+};
+
+function parseJSON(value, fallback) {
+    if (value === null || value === undefined || value === '') return fallback;
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function firstDefined(...values) {
+    return values.find(value => value !== undefined && value !== null && value !== '');
+}
+
+/**
+ * @param {Object} row - step row from db:getSteps
+ * @returns {Object} { id, order, actionType, description, selectors, value, filePath,
+ *   script, storeAs, condition, assertion, defines, waitCondition, waitAfter, isOptional, config }
+ */
+function normalizeStep(row) {
+    const config = parseJSON(row.config, {});
+    const inputData = parseJSON(row.input_data, {});
+    const elementSelectors = parseJSON(row.element_selectors, null);
+    const actionType = ACTION_ALIASES[row.action_type] || row.action_type;
+
+    let selectors = null;
+    if (elementSelectors && typeof elementSelectors === 'object') {
+        selectors = { ...elementSelectors };
+        if (row.selector && !selectors.css) {
+            selectors.css = row.selector;
+        }
+    } else if (row.selector) {
+        selectors = row.selector;
+    }
+
+    const value = firstDefined(config.value, row.value, inputData.value, inputData.waitTime);
+    const storeAs = firstDefined(config.storeAs, inputData.storeAs);
+
+    return {
+        id: row.id,
+        workflowId: row.workflow_id,
+        order: row.step_order,
+        actionType,
+        description: row.description || '',
+        selectors,
+        value,
+        filePath: firstDefined(inputData.filePath, config.filePath),
+        script: firstDefined(config.script, actionType === 'execute_script' ? firstDefined(row.value, inputData.value) : undefined),
+        storeAs,
+        condition: config.condition || null,
+        assertion: config.assert || null,
+        defines: definedVariables(actionType, value, storeAs),
+        waitCondition: parseJSON(row.wait_condition, null),
+        waitAfter: parseInt(row.wait_after, 10) || 0,
+        isOptional: !!row.is_optional,
+        config
+    };
+}
+
+/**
+ * Template variables a step makes available to the steps after it.
+ */
+function definedVariables(actionType, value, storeAs) {
+    if (actionType === 'for_each_element') {
+        const name = loopVariable(value);
+        return [`${name}_index`, `${name}_text`];
+    }
+    return storeAs ? [storeAs] : [];
+}
+
+/**
+ * for_each_element keeps its variable name in `value` ("item" when empty).
+ */
+function loopVariable(value) {
+    return String(value || '').trim() || 'item';
+}
+
+/**
+ * Human readable step name for logs and renderer events.
+ */
+function describeStep(step) {
+    return step.description || `#${step.order} ${step.actionType}`;
+}
+
+module.exports = {
+    normalizeStep,
+    describeStep,
+    loopVariable,
+    parseJSON,
+    ACTION_ALIASES
+};
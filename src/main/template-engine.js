@@ -0,0 +1,288 @@
+/**
+ * Template Engine
+ *
+ * Resolves `{{name}}` placeholders in step values, selectors and navigate
+ * URLs against the current data-source record and the variables captured
+ * by execute_script (`storeAs`). Captured variables win over record
+ * columns with the same name.
+ *
+ * Filters are chained with `|`, arguments separated by `:`:
+ *   {{student_no | pad:10:0}}      → "0000012345"
+ *   {{numeric_grade | number:2}}   → "85,50"   (tr-TR)
+ *   {{course_code | upper}}        → "MAT101"  (tr-TR: i → İ)
+ *
+ * validateSteps() checks every reference before the run starts so a typo in
+ * a column name fails once instead of on every record.
+ */
+
+const { TemplateError } = require('./errors');
+const { describeStep } = require('./step-normalizer');
+
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const LOCALE = 'tr-TR';
+
+const FILTERS = {
+    upper: (value) => String(value).toLocaleUpperCase(LOCALE),
+    lower: (value) => String(value).toLocaleLowerCase(LOCALE),
+    trim: (value) => String(value).trim(),
+    number: (value, decimals) => {
+        const number = typeof value === 'number' ? value : parseLocaleNumber(value);
+        if (Number.isNaN(number)) {
+            throw new TemplateError(`Sayıya çevrilemedi: "${value}"`);
+        }
+        const digits = decimals === undefined ? undefined : parseInt(decimals, 10);
+        return new Intl.NumberFormat(LOCALE, {
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits === undefined ? 20 : digits,
+            useGrouping: false
+        }).format(number);
+    },
+    pad: (value, length, char = ' ') => String(value).padStart(parseInt(length, 10) || 0, char),
+    padEnd: (value, length, char = ' ') => String(value).padEnd(parseInt(length, 10) || 0, char),
+    default: (value, fallback = '') => (value === '' || value === null || value === undefined ? fallback : value)
+};
+
+// Filters that accept a missing/empty value instead of failing the step
+const NULL_SAFE_FILTERS = new Set(['default']);
+
+/**
+ * "85,5" (Turkish) and "85.5" both parse; thousands separators are not expected
+ * in grade columns.
+ */
+function parseLocaleNumber(value) {
+    const text = String(value).trim().replace(',', '.');
+    return text === '' ? NaN : Number(text);
+}
+
+/**
+ * @param {string} expression - inside of {{ }}, e.g. "student_no | pad:10:0"
+ * @returns {{ name: string, filters: Array<{ name: string, args: string[] }> }}
+ */
+function parseExpression(expression) {
+    const [name, ...filterParts] = expression.split('|').map(part => part.trim());
+    const filters = filterParts.map(part => {
+        const [filterName, ...args] = part.split(':');
+        return { name: filterName.trim(), args };
+    });
+    return { name, filters };
+}
+
+/**
+ * @returns {Array<{ name, filters, raw }>} every placeholder in the text
+ */
+function extractReferences(text) {
+    if (typeof text !== 'string') return [];
+    const references = [];
+    for (const match of text.matchAll(PLACEHOLDER)) {
+        references.push({ ...parseExpression(match[1]), raw: match[0] });
+    }
+    return references;
+}
+
+function hasTemplate(text) {
+    return typeof text === 'string' && text.includes('{{');
+}
+
+/**
+ * @param {string} text
+ * @param {Object} scope - { record, variables }
+ * @returns {string}
+ */
+function render(text, scope) {
+    if (!hasTemplate(text)) return text;
+
+    return text.replace(PLACEHOLDER, (raw, expression) => {
+        const { name, filters } = parseExpression(expression);
+        let value = lookup(name, scope);
+
+        if (value === undefined && !filters.some(filter => NULL_SAFE_FILTERS.has(filter.name))) {
+            throw new TemplateError(`Şablon değişkeni bulunamadı: ${raw}`, { variable: name });
+        }
+
+        for (const filter of filters) {
+            const fn = FILTERS[filter.name];
+            if (!fn) {
+                throw new TemplateError(`Bilinmeyen şablon filtresi: ${filter.name}`, { filter: filter.name });
+            }
+            value = fn(value, ...filter.args);
+        }
+
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+function lookup(name, scope) {
+    const variables = scope.variables || {};
+    const record = scope.record || {};
+    if (Object.prototype.hasOwnProperty.call(variables, name)) return variables[name];
+    if (Object.prototype.hasOwnProperty.call(record, name)) return record[name];
+    return undefined;
+}
+
+/**
+ * Render every string inside a selectors object (including frame/shadow
+ * path arrays). The fingerprint is stored data, never a template.
+ */
+function renderSelectors(selectors, scope) {
+    if (!selectors || typeof selectors === 'string') {
+        return render(selectors, scope);
+    }
+
+    const rendered = {};
+    for (const [key, value] of Object.entries(selectors)) {
+        if (key === 'fingerprint') {
+            rendered[key] = value;
+        } else if (Array.isArray(value)) {
+            rendered[key] = value.map(item => render(item, scope));
+        } else {
+            rendered[key] = render(value, scope);
+        }
+    }
+    return rendered;
+}
+
+/**
+ * Copy of a normalized step with its templated fields resolved.
+ * `script` is left alone: record and vars are already in scope there.
+ */
+function renderStep(step, scope) {
+    const rendered = {
+        ...step,
+        value: render(step.value, scope),
+        filePath: render(step.filePath, scope),
+        selectors: renderSelectors(step.selectors, scope)
+    };
+
+    if (step.waitCondition && step.waitCondition.selector) {
+        rendered.waitCondition = {
+            ...step.waitCondition,
+            selector: renderSelectors(step.waitCondition.selector, scope)
+        };
+    }
+
+    if (step.assertion) {
+        rendered.assertion = {
+            ...step.assertion,
+            selector: renderSelectors(step.assertion.selector, scope),
+            expected: render(step.assertion.expected, scope)
+        };
+    }
+
+    if (step.condition) {
+        rendered.condition = {
+            ...step.condition,
+            selector: renderSelectors(step.condition.selector, scope),
+            text: render(step.condition.text, scope),
+            value: render(step.condition.value, scope)
+        };
+    }
+    return rendered;
+}
+
+function templatedStrings(step) {
+    const strings = [step.value, step.filePath];
+    const collect = (selectors) => {
+        if (!selectors) return;
+        if (typeof selectors === 'string') {
+            strings.push(selectors);
+            return;
+        }
+        for (const [key, value] of Object.entries(selectors)) {
+            if (key === 'fingerprint') continue;
+            if (Array.isArray(value)) strings.push(...value);
+            else strings.push(value);
+        }
+    };
+    collect(step.selectors);
+    if (step.waitCondition) collect(step.waitCondition.selector);
+    if (step.condition) {
+        collect(step.condition.selector);
+        strings.push(step.condition.text, step.condition.value);
+    }
+    if (step.assertion) {
+        collect(step.assertion.selector);
+        strings.push(step.assertion.expected);
+    }
+    if (step.actionType === 'call_workflow' && step.config.params) {
+        strings.push(...Object.values(step.config.params));
+    }
+    if (step.actionType === 'extract') {
+        strings.push(step.config.dataSourceName);
+    }
+    return strings;
+}
+
+/**
+ * Check all placeholders against the data-source columns and the variables
+ * defined by earlier steps (storeAs, for_each_element item variables).
+ *
+ * @param {Array} steps - normalized steps, in execution order
+ * @param {string[]} columns - record column names
+ * @param {Object} options - { extraTexts: string[] } e.g. workflow.target_url
+ * @returns {Array<{ stepId, step, message }>} empty when everything resolves
+ */
+function validateSteps(steps, columns, options = {}) {
+    const known = new Set(columns);
+    const problems = [];
+
+    const check = (text, step) => {
+        for (const reference of extractReferences(text)) {
+            if (!known.has(reference.name) && !reference.filters.some(filter => NULL_SAFE_FILTERS.has(filter.name))) {
+                problems.push({
+                    stepId: step ? step.id : null,
+                    step: step ? describeStep(step) : null,
+                    message: `Bilinmeyen değişken ${reference.raw}`
+                });
+            }
+            for (const filter of reference.filters) {
+                if (!FILTERS[filter.name]) {
+                    problems.push({
+                        stepId: step ? step.id : null,
+                        step: step ? describeStep(step) : null,
+                        message: `Bilinmeyen filtre "${filter.name}" (${reference.raw})`
+                    });
+                }
+            }
+        }
+    };
+
+    for (const text of options.extraTexts || []) {
+        check(text, null);
+    }
+
+    for (const step of steps) {
+        for (const text of templatedStrings(step)) {
+            check(text, step);
+        }
+        for (const name of step.defines || []) {
+            known.add(name);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Column names across all records (CSV rows may omit empty trailing cells).
+ */
+function collectColumns(records) {
+    const columns = new Set();
+    for (const record of records) {
+        if (record && typeof record === 'object') {
+            Object.keys(record).forEach(key => columns.add(key));
+        }
+    }
+    return [...columns];
+}
+
+module.exports = {
+    render,
+    renderStep,
+    renderSelectors,
+    validateSteps,
+    collectColumns,
+    parseLocaleNumber,
+    extractReferences,
+    hasTemplate,
+    FILTERS
+};
@@ -1,32 +1,1519 @@
 /**
- * workflow-executor.js (DEMO/PLACEHOLDER)
- * 
- * ⚠️ This is a simplified placeholder for showcase purposes only.
- * 🔒 Production workflow engine is in private repository.
- * 
- * The real implementation includes:
- * - Advanced error handling & retry logic
- * - Browser automation with Puppeteer
- * - Multi-strategy element selection
- * - Template variable processing
- * - Transaction-based execution
- * - Real-time progress tracking
- * - Auto-login detection
- * - Session management
+ * Workflow Executor
+ *
+ * Runs a workflow's steps once per record of the selected data source
+ * (or once with an empty record when no data source is chosen).
+ *
+ * - Steps are loaded through the database manager and normalized
+ *   (see step-normalizer.js), then dispatched by `action_type` to the
+ *   handlers in `this.actions`: the StepEditor STEP_TYPES click, type,
+ *   wait, navigate, waitForElement, download, upload, clear,
+ *   execute_script, manual_confirm, call_workflow, extract and assert.
+ * - assert verifies text, input values, element counts, the URL or a JS
+ *   predicate (assertions.js); a failed check fails the step with an
+ *   "expected X, got Y" reason.
+ * - extract reads a table or element list (with paging) off the page and
+ *   saves the rows as a new data source of type `extracted` (extractor.js).
+ * - Control flow (if/else/end_if, label/goto, for_each_element/end_for_each)
+ *   is compiled and checked before the run (flow-compiler.js) and walked
+ *   with a program counter; conditions are evaluated by conditions.js.
+ * - call_workflow runs another workflow's steps inline for the same record
+ *   (call-graph.js loads the callees and rejects call cycles up front).
+ * - manual_confirm raises workflow-waiting-for-user and blocks until the
+ *   user continues (workflow:continue) or its timeout policy applies.
+ * - `{{column}}` placeholders in values, selectors and URLs are resolved per
+ *   record (template-engine.js); unknown names, and required fields of the
+ *   workflow's record schema (record-schema.js) missing from the data
+ *   source, abort before the browser opens.
+ * - Records with a numeric_grade get a letter_grade from the grade scale of
+ *   their course or faculty (grade-converter.js, grade-scale-store.js).
+ * - After each action the step's waitCondition (time, element,
+ *   elementGone, pageLoad) and wait_after delay are honoured.
+ * - Pause/stop requests take effect between steps (execution-state.js) and
+ *   the position is checkpointed so a crashed run resumes where it stopped.
+ * - When the workflow's screen has a login detector, the page is checked
+ *   before each step and after failures; on a login wall the run waits in
+ *   login-required until the session is valid and replays the record.
+ * - Every record and step reports `execution:progress` to the renderer with
+ *   its status, duration, resolved values and the running totals.
+ * - Each run is kept in the run history (run-store.js): options, workflow
+ *   version, totals and outcome, every record's result (with the artifact
+ *   id of a screenshot of the page a failed record stopped on) and a copy
+ *   of the run's log lines.
+ * - A failing step's log line gets a screenshot and a DOM snapshot of the
+ *   page (artifact-store.js, dom-snapshot.js), which the failed record
+ *   references too; with options.captureArtifacts = 'always' every step's
+ *   line does, with 'off' none.
+ * - A dry run (options.dryRun) navigates, waits and resolves every selector
+ *   and template for each record but never clicks, types, uploads, runs
+ *   scripts or saves; it returns a report (dry-run-report.js) of unresolved
+ *   selectors, missing variables and each record's planned values, and
+ *   writes neither logs nor checkpoints.
+ * - Failures are retried per the workflow's retry policy (retry-policy.js),
+ *   per step (overridable in step config) and per record; every failed
+ *   attempt is logged.
+ * - A failing optional step (is_optional) is logged as a warning and the
+ *   record continues; any other failure marks the record failed and the
+ *   run moves on to the next record.
+ *
+ * The database manager must provide getWorkflow, getSteps,
+ * loadDataSourceRecords, createDataSource and createLog (the methods behind
+ * the matching db:* IPC channels).
  */
 
-class WorkflowExecutorDemo {
-    constructor() {
-        console.log('⚠️ Demo version - Core features not available');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SimpleSelector = require('./simple-selector-demo');
+const ExecutionStateMachine = require('./execution-state');
+const LoginDetector = require('./login-detector');
+const DryRunReport = require('./dry-run-report');
+const { captureDomSnapshot } = require('./dom-snapshot');
+const { workflowVersion } = require('./run-store');
+const { extractRows } = require('./extractor');
+const { verifyAssertion, validateAssertion } = require('./assertions');
+const { loadCallGraph, calleeId } = require('./call-graph');
+const { compileFlow, isFlowStep } = require('./flow-compiler');
+const { evaluateCondition } = require('./conditions');
+const { parseWorkflowPolicy, resolvePolicy, shouldRetry } = require('./retry-policy');
+const { parseRecordSchema, missingRequiredFields } = require('./record-schema');
+const { annotateRecords, GRADE_FIELD } = require('./grade-converter');
+const { normalizeStep, describeStep, loopVariable } = require('./step-normalizer');
+const { render, renderStep, validateSteps, collectColumns, hasTemplate } = require('./template-engine');
+const {
+    AutomationError,
+    ElementNotFoundError,
+    ExecutionStoppedError,
+    RecordSkippedError,
+    LoginRequiredError,
+    TemplateError,
+    FlowError,
+    AssertionError,
+    describeSelectors
+} = require('./errors');
+
+const DEFAULT_ELEMENT_TIMEOUT = 10000;
+const DOWNLOAD_TIMEOUT = 60000;
+const LOGIN_POLL_INTERVAL = 2000;
+const MAX_LOGIN_RETRIES = 3;
+const DEFAULT_MAX_ITERATIONS = 100;
+const DEFAULT_MAX_ITEMS = 1000;
+const CAPTURE_MODES = ['failure', 'always', 'off'];
+
+// Dry run'da gerçekten çalışan adımlar: sunucuda hiçbir şeyi değiştirmezler
+const DRY_RUN_ACTIONS = new Set(['navigate', 'wait', 'waitForElement', 'call_workflow']);
+// Seçicisiz çalışamayan adımlar; dry run'da da seçici zorunlu
+const ELEMENT_ACTIONS = new Set(['click', 'type', 'clear', 'upload', 'download', 'extract']);
+
+class WorkflowExecutor {
+    /**
+     * @param {Object} databaseManager
+     * @param {Object} options - {
+     *   browserController: BrowserController,
+     *   discovery: BrowserDiscovery (asks the renderer which browser to use),
+     *   suggestionStore: SelectorSuggestionStore (self-healed selectors),
+     *   checkpointStore: CheckpointStore (resume after restart),
+     *   gradeScaleStore: GradeScaleStore (numeric_grade → letter_grade),
+     *   runStore: RunStore (run history),
+     *   artifactStore: ArtifactStore (screenshots and DOM snapshots of log lines),
+     *   notify: (channel, data) => void, sends events to the renderer
+     * }
+     */
+    constructor(databaseManager, options = {}) {
+        this.databaseManager = databaseManager;
+        this.browserController = options.browserController;
+        this.discovery = options.discovery || null;
+        this.suggestionStore = options.suggestionStore || null;
+        this.checkpointStore = options.checkpointStore || null;
+        this.gradeScaleStore = options.gradeScaleStore || null;
+        this.runStore = options.runStore || null;
+        this.artifactStore = options.artifactStore || null;
+        this.captureMode = 'failure';
+        this.failureArtifacts = null;
+        this.notify = options.notify || (() => {});
+
+        this.state = new ExecutionStateMachine({
+            onChange: ({ state, previous }) => this.notify('workflow-state-changed', {
+                state,
+                previous,
+                ...this.getPosition()
+            })
+        });
+        this.currentWorkflowId = null;
+        this.currentRecordIndex = null;
+        this.currentStepIndex = null;
+        this.checkpointId = null;
+        this.runId = null;
+        this.currentSummary = null;
+        this.pendingConfirmation = null;
+        this.loginDetector = null;
+        this.retryPolicy = parseWorkflowPolicy(null);
+        this.callees = new Map();
+        this.dryRun = null;
+
+        this.actions = {
+            click: (step, context) => this._click(step, context),
+            type: (step, context) => this._type(step, context),
+            wait: (step, context) => this._wait(step, context),
+            navigate: (step, context) => this._navigate(step, context),
+            waitForElement: (step, context) => this._waitForElement(step, context),
+            download: (step, context) => this._download(step, context),
+            upload: (step, context) => this._upload(step, context),
+            clear: (step, context) => this._clear(step, context),
+            execute_script: (step, context) => this._executeScript(step, context),
+            manual_confirm: (step, context) => this._manualConfirm(step, context),
+            call_workflow: (step, context) => this._callWorkflow(step, context),
+            extract: (step, context) => this._extract(step, context),
+            assert: (step, context) => this._assert(step, context)
+        };
+    }
+
+    get isRunning() {
+        return this.state.isActive;
+    }
+
+    /**
+     * @param {number} workflowId
+     * @param {number|null} dataSourceId - null runs the workflow once
+     * @param {Object} options - { delayBetweenRecords, browserOptions, elementTimeout, downloadPath,
+     *   resume (default true: continue from an open checkpoint), dryRun,
+     *   captureArtifacts: 'failure' (default) | 'always' | 'off' }
+     * @returns {Promise<{totalRecords, successCount, errorCount, skippedCount, stopped, resumedFrom, duration,
+     *   dryRun, runId, report?}>} report: see dry-run-report.js (dry run only); runId: run history
+     *   entry (null for dry runs)
+     */
+    async executeWorkflow(workflowId, dataSourceId, options = {}) {
+        if (this.state.isActive) {
+            throw new Error('Başka bir workflow zaten çalışıyor');
+        }
+
+        this.state.start();
+        this.currentWorkflowId = workflowId;
+        this.dryRun = options.dryRun ? new DryRunReport() : null;
+        this.captureMode = CAPTURE_MODES.includes(options.captureArtifacts) ? options.captureArtifacts : 'failure';
+        const startedAt = Date.now();
+
+        try {
+            const workflow = await this.databaseManager.getWorkflow(workflowId);
+            if (!workflow) {
+                throw new Error(`Workflow bulunamadı: ${workflowId}`);
+            }
+
+            const steps = await this.loadSteps(workflowId);
+            this.callees = await this.loadCallees(workflowId, steps);
+            const records = dataSourceId
+                ? await this.annotateGrades(workflowId,
+                    normalizeRecords(await this.databaseManager.loadDataSourceRecords(dataSourceId)))
+                : [{}];
+            this._startRun(workflow, steps, dataSourceId, records.length, options);
+
+            const program = this.compileProgram(steps);
+            try {
+                this.validateTemplates(steps, records, parseRecordSchema(workflow.record_schema), workflow.target_url);
+            } catch (error) {
+                // Dry run şablon hatalarında durmaz: kayıt bazında hangi adımların etkilendiği raporda görünür
+                if (!this.dryRun || !(error instanceof TemplateError)) throw error;
+                this.dryRun.addTemplateProblems(error.details.problems);
+            }
+            this.loginDetector = await this._loadLoginDetector(workflow);
+            this.retryPolicy = parseWorkflowPolicy(workflow.retry_policy);
+            await this._prepareBrowser(workflow, options);
+
+            const summary = {
+                totalRecords: records.length,
+                successCount: 0,
+                errorCount: 0,
+                skippedCount: 0,
+                stopped: false,
+                resumedFrom: null,
+                dryRun: !!this.dryRun,
+                runId: this.runId
+            };
+            this.currentSummary = summary;
+
+            const startIndex = this.dryRun
+                ? 0
+                : this._openCheckpoint(workflowId, dataSourceId, records.length, summary, options);
+            if (startIndex > 0) {
+                await this._log(workflowId, null, startIndex, 'info',
+                    `Kontrol noktasından devam ediliyor: kayıt ${startIndex + 1}/${records.length}`, null, 0);
+            }
+
+            for (let recordIndex = startIndex; recordIndex < records.length; recordIndex++) {
+                if (this.state.isStopping) {
+                    summary.skippedCount += records.length - recordIndex;
+                    break;
+                }
+
+                const recordStartedAt = Date.now();
+                this._emitProgress({ type: 'record', recordIndex, status: 'running' });
+
+                const result = await this.executeRecord(workflow, program, records[recordIndex], recordIndex, options);
+                if (result.stopped) {
+                    summary.skippedCount += records.length - recordIndex;
+                    this._emitProgress({ type: 'record', recordIndex, status: 'stopped', duration: Date.now() - recordStartedAt });
+                    this._saveRunRecord(recordIndex, records[recordIndex], { status: 'stopped', duration: Date.now() - recordStartedAt });
+                    break;
+                }
+                if (result.success) {
+                    summary.successCount++;
+                } else if (result.skipped) {
+                    summary.skippedCount++;
+                } else {
+                    summary.errorCount++;
+                }
+                const outcome = {
+                    status: result.success ? 'success' : (result.skipped ? 'skipped' : 'error'),
+                    duration: Date.now() - recordStartedAt,
+                    message: result.error ? result.error.message : null
+                };
+                this._emitProgress({ type: 'record', recordIndex, ...outcome });
+                this._saveRunRecord(recordIndex, records[recordIndex], { ...outcome, screenshotId: result.screenshotId });
+                this._saveCheckpoint({ recordIndex: recordIndex + 1, stepIndex: 0, stepId: null });
+
+                if (options.delayBetweenRecords && recordIndex < records.length - 1) {
+                    await delay(options.delayBetweenRecords);
+                }
+            }
+
+            summary.stopped = this.state.isStopping;
+            if (!summary.stopped && this.checkpointId && this.checkpointStore) {
+                this.checkpointStore.complete(this.checkpointId);
+            }
+            summary.duration = Date.now() - startedAt;
+            if (this.dryRun) {
+                summary.report = this.dryRun.toJSON();
+            }
+            this._finishRun(summary.stopped ? 'stopped' : 'completed', summary);
+            this.notify('workflow-complete', summary);
+            return summary;
+        } catch (error) {
+            this._finishRun('failed', this.currentSummary, error.message);
+            this.notify('workflow-error', { error: error.message });
+            throw error;
+        } finally {
+            this.state.finish();
+            this.currentWorkflowId = null;
+            this.currentRecordIndex = null;
+            this.currentStepIndex = null;
+            this.checkpointId = null;
+            this.runId = null;
+            this.currentSummary = null;
+            this.loginDetector = null;
+            this.retryPolicy = parseWorkflowPolicy(null);
+            this.callees = new Map();
+            this.dryRun = null;
+            this.failureArtifacts = null;
+        }
+    }
+
+    /**
+     * Add letter_grade from numeric_grade with the course's grade scale.
+     * Records the scales cannot convert keep their data and are logged;
+     * a step using {{letter_grade}} fails for them only.
+     */
+    async annotateGrades(workflowId, records) {
+        if (!this.gradeScaleStore || !records.some(record => record && record[GRADE_FIELD] !== undefined)) {
+            return records;
+        }
+        const result = annotateRecords(records, this.gradeScaleStore.resolver());
+        for (const problem of result.problems) {
+            await this._log(workflowId, null, null, 'warning', `Harf notu hesaplanamadı - ${problem}`, null, 0);
+        }
+        return result.records;
+    }
+
+    /**
+     * Fail before the run starts when a step references a column that the
+     * data source does not have (or a storeAs variable defined later), or
+     * when a required field of the workflow's record schema is missing.
+     * The workflow's target URL is checked too.
+     */
+    validateTemplates(steps, records, schemaFields = [], targetUrl = null) {
+        const columns = collectColumns(records);
+        const problems = validateSteps(steps, columns, { extraTexts: targetUrl ? [targetUrl] : [] })
+            .map(problem => (problem.step ? problem : { ...problem, step: 'Hedef URL' }));
+
+        missingRequiredFields(schemaFields, columns).forEach(name => problems.push({
+            step: 'Kayıt alanları',
+            message: `Zorunlu alan veri kaynağında yok: ${name}`
+        }));
+
+        // Alt workflow'lar kaydın sütunlarını ve çağrı parametrelerini görür
+        const params = [steps, ...[...this.callees.values()].map(callee => callee.steps)]
+            .flat()
+            .filter(step => step.actionType === 'call_workflow')
+            .flatMap(step => Object.keys(step.config.params || {}));
+        for (const callee of this.callees.values()) {
+            validateSteps(callee.steps, [...columns, ...params]).forEach(problem => problems.push({
+                ...problem,
+                step: `${callee.workflow.name || `Workflow ${callee.workflow.id}`} / ${problem.step}`
+            }));
+        }
+
+        if (problems.length > 0) {
+            const lines = problems.map(problem => `${problem.step}: ${problem.message}`);
+            throw new TemplateError(`Şablon hataları:\n${lines.join('\n')}`, { problems });
+        }
+    }
+
+    /**
+     * Pair block markers and resolve jumps; unreachable steps and loops
+     * without an exit fail the run before the browser opens.
+     */
+    compileProgram(steps) {
+        const { program, problems } = compileFlow(steps);
+        if (problems.length > 0) {
+            const lines = problems.map(problem => `${problem.step}: ${problem.message}`);
+            throw new FlowError(`Akış hataları:\n${lines.join('\n')}`, { problems });
+        }
+        return program;
+    }
+
+    /**
+     * Load every workflow reachable through call_workflow steps.
+     * @returns {Promise<Map>} workflow id → { workflow, steps, program, exports }
+     */
+    async loadCallees(workflowId, steps) {
+        const { callees, problems } = await loadCallGraph(this.databaseManager, workflowId, steps);
+        if (problems.length > 0) {
+            const lines = problems.map(problem => `${problem.step}: ${problem.message}`);
+            throw new FlowError(`Alt workflow hataları:\n${lines.join('\n')}`, { problems });
+        }
+        return callees;
+    }
+
+    async loadSteps(workflowId) {
+        const rows = await this.databaseManager.getSteps(workflowId);
+        return (rows || [])
+            .map(normalizeStep)
+            .sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Run the compiled program for one record.
+     * @returns {Promise<{success, error?, stopped?, skipped?, screenshotId?}>}
+     */
+    async executeRecord(workflow, program, record, recordIndex, options = {}) {
+        this.currentRecordIndex = recordIndex;
+        const startedAt = Date.now();
+        const policy = this.retryPolicy.record;
+        let loginAttempts = 0;
+
+        for (let attempt = 1; ; attempt++) {
+            if (this.dryRun) {
+                this.dryRun.startRecord(recordIndex);
+            }
+            this.failureArtifacts = null;
+            const context = {
+                workflow,
+                record,
+                recordIndex,
+                variables: {},
+                loops: [],
+                jumps: {},
+                options
+            };
+
+            try {
+                await this._openRecordUrl(context);
+                await this.runSteps(program, context);
+                if (this.dryRun && this.dryRun.hasProblems(recordIndex)) {
+                    return { success: false };
+                }
+                const suffix = attempt > 1 ? ` (${attempt}. denemede)` : '';
+                await this._log(workflow.id, null, recordIndex, 'success',
+                    `Kayıt ${recordIndex + 1} tamamlandı${suffix}`, null, Date.now() - startedAt);
+                return { success: true };
+            } catch (error) {
+                if (error instanceof ExecutionStoppedError) {
+                    await this._log(workflow.id, null, recordIndex, 'warning', error.message, null, Date.now() - startedAt);
+                    return { success: false, stopped: true };
+                }
+                if (error instanceof RecordSkippedError) {
+                    await this._log(workflow.id, null, recordIndex, 'warning',
+                        `Kayıt ${recordIndex + 1} atlandı: ${error.message}`, null, Date.now() - startedAt);
+                    return { success: false, skipped: true, error };
+                }
+
+                try {
+                    // Adım login sayfasına yönlendirildiği için düştüyse oturum açılınca kaydı baştan oynat
+                    const reason = error instanceof LoginRequiredError
+                        ? error.details.reason
+                        : await this._detectLogin();
+                    if (reason && loginAttempts < MAX_LOGIN_RETRIES) {
+                        loginAttempts++;
+                        attempt--; // login beklemesi kayıt denemesi sayılmaz
+                        await this._waitForLogin(context, reason);
+                        continue;
+                    }
+
+                    const decision = this.dryRun ? { retry: false } : shouldRetry(policy, error, attempt);
+                    if (decision.retry) {
+                        await this._log(workflow.id, null, recordIndex, 'warning',
+                            `Kayıt ${recordIndex + 1} deneme ${attempt}/${policy.maxAttempts} başarısız [${decision.errorClass}]: ${error.message} - ${decision.delay}ms sonra baştan denenecek`,
+                            error.stack, Date.now() - startedAt);
+                        await this._backoff(decision.delay);
+                        continue;
+                    }
+                } catch (waitError) {
+                    await this._log(workflow.id, null, recordIndex, 'warning', waitError.message, null, Date.now() - startedAt);
+                    return { success: false, stopped: true };
+                }
+
+                if (this.dryRun) {
+                    // Adım hataları _planStep'te toplanır; buraya akış ve koşul hataları düşer
+                    if (error instanceof TemplateError) {
+                        this.dryRun.missingVariable(context, null, error);
+                    } else {
+                        this.dryRun.problem(context, null, error);
+                    }
+                }
+                // Adım hatasında alınan görüntüler kullanılır; akış/koşul hatalarında sayfa burada yakalanır
+                const artifacts = this.failureArtifacts
+                    || (this.captureMode !== 'off' ? await this._captureArtifacts(null, context) : null);
+                const suffix = attempt > 1 ? ` (${attempt} deneme)` : '';
+                await this._log(workflow.id, null, recordIndex, 'error',
+                    `Kayıt ${recordIndex + 1} başarısız${suffix}: ${error.message}`, error.stack, Date.now() - startedAt, artifacts);
+                return { success: false, error, screenshotId: artifacts ? artifacts.screenshotId : null };
+            }
+        }
+    }
+
+    /**
+     * Walk the compiled program with a program counter. Every step boundary
+     * (flow markers included, so loops stay pausable) is a safe point: the
+     * position is persisted, then a pending pause or stop takes effect
+     * before the next step starts.
+     */
+    async runSteps(program, context) {
+        let pc = 0;
+        try {
+            while (pc < program.length) {
+                const step = program[pc];
+                if (!context.depth) {
+                    // Alt workflow adımları kontrol noktasında çağıran adımın konumunu ezmez
+                    this.currentStepIndex = pc;
+                    this._saveCheckpoint({ recordIndex: context.recordIndex, stepIndex: pc, stepId: step.id });
+                }
+
+                await this.state.checkpoint(() => this._log(context.workflow.id, step.id, context.recordIndex, 'info',
+                    `Workflow duraklatıldı (kayıt ${context.recordIndex + 1}, ${describeStep(step)} öncesi)`, null, 0));
+
+                const loginReason = await this._detectLogin();
+                if (loginReason) {
+                    throw new LoginRequiredError(loginReason);
+                }
+
+                if (isFlowStep(step)) {
+                    pc = await this._runFlowStep(step, pc, context);
+                } else {
+                    await this.executeStep(step, context);
+                    pc++;
+                }
+            }
+        } finally {
+            for (const loop of context.loops || []) {
+                if (loop.element) await loop.element.dispose().catch(() => {});
+            }
+            context.loops = [];
+        }
+    }
+
+    /**
+     * @returns {Promise<number>} index of the next step to run
+     */
+    async _runFlowStep(step, pc, context) {
+        const { flow } = step;
+
+        switch (step.actionType) {
+            case 'if': {
+                const { result, description } = await this._evaluateCondition(step, context);
+                await this._logFlow(step, context, `Koşul ${result ? 'sağlandı' : 'sağlanmadı'}: ${description}`);
+                if (result) return pc + 1;
+                return (flow.elseIndex ?? flow.endIndex) + 1;
+            }
+            case 'else':
+                // then-dalı bitti, else gövdesini atla
+                return flow.endIndex + 1;
+            case 'goto': {
+                if (step.condition) {
+                    const { result, description } = await this._evaluateCondition(step, context);
+                    if (!result) {
+                        await this._logFlow(step, context, `Koşul sağlanmadı, atlama yapılmadı: ${description}`);
+                        return pc + 1;
+                    }
+                }
+                const limit = parseInt(step.config.maxIterations, 10) || DEFAULT_MAX_ITERATIONS;
+                const taken = (context.jumps[pc] || 0) + 1;
+                if (taken > limit) {
+                    throw new FlowError(`${describeStep(step)}: "${step.value}" etiketine ${limit} kereden fazla atlandı, sonsuz döngü olabilir`,
+                        { stepId: step.id, maxIterations: limit });
+                }
+                context.jumps[pc] = taken;
+                await this._logFlow(step, context, `"${step.value}" etiketine atlanıyor (${taken}/${limit})`);
+                return flow.targetIndex;
+            }
+            case 'for_each_element':
+                return this._nextLoopItem(step, pc, context);
+            case 'end_for_each':
+                return flow.startIndex;
+            case 'end_if':
+            case 'label':
+            default:
+                return pc + 1;
+        }
+    }
+
+    /**
+     * Advance the for_each_element loop starting at `pc`. The elements are
+     * queried again on every iteration because acting on a row often
+     * re-renders the list; `value` names the loop variable, exposed as
+     * {{name_index}} (1-based) and {{name_text}}.
+     */
+    async _nextLoopItem(step, pc, context) {
+        const top = context.loops[context.loops.length - 1];
+        let loop = top && top.startIndex === pc ? top : null;
+        if (loop) {
+            loop.index++;
+        } else {
+            loop = { startIndex: pc, index: 0, element: null };
+            context.loops.push(loop);
+        }
+        if (loop.element) {
+            await loop.element.dispose().catch(() => {});
+            loop.element = null;
+        }
+
+        const resolved = renderStep(step, context);
+        const parent = context.loops[context.loops.length - 2];
+        const scope = step.config.withinItem && parent ? parent.element : null;
+        const { elements } = await new SimpleSelector(this.browserController.getPage())
+            .findElements(resolved.selectors, { scope });
+
+        const maxItems = parseInt(step.config.maxItems, 10) || DEFAULT_MAX_ITEMS;
+        const count = Math.min(elements.length, maxItems);
+        const element = loop.index < count ? elements[loop.index] : null;
+        await Promise.all(elements.filter(other => other !== element).map(other => other.dispose().catch(() => {})));
+
+        if (!element) {
+            context.loops.pop();
+            await this._logFlow(step, context, `Döngü bitti: ${loop.index} element işlendi`);
+            return step.flow.endIndex + 1;
+        }
+
+        const name = loopVariable(step.value);
+        loop.element = element;
+        context.variables[`${name}_index`] = loop.index + 1;
+        context.variables[`${name}_text`] = (await element.evaluate(el => el.innerText || el.textContent || '')).trim();
+        await this._logFlow(step, context, `Döngü elementi ${loop.index + 1}/${count}`);
+        return pc + 1;
+    }
+
+    async _evaluateCondition(step, context) {
+        const resolved = renderStep(step, context);
+        return evaluateCondition(resolved.condition, {
+            page: this.browserController.getPage(),
+            record: context.record,
+            variables: context.variables,
+            scope: this._scopeFor(step, context)
+        });
+    }
+
+    /**
+     * The current for_each_element item when the step searches within it.
+     */
+    _scopeFor(step, context) {
+        if (!step.config.withinItem || !context.loops || context.loops.length === 0) {
+            return null;
+        }
+        return context.loops[context.loops.length - 1].element;
+    }
+
+    async _logFlow(step, context, message) {
+        await this._log(context.workflow.id, step.id, context.recordIndex, 'info', `${describeStep(step)}: ${message}`, null, 0);
+        this._emitProgress({ type: 'step', recordIndex: context.recordIndex, step, status: 'success', message });
+    }
+
+    /**
+     * Dispatch one step to its action handler, then apply its wait condition.
+     * Failed attempts are retried per the step's retry policy; optional steps
+     * swallow their final error (logged as a warning).
+     */
+    async executeStep(step, context) {
+        if (this.dryRun) {
+            return this._planStep(step, context);
+        }
+
+        const startedAt = Date.now();
+        const handler = this.actions[step.actionType];
+        const progress = { type: 'step', recordIndex: context.recordIndex, step };
+        const policy = resolvePolicy(this.retryPolicy.step, step.config.retry);
+        let resolved = null;
+
+        this._emitProgress({ ...progress, status: 'running' });
+
+        for (let attempt = 1; ; attempt++) {
+            const attemptStartedAt = Date.now();
+            try {
+                if (!handler) {
+                    throw new Error(`Desteklenmeyen adım türü: ${step.actionType}`);
+                }
+
+                resolved = renderStep(step, context);
+                const output = await handler(resolved, context);
+                await this._applyWaitCondition(resolved, context);
+                if (step.waitAfter > 0) {
+                    await delay(step.waitAfter);
+                }
+
+                const duration = Date.now() - startedAt;
+                const suffix = attempt > 1 ? ` (${attempt}. denemede)` : '';
+                const artifacts = this.captureMode === 'always' ? await this._captureArtifacts(step, context) : null;
+                await this._log(context.workflow.id, step.id, context.recordIndex, 'success',
+                    `${describeStep(step)} tamamlandı${suffix}`, null, duration, artifacts);
+                this._emitProgress({ ...progress, status: 'success', duration, resolved, attempt });
+                return output;
+            } catch (error) {
+                const duration = Date.now() - startedAt;
+                if (error instanceof ExecutionStoppedError) {
+                    this._emitProgress({ ...progress, status: 'stopped', duration, resolved, attempt });
+                    throw error;
+                }
+                if (error instanceof RecordSkippedError) {
+                    this._emitProgress({ ...progress, status: 'skipped', duration, resolved, attempt, message: error.message });
+                    throw error;
+                }
+
+                const decision = shouldRetry(policy, error, attempt);
+                // Login sayfasına düşüldüyse adımı tekrar denemek boşuna: kayıt düzeyinde ele alınır
+                const loginReason = decision.retry ? await this._detectLogin() : null;
+                if (decision.retry && !loginReason) {
+                    await this._log(context.workflow.id, step.id, context.recordIndex, 'warning',
+                        `${describeStep(step)} deneme ${attempt}/${policy.maxAttempts} başarısız [${decision.errorClass}]: ${error.message} - ${decision.delay}ms sonra tekrar denenecek`,
+                        error.stack, Date.now() - attemptStartedAt);
+                    this._emitProgress({ ...progress, status: 'retrying', duration, resolved, attempt, message: error.message });
+                    await this._backoff(decision.delay);
+                    continue;
+                }
+
+                const suffix = attempt > 1 ? ` (${attempt} deneme)` : '';
+                const artifacts = this.captureMode !== 'off' ? await this._captureArtifacts(step, context) : null;
+                if (step.isOptional && !loginReason) {
+                    await this._log(context.workflow.id, step.id, context.recordIndex, 'warning',
+                        `Opsiyonel adım atlandı${suffix}: ${describeStep(step)} - ${error.message}`, error.stack, duration, artifacts);
+                    this._emitProgress({ ...progress, status: 'skipped', duration, resolved, attempt, message: error.message });
+                    return null;
+                }
+
+                // Doğrulama hatalarında beklenen/bulunan değerler log detayına yapılandırılmış olarak yazılır
+                const errorDetails = error instanceof AssertionError ? JSON.stringify(error.details) : error.stack;
+                this.failureArtifacts = artifacts;
+                await this._log(context.workflow.id, step.id, context.recordIndex, 'error',
+                    `${describeStep(step)} başarısız${suffix}: ${error.message}`, errorDetails, duration, artifacts);
+                this._emitProgress({ ...progress, status: 'error', duration, resolved, attempt, message: error.message });
+                throw loginReason ? new LoginRequiredError(loginReason) : error;
+            }
+        }
+    }
+
+    /**
+     * Dry-run counterpart of executeStep: render the step and find its
+     * element without acting on it. Only DRY_RUN_ACTIONS really run; wait
+     * conditions, wait_after and retries are skipped. storeAs variables of
+     * skipped steps get a placeholder so later steps still render. Problems
+     * go to the report instead of failing the record.
+     */
+    async _planStep(step, context) {
+        const startedAt = Date.now();
+        const progress = { type: 'step', recordIndex: context.recordIndex, step };
+        const runs = DRY_RUN_ACTIONS.has(step.actionType);
+        let resolved = null;
+        let selectors = null;
+        let found = null;
+        let message = null;
+
+        this._emitProgress({ ...progress, status: 'running' });
+
+        try {
+            resolved = renderStep(step, context);
+            // assert adımının seçicisi config.assert.selector'da da olabilir (_assert ile aynı öncelik)
+            selectors = (resolved.assertion && resolved.assertion.selector) || resolved.selectors;
+            if (runs) {
+                await this.actions[step.actionType](resolved, context);
+                found = selectors ? true : null;
+            } else if (ELEMENT_ACTIONS.has(step.actionType) || selectors) {
+                await this._resolveElement({ ...resolved, selectors }, context);
+                found = true;
+            }
+
+            const filePath = resolved.filePath || resolved.value;
+            if (step.actionType === 'upload' && (!filePath || !fs.existsSync(filePath))) {
+                throw new Error(`Yüklenecek dosya bulunamadı: ${filePath || '(boş)'}`);
+            }
+        } catch (error) {
+            if (error instanceof ExecutionStoppedError || error instanceof LoginRequiredError) {
+                throw error;
+            }
+            message = error.message;
+            if (error instanceof TemplateError) {
+                this.dryRun.missingVariable(context, step, error);
+            } else if (error instanceof ElementNotFoundError) {
+                found = false;
+                this.dryRun.unresolvedSelector(context, step, selectors, error);
+            } else {
+                this.dryRun.problem(context, step, error);
+            }
+        }
+
+        if (!runs && step.storeAs) {
+            context.variables[step.storeAs] = `‹${step.storeAs}›`;
+        }
+        this.dryRun.plan(context, step, resolved ? { ...resolved, selectors } : step, { found, skipped: !runs });
+        this._emitProgress({
+            ...progress,
+            status: message ? 'error' : 'success',
+            duration: Date.now() - startedAt,
+            resolved,
+            message
+        });
+        return null;
+    }
+
+    /**
+     * Wait between retry attempts; a stop request ends the wait early.
+     */
+    async _backoff(ms) {
+        const deadline = Date.now() + ms;
+        while (Date.now() < deadline) {
+            if (this.state.isStopping) {
+                throw new ExecutionStoppedError();
+            }
+            await delay(Math.min(250, deadline - Date.now()));
+        }
+        if (this.state.isStopping) {
+            throw new ExecutionStoppedError();
+        }
+    }
+
+    pause() {
+        return this.state.pause();
+    }
+
+    resume() {
+        return this.state.resume();
+    }
+
+    stop() {
+        const stopped = this.state.stop();
+        if (stopped && this.discovery) {
+            this.discovery.cancelSelection();
+        }
+        if (stopped && this.pendingConfirmation) {
+            this.pendingConfirmation.reject(new ExecutionStoppedError());
+        }
+        return stopped;
+    }
+
+    /**
+     * The user pressed "Devam Et" for a manual_confirm step.
+     */
+    continueExecution() {
+        if (!this.pendingConfirmation) {
+            return false;
+        }
+        this.pendingConfirmation.resolve('confirmed');
+        return true;
+    }
+
+    getPosition() {
+        return {
+            workflowId: this.currentWorkflowId,
+            recordIndex: this.currentRecordIndex,
+            stepIndex: this.currentStepIndex
+        };
+    }
+
+    getStatus() {
+        return {
+            state: this.state.state,
+            isRunning: this.state.isActive,
+            pauseRequested: this.state.pauseRequested,
+            ...this.getPosition()
+        };
+    }
+
+    // ==================== PROGRESS ====================
+
+    /**
+     * execution:progress payload:
+     * { type: 'record'|'step', workflowId, recordIndex, status, duration, message,
+     *   stepId, stepIndex, stepName, actionType, attempt, resolved: { value, filePath, selectors },
+     *   stats: { total, completed, success, failed, skipped } }
+     */
+    _emitProgress({ type, recordIndex, status, duration = null, message = null, step = null, resolved = null, attempt = null }) {
+        const summary = this.currentSummary || {};
+        const event = {
+            type,
+            workflowId: this.currentWorkflowId,
+            recordIndex,
+            status,
+            duration,
+            message,
+            stats: {
+                total: summary.totalRecords || 0,
+                completed: (summary.successCount || 0) + (summary.errorCount || 0),
+                success: summary.successCount || 0,
+                failed: summary.errorCount || 0,
+                skipped: summary.skippedCount || 0
+            }
+        };
+
+        if (step) {
+            event.stepId = step.id;
+            event.stepIndex = this.currentStepIndex;
+            event.stepName = describeStep(step);
+            event.actionType = step.actionType;
+            event.attempt = attempt;
+        }
+        if (resolved) {
+            event.resolved = {
+                value: resolved.value ?? null,
+                filePath: resolved.filePath ?? null,
+                selectors: describeSelectors(resolved.selectors)
+            };
+        }
+
+        this.notify('execution:progress', event);
+    }
+
+    // ==================== CHECKPOINTS ====================
+
+    /**
+     * Continue an open checkpoint unless options.resume === false.
+     * The interrupted record is replayed from its first step: after a
+     * restart the page state of a half-filled form is gone.
+     * @returns {number} record index to start from
+     */
+    _openCheckpoint(workflowId, dataSourceId, totalRecords, summary, options) {
+        if (!this.checkpointStore) {
+            return 0;
+        }
+
+        const existing = this.checkpointStore.getOpen(workflowId, dataSourceId);
+        if (existing && options.resume !== false && existing.record_index < totalRecords) {
+            this.checkpointId = existing.id;
+            summary.successCount = existing.success_count;
+            summary.errorCount = existing.error_count;
+            summary.skippedCount = existing.skipped_count || 0;
+            summary.resumedFrom = existing.record_index;
+            return existing.record_index;
+        }
+
+        this.checkpointId = this.checkpointStore.open(workflowId, dataSourceId, totalRecords);
+        return 0;
+    }
+
+    _saveCheckpoint(position) {
+        if (!this.checkpointStore || !this.checkpointId) {
+            return;
+        }
+        const counts = this.currentSummary || {};
+        try {
+            this.checkpointStore.save(this.checkpointId, {
+                ...position,
+                successCount: counts.successCount,
+                errorCount: counts.errorCount,
+                skippedCount: counts.skippedCount
+            });
+        } catch (error) {
+            console.warn('⚠️ Kontrol noktası kaydedilemedi:', error.message);
+        }
+    }
+
+    // ==================== RUN HISTORY ====================
+
+    /**
+     * Open the run history entry; dry runs are not recorded. History
+     * failures are logged and never stop the run.
+     */
+    _startRun(workflow, steps, dataSourceId, totalRecords, options) {
+        if (!this.runStore || this.dryRun) {
+            return;
+        }
+        try {
+            this.runId = this.runStore.start({
+                workflowId: workflow.id,
+                workflowName: workflow.name,
+                workflowVersion: workflowVersion(steps),
+                dataSourceId,
+                options,
+                totalRecords
+            });
+        } catch (error) {
+            console.warn('⚠️ Çalışma geçmişi kaydı açılamadı:', error.message);
+        }
+    }
+
+    _saveRunRecord(recordIndex, record, outcome) {
+        if (!this.runStore || !this.runId) {
+            return;
+        }
+        try {
+            this.runStore.saveRecord(this.runId, recordIndex, { ...outcome, record });
+        } catch (error) {
+            console.warn('⚠️ Kayıt sonucu geçmişe yazılamadı:', error.message);
+        }
+    }
+
+    /**
+     * Screenshot and DOM snapshot of the current page for a step's log line
+     * (step null: a record that failed outside a step). Either may be
+     * missing when the page cannot be captured; capture failures are logged
+     * and never fail the step.
+     * @returns {Promise<{screenshotId, snapshotId}|null>}
+     */
+    async _captureArtifacts(step, context) {
+        if (!this.artifactStore || !this.runId || this.dryRun || !this.browserController.isConnected()) {
+            return null;
+        }
+        const owner = { runId: this.runId, recordIndex: context.recordIndex, stepId: step ? step.id : null };
+        const page = this.browserController.getPage();
+        const artifacts = { screenshotId: null, snapshotId: null };
+
+        try {
+            const content = await page.screenshot({ type: 'jpeg', quality: 60 });
+            artifacts.screenshotId = this.artifactStore.save({ ...owner, kind: 'screenshot', content: Buffer.from(content) });
+        } catch (error) {
+            console.warn('⚠️ Adım ekran görüntüsü alınamadı:', error.message);
+        }
+        try {
+            const content = await captureDomSnapshot(page);
+            artifacts.snapshotId = this.artifactStore.save({ ...owner, kind: 'dom', content });
+        } catch (error) {
+            console.warn('⚠️ DOM görüntüsü alınamadı:', error.message);
+        }
+        return artifacts;
+    }
+
+    _finishRun(status, summary, errorMessage = null) {
+        if (!this.runStore || !this.runId) {
+            return;
+        }
+        try {
+            this.runStore.finish(this.runId, status, summary || {}, errorMessage);
+        } catch (error) {
+            console.warn('⚠️ Çalışma geçmişi kapatılamadı:', error.message);
+        }
+    }
+
+    // ==================== ACTIONS ====================
+
+    async _click(step, context) {
+        const element = await this._resolveElement(step, context);
+        await element.click();
+    }
+
+    async _type(step, context) {
+        const element = await this._resolveElement(step, context);
+        await clearInput(element);
+        await element.type(String(step.value !== undefined ? step.value : ''));
+    }
+
+    async _wait(step) {
+        const ms = parseInt(step.value, 10);
+        if (!ms || ms < 0) {
+            throw new Error(`Geçersiz bekleme süresi: ${step.value}`);
+        }
+        await delay(ms);
+    }
+
+    async _navigate(step) {
+        if (!step.value) {
+            throw new Error('Hedef URL boş');
+        }
+        await this.browserController.navigate(String(step.value));
+    }
+
+    async _waitForElement(step, context) {
+        await this._resolveElement(step, context);
+    }
+
+    async _download(step, context) {
+        const page = this.browserController.getPage();
+        const downloadPath = step.config.downloadPath || context.options.downloadPath
+            || path.join(os.homedir(), 'Downloads');
+        fs.mkdirSync(downloadPath, { recursive: true });
+
+        const client = await page.createCDPSession();
+        try {
+            await client.send('Browser.setDownloadBehavior', { behavior: 'allow', downloadPath });
+
+            const before = new Set(fs.readdirSync(downloadPath));
+            const element = await this._resolveElement(step, context);
+            await element.click();
+
+            const fileName = await waitForNewFile(downloadPath, before, step.config.timeout || DOWNLOAD_TIMEOUT);
+            return path.join(downloadPath, fileName);
+        } finally {
+            await client.detach().catch(() => {});
+        }
     }
 
-    async executeWorkflow(workflowId) {
-        throw new Error('Production feature - Not available in demo version. Contact: hakankarabogaz@tarsus.edu.tr');
+    async _upload(step, context) {
+        const filePath = step.filePath || step.value;
+        if (!filePath) {
+            throw new Error('Yüklenecek dosya yolu boş');
+        }
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Dosya bulunamadı: ${filePath}`);
+        }
+        const element = await this._resolveElement(step, context);
+        await element.uploadFile(String(filePath));
     }
 
-    async executeStep(step) {
-        throw new Error('Production feature - Not available in demo version');
+    async _clear(step, context) {
+        const element = await this._resolveElement(step, context);
+        await clearInput(element);
     }
+
+    /**
+     * The script is a function body run in the page; `record` and `vars`
+     * are in scope and its return value is kept under `storeAs`.
+     */
+    async _executeScript(step, context) {
+        if (!step.script) {
+            throw new Error('Çalıştırılacak script boş');
+        }
+
+        const page = this.browserController.getPage();
+        // Runtime.evaluate ile çalışır, sayfanın CSP'si (unsafe-eval) engellemez
+        const source = `(async (record, vars) => {\n${step.script}\n})(${JSON.stringify(context.record)}, ${JSON.stringify(context.variables)})`;
+        const result = await page.evaluate(source);
+
+        if (step.storeAs) {
+            context.variables[step.storeAs] = result;
+        }
+        return result;
+    }
+
+    /**
+     * Run the callee's program for the current record. Its record is the
+     * caller's record plus the rendered params; its storeAs variables are
+     * copied back. Logs stay under the calling workflow's run.
+     */
+    async _callWorkflow(step, context) {
+        const callee = this.callees.get(calleeId(step));
+        if (!callee) {
+            throw new AutomationError(`${describeStep(step)}: çağrılan workflow yüklenmemiş`, { stepId: step.id });
+        }
+
+        const params = {};
+        for (const [name, value] of Object.entries(step.config.params || {})) {
+            params[name] = render(value, context);
+        }
+
+        const name = callee.workflow.name || `Workflow ${callee.workflow.id}`;
+        await this._log(context.workflow.id, step.id, context.recordIndex, 'info', `Alt workflow başlıyor: ${name}`, null, 0);
+
+        const calleeContext = {
+            ...context,
+            record: { ...context.record, ...params },
+            variables: {},
+            loops: [],
+            jumps: {},
+            depth: (context.depth || 0) + 1
+        };
+        await this.runSteps(callee.program, calleeContext);
+
+        const returned = {};
+        for (const variable of callee.exports) {
+            if (Object.prototype.hasOwnProperty.call(calleeContext.variables, variable)) {
+                returned[variable] = calleeContext.variables[variable];
+                context.variables[variable] = calleeContext.variables[variable];
+            }
+        }
+        return returned;
+    }
+
+    /**
+     * Element-based checks fall back to the step's own selectors.
+     */
+    async _assert(step, context) {
+        const assertion = step.assertion
+            ? { ...step.assertion, selector: step.assertion.selector || step.selectors }
+            : null;
+        const problem = validateAssertion(assertion);
+        if (problem) {
+            throw new AutomationError(`${describeStep(step)}: ${problem}`, { stepId: step.id });
+        }
+
+        const result = await verifyAssertion(assertion, {
+            page: this.browserController.getPage(),
+            record: context.record,
+            variables: context.variables,
+            scope: this._scopeFor(step, context)
+        });
+        await this._log(context.workflow.id, step.id, context.recordIndex, 'info',
+            `Doğrulama geçti: ${result.check} "${result.expected}" (bulunan "${result.actual}")`, null, 0);
+        return result;
+    }
+
+    /**
+     * Scrape rows into a new `extracted` data source; its id is kept under
+     * `storeAs`. config: see extractor.js, plus dataSourceName (template).
+     */
+    async _extract(step, context) {
+        if (!step.selectors) {
+            throw new Error(`${describeStep(step)}: tablo/liste seçici tanımlı değil`);
+        }
+
+        const { rows, pages } = await extractRows(this.browserController.getPage(), step.selectors, step.config, {
+            scope: this._scopeFor(step, context)
+        });
+
+        const name = render(step.config.dataSourceName, context)
+            || `${context.workflow.name || 'Workflow'} - ${new Date().toLocaleString('tr-TR')}`;
+        const saved = await this.databaseManager.createDataSource(
+            name,
+            'extracted',
+            `${describeStep(step)}: ${pages} sayfadan ${rows.length} satır`,
+            JSON.stringify(rows)
+        );
+        const dataSourceId = saved && typeof saved === 'object' ? saved.id : saved;
+
+        await this._log(context.workflow.id, step.id, context.recordIndex, 'info',
+            `${rows.length} satır "${name}" veri kaynağına kaydedildi (${pages} sayfa)`, null, 0);
+
+        if (step.storeAs) {
+            context.variables[step.storeAs] = dataSourceId;
+        }
+        return { dataSourceId, rowCount: rows.length, pages };
+    }
+
+    /**
+     * Block until the user confirms. config: { timeout (ms, 0 = none),
+     * onTimeout: 'continue' | 'skip' | 'abort', screenshot }.
+     * The message (step value) may use {{column}} templates.
+     */
+    async _manualConfirm(step, context) {
+        const timeout = parseInt(step.config.timeout, 10) || 0;
+        const onTimeout = step.config.onTimeout || 'abort';
+
+        let screenshot = null;
+        if (step.config.screenshot) {
+            try {
+                const data = await this.browserController.getPage().screenshot({ encoding: 'base64' });
+                screenshot = `data:image/png;base64,${data}`;
+            } catch (error) {
+                console.warn('⚠️ Onay ekran görüntüsü alınamadı:', error.message);
+            }
+        }
+
+        const outcome = await this.state.waitForUser(() => new Promise((resolve, reject) => {
+            const timer = timeout > 0 ? setTimeout(() => resolve('timeout'), timeout) : null;
+            this.pendingConfirmation = {
+                resolve: (value) => { clearTimeout(timer); resolve(value); },
+                reject: (error) => { clearTimeout(timer); reject(error); }
+            };
+
+            this.notify('workflow-waiting-for-user', {
+                message: step.value || 'Lütfen gerekli işlemi yapın ve devam etmek için tıklayın.',
+                stepName: describeStep(step),
+                stepId: step.id,
+                recordIndex: context.recordIndex,
+                timeout,
+                onTimeout,
+                screenshot
+            });
+        }).finally(() => {
+            this.pendingConfirmation = null;
+        }));
+
+        if (outcome !== 'timeout') {
+            return outcome;
+        }
+
+        const seconds = Math.round(timeout / 1000);
+        if (onTimeout === 'continue') {
+            await this._log(context.workflow.id, step.id, context.recordIndex, 'warning',
+                `Onay ${seconds} sn içinde gelmedi, devam ediliyor`, null, timeout);
+            return outcome;
+        }
+        if (onTimeout === 'skip') {
+            throw new RecordSkippedError(`Onay ${seconds} sn içinde gelmedi`);
+        }
+        throw new AutomationError(`Onay ${seconds} sn içinde gelmedi`, { stepId: step.id });
+    }
+
+    // ==================== LOGIN ====================
+
+    async _loadLoginDetector(workflow) {
+        if (!workflow.screen_id || typeof this.databaseManager.getScreen !== 'function') {
+            return null;
+        }
+        try {
+            const screen = await this.databaseManager.getScreen(workflow.screen_id);
+            return LoginDetector.fromScreen(screen);
+        } catch (error) {
+            console.warn('⚠️ Ekran login ayarı yüklenemedi:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<string|null>} why the page looks like a login page
+     */
+    async _detectLogin() {
+        if (!this.loginDetector || !this.browserController.isConnected()) {
+            return null;
+        }
+        try {
+            const result = await this.loginDetector.check(this.browserController.getPage());
+            return result.loggedOut ? result.reason : null;
+        } catch (error) {
+            // Sayfa tam o anda navigasyondaysa kontrol bir sonraki adımda tekrarlanır
+            return null;
+        }
+    }
+
+    /**
+     * Raise login-required and poll the detector until the login page is gone.
+     * "Devam Et" (workflow:continue) triggers an immediate re-check.
+     */
+    async _waitForLogin(context, reason) {
+        await this._log(context.workflow.id, null, context.recordIndex, 'warning',
+            `Login sayfası algılandı, kullanıcı girişi bekleniyor (${reason})`, null, 0);
+
+        await this.state.waitForUser(() => new Promise((resolve, reject) => {
+            let timer = null;
+            // Durdurma veya giriş algılandıktan sonra sürmekte olan yoklama yeniden kurulmamalı
+            let settled = false;
+            let polling = false;
+            const confirmation = {
+                resolve: () => poll(),
+                reject: (error) => {
+                    finish();
+                    reject(error);
+                }
+            };
+            const finish = () => {
+                settled = true;
+                clearTimeout(timer);
+                if (this.pendingConfirmation === confirmation) {
+                    this.pendingConfirmation = null;
+                }
+            };
+            const poll = async () => {
+                clearTimeout(timer);
+                // "Devam Et" süren bir yoklamanın üstüne ikinci bir zincir başlatmaz
+                if (settled || polling) return;
+                polling = true;
+                let loggedIn;
+                try {
+                    loggedIn = !(await this._detectLogin());
+                } finally {
+                    polling = false;
+                }
+                if (settled) return;
+                if (loggedIn) {
+                    finish();
+                    resolve();
+                    return;
+                }
+                timer = setTimeout(poll, LOGIN_POLL_INTERVAL);
+            };
+
+            this.pendingConfirmation = confirmation;
+
+            this.notify('login-required', {
+                message: 'Oturum sonlanmış görünüyor. Lütfen tarayıcıda login olun; giriş algılanınca kayıt baştan devam edecek.',
+                reason,
+                recordIndex: context.recordIndex
+            });
+            timer = setTimeout(poll, LOGIN_POLL_INTERVAL);
+        }));
+
+        await this._log(context.workflow.id, null, context.recordIndex, 'info',
+            `Oturum yeniden açıldı, kayıt ${context.recordIndex + 1} baştan çalıştırılıyor`, null, 0);
+    }
+
+    // ==================== HELPERS ====================
+
+    async _resolveElement(step, context) {
+        if (!step.selectors) {
+            throw new Error(`${describeStep(step)}: element seçici tanımlı değil`);
+        }
+
+        const selector = new SimpleSelector(this.browserController.getPage());
+        const timeout = step.config.timeout || context.options.elementTimeout || DEFAULT_ELEMENT_TIMEOUT;
+        const result = await selector.waitForElement(step.selectors, timeout, {
+            visible: true,
+            scope: this._scopeFor(step, context)
+        });
+
+        if (result.healed) {
+            await this._recordHealedSelector(step, context, result);
+        }
+        return result.element;
+    }
+
+    async _recordHealedSelector(step, context, result) {
+        await this._log(context.workflow.id, step.id, context.recordIndex, 'warning',
+            `Selector'lar bulunamadı, parmak izi ile eşleşti (benzerlik %${Math.round(result.suggestion.score * 100)}): ${result.suggestion.css}`,
+            JSON.stringify(result.attempts), result.duration);
+
+        if (this.suggestionStore && step.id) {
+            try {
+                this.suggestionStore.add(context.workflow.id, step.id, step.selectors, result.suggestion);
+            } catch (error) {
+                console.warn('⚠️ Selector önerisi kaydedilemedi:', error.message);
+            }
+        }
+    }
+
+    async _applyWaitCondition(step, context) {
+        const condition = step.waitCondition;
+        if (!condition || !condition.type || condition.type === 'none') {
+            return;
+        }
+
+        const timeout = condition.timeout || DEFAULT_ELEMENT_TIMEOUT;
+        const page = this.browserController.getPage();
+
+        switch (condition.type) {
+            case 'time':
+                await delay(timeout);
+                break;
+            case 'element':
+                await new SimpleSelector(page).waitForElement(condition.selector, timeout, { visible: true });
+                break;
+            case 'elementGone':
+                await new SimpleSelector(page).waitForElementGone(condition.selector, timeout);
+                break;
+            case 'pageLoad':
+                await page.waitForFunction(() => document.readyState === 'complete', { timeout });
+                break;
+            default:
+                throw new Error(`Bilinmeyen bekleme koşulu: ${condition.type}`);
+        }
+    }
+
+    /**
+     * Reuse an open browser; otherwise let the user pick a debug-mode
+     * browser (or launch a new one) through the selection modal. A target
+     * URL with placeholders is opened per record (_openRecordUrl).
+     */
+    async _prepareBrowser(workflow, options) {
+        const targetUrl = hasTemplate(workflow.target_url) ? null : workflow.target_url;
+        if (!this.browserController.isConnected()) {
+            const choice = this.discovery
+                ? await this.state.waitForUser(() => this.discovery.requestSelection(this.notify))
+                : { type: 'launch' };
+
+            if (choice.type === 'connect') {
+                await this.browserController.connect({
+                    browserWSEndpoint: choice.browserWSEndpoint,
+                    host: choice.host,
+                    port: choice.port,
+                    pageUrl: targetUrl,
+                    slowMo: options.browserOptions && options.browserOptions.slowMo
+                });
+            } else {
+                await this.browserController.launch(options.browserOptions || {});
+            }
+        }
+
+        if (workflow.timeout) {
+            this.browserController.setNavigationTimeout(workflow.timeout);
+        }
+
+        const page = this.browserController.getPage();
+        if (targetUrl && page.url() === 'about:blank') {
+            await this.browserController.navigate(targetUrl);
+        }
+    }
+
+    /**
+     * Open the workflow's target URL rendered with the record, when it
+     * has placeholders (e.g. .../ogrenci/{{student_no}}).
+     */
+    async _openRecordUrl(context) {
+        const { workflow } = context;
+        if (!hasTemplate(workflow.target_url)) {
+            return;
+        }
+        await this.browserController.navigate(render(workflow.target_url, context));
+    }
+
+    /**
+     * @param {Object} [artifacts] - { screenshotId, snapshotId } (run history only)
+     */
+    async _log(workflowId, stepId, recordIndex, status, message, errorDetails, executionTime, artifacts = null) {
+        // Dry run gerçek çalışmaların log geçmişine karışmaz; sonuçları rapordadır
+        if (this.dryRun) {
+            return;
+        }
+        try {
+            await this.databaseManager.createLog(workflowId, stepId, recordIndex, status, message, errorDetails, executionTime);
+        } catch (error) {
+            console.warn('⚠️ Log yazılamadı:', error.message);
+        }
+        if (this.runStore && this.runId) {
+            try {
+                this.runStore.log(this.runId, workflowId, stepId, recordIndex, status, message, errorDetails, executionTime,
+                    artifacts || {});
+            } catch (error) {
+                console.warn('⚠️ Log çalışma geçmişine yazılamadı:', error.message);
+            }
+        }
+    }
+}
+
+/**
+ * loadDataSourceRecords answers in several shapes; WorkflowRunner accepts
+ * the same ones: { success, data }, a plain array, or { content } as JSON.
+ */
+function normalizeRecords(result) {
+    if (!result) return [];
+    if (Array.isArray(result)) return result;
+    if (result.success && Array.isArray(result.data)) return result.data;
+    if (result.content) {
+        const content = typeof result.content === 'string' ? JSON.parse(result.content) : result.content;
+        return Array.isArray(content) ? content : [];
+    }
+    return [];
+}
+
+async function clearInput(element) {
+    await element.evaluate(input => {
+        input.focus();
+        if ('value' in input) {
+            input.value = '';
+        } else if (input.isContentEditable) {
+            input.textContent = '';
+        }
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+}
+
+async function waitForNewFile(directory, existing, timeout) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        const added = fs.readdirSync(directory).filter(name =>
+            !existing.has(name) && !name.endsWith('.crdownload') && !name.endsWith('.tmp'));
+        if (added.length > 0) {
+            return added[0];
+        }
+        await delay(500);
+    }
+    throw new Error(`İndirme ${timeout}ms içinde tamamlanmadı`);
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-module.exports = WorkflowExecutorDemo;
+module.exports = WorkflowExecutor;
+module.exports.normalizeRecords = normalizeRecords;
@@ -77,18 +77,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
         continue: () => 
             ipcRenderer.invoke('workflow:continue'),
         stop: () => 
-            ipcRenderer.invoke('workflow:stop')
-    },
-
-    execution: {
-        execute: (workflowId, dataSourceId, options) => 
-            ipcRenderer.invoke('workflow:execute', workflowId, dataSourceId, options),
-        pause: () => 
-            ipcRenderer.invoke('workflow:pause'),
-        resume: () => 
-            ipcRenderer.invoke('workflow:resume'),
-        stop: () => 
-            ipcRenderer.invoke('workflow:stop')
+            ipcRenderer.invoke('workflow:stop'),
+        // if/goto/for_each bloklarını ve alt workflow çağrılarını kaydetmeden önce kontrol et
+        validateFlow: (steps, workflowId = null) =>
+            ipcRenderer.invoke('workflow:validateFlow', steps, workflowId)
     },
 
     // ==================== STEPS ====================
@@ -113,6 +105,74 @@ contextBridge.exposeInMainWorld('electronAPI', {
             ipcRenderer.invoke('db:reorderSteps', workflowId, stepIds)
     },
 
+    // ==================== SELECTOR SUGGESTIONS ====================
+    
+    selectors: {
+        getSuggestions: (workflowId) => 
+            ipcRenderer.invoke('selectors:getSuggestions', workflowId),
+        
+        // status: 'accepted' | 'dismissed'
+        resolveSuggestion: (id, status) => 
+            ipcRenderer.invoke('selectors:resolveSuggestion', id, status),
+        
+        // Kayıtta yeniden oluşturulan adımlar: stepIds = { eskiStepId: yeniStepId }
+        rekeySuggestions: (workflowId, stepIds) => 
+            ipcRenderer.invoke('selectors:rekeySuggestions', workflowId, stepIds)
+    },
+
+    // ==================== GRADE SCALES ====================
+    
+    gradeScales: {
+        getAll: () => 
+            ipcRenderer.invoke('grades:getScales'),
+        
+        // scale: { id?, name, type: 'absolute' | 'relative', faculty, definition, is_default }
+        save: (scale) => 
+            ipcRenderer.invoke('grades:saveScale', scale),
+        
+        delete: (id) => 
+            ipcRenderer.invoke('grades:deleteScale', id),
+        
+        getAssignments: () => 
+            ipcRenderer.invoke('grades:getAssignments'),
+        
+        // targetType: 'course' | 'faculty'
+        assign: (targetType, target, scaleId) => 
+            ipcRenderer.invoke('grades:assign', targetType, target, scaleId),
+        
+        unassign: (id) => 
+            ipcRenderer.invoke('grades:unassign', id),
+        
+        preview: (records) => 
+            ipcRenderer.invoke('grades:preview', records)
+    },
+
+    // ==================== RUN HISTORY ====================
+    
+    runs: {
+        // filters: { workflowId, status, limit }
+        getAll: (filters) => 
+            ipcRenderer.invoke('runs:getAll', filters),
+        
+        get: (id) => 
+            ipcRenderer.invoke('runs:get', id),
+        
+        getRecords: (runId) => 
+            ipcRenderer.invoke('runs:getRecords', runId),
+        
+        // format: 'html' | 'pdf'; kaydetme penceresi açılır → { success, data: dosya yolu | null }
+        exportReport: (runId, format) => 
+            ipcRenderer.invoke('runs:exportReport', runId, format),
+        
+        delete: (id) => 
+            ipcRenderer.invoke('runs:delete', id),
+        
+        // logs.clearOld ile aynı gün sayısı verilmeli: run_logs, logs tablosunun kopyasıdır
+        // → { success, data: silinen çalışma sayısı }
+        clearOld: (daysToKeep) => 
+            ipcRenderer.invoke('runs:clearOld', daysToKeep)
+    },
+
     // ==================== DATA SOURCES ====================
     
     dataSources: {
@@ -148,10 +208,41 @@ contextBridge.exposeInMainWorld('electronAPI', {
         getAll: (filters, limit) => 
             ipcRenderer.invoke('db:getAllLogs', filters, limit),
         
+        // Çalışma geçmişi logları (run_logs)
+        // filters: { workflowId, runId, recordIndex, levels, from, to, text, cursor }
+        // → { success, data: { logs (yeniden eskiye), nextCursor } }
+        query: (filters, limit) => 
+            ipcRenderer.invoke('logs:query', filters, limit),
+        
+        // Canlı log akışı: filtreye uyan yeni satırlar toplu halde gelir; dönen fonksiyon aboneliği bitirir
+        subscribe: (filters, callback) => {
+            const listener = (event, rows) => callback(rows);
+            ipcRenderer.on('logs:appended', listener);
+            ipcRenderer.invoke('logs:subscribe', filters);
+            return () => {
+                ipcRenderer.removeListener('logs:appended', listener);
+                ipcRenderer.invoke('logs:unsubscribe');
+            };
+        },
+        
+        // format: 'csv' | 'jsonl'; getAll filtreleriyle, sayfalamadan tüm satırlar
+        // → { success, data: { filePath, count } | null (iptal) }
+        export: (filters, format) => 
+            ipcRenderer.invoke('logs:export', filters, format),
+        
         clearOld: (daysToKeep) => 
             ipcRenderer.invoke('db:clearOldLogs', daysToKeep)
     },
 
+    // ==================== ARTIFACTS ====================
+    
+    artifacts: {
+        // Log satırının screenshot_id / snapshot_id değeri
+        // → { success, data: { kind, content (data URL | HTML) } }; silinmişse success: false
+        get: (id) => 
+            ipcRenderer.invoke('artifacts:get', id)
+    },
+
     // ==================== RECORDS QUEUE ====================
     
     queue: {
@@ -217,17 +308,39 @@ contextBridge.exposeInMainWorld('electronAPI', {
         getStatus: () =>
             ipcRenderer.invoke('workflow:status'),
         
-        // Event listener'lar (Gelecekte progress tracking için)
+        // Yarım kalmış çalışmanın kontrol noktası (yoksa data: null)
+        getCheckpoint: (workflowId, dataSourceId) =>
+            ipcRenderer.invoke('workflow:getCheckpoint', workflowId, dataSourceId),
+        
+        discardCheckpoint: (id) =>
+            ipcRenderer.invoke('workflow:discardCheckpoint', id),
+        
+        // Açık debug-mode tarayıcıları listele
+        discoverBrowsers: () =>
+            ipcRenderer.invoke('browser:discover'),
+        
+        // Tarayıcı seçim modalındaki seçimi bildir
+        selectBrowser: (choice) =>
+            ipcRenderer.invoke('workflow:selectBrowser', choice),
+        
+        // Canlı ilerleme olayları - dönen fonksiyon dinleyiciyi kaldırır
         onProgress: (callback) => {
-            ipcRenderer.on('execution:progress', (event, data) => callback(data));
+            const listener = (event, data) => callback(data);
+            ipcRenderer.on('execution:progress', listener);
+            return () => ipcRenderer.removeListener('execution:progress', listener);
         },
         
+        // Executor bitiş ve hata olaylarını workflow-complete / workflow-error kanallarına gönderir
         onComplete: (callback) => {
-            ipcRenderer.on('execution:complete', (event, data) => callback(data));
+            const listener = (event, data) => callback(data);
+            ipcRenderer.on('workflow-complete', listener);
+            return () => ipcRenderer.removeListener('workflow-complete', listener);
         },
         
         onError: (callback) => {
-            ipcRenderer.on('execution:error', (event, data) => callback(data));
+            const listener = (event, data) => callback(data);
+            ipcRenderer.on('workflow-error', listener);
+            return () => ipcRenderer.removeListener('workflow-error', listener);
         }
     },
 
@@ -5,7 +5,8 @@ import {
   Database, 
   FileText, 
   Settings, 
-  HelpCircle 
+  HelpCircle,
+  GraduationCap
 } from 'lucide-react';
 import Dashboard from './components/Dashboard';
 import WorkflowDesigner from './components/WorkflowDesigner';
@@ -14,6 +15,7 @@ import LogViewer from './components/LogViewer';
 import HybridImportManager from './components/HybridImportManager';
 import HybridWorkflowCreator from './components/HybridWorkflowCreator';
 import DatabaseDebugger from './components/DatabaseDebugger';
+import GradeScaleManager from './components/GradeScaleManager';
 
 function App() {
   console.log('🚀 App component rendering...');
@@ -72,6 +74,8 @@ function App() {
         return <HybridImportManager onBack={() => setCurrentView('dashboard')} />;
       case 'hybrid-workflow':
         return <HybridWorkflowCreator onBack={() => setCurrentView('dashboard')} />;
+      case 'grade-scales':
+        return <GradeScaleManager />;
       case 'logs':
         return <LogViewer onBack={() => setCurrentView('dashboard')} />;
       case 'database-debug':
@@ -136,6 +140,14 @@ function App() {
             <span>🎯 Hybrid Workflow</span>
           </button>
 
+          <button 
+            className={`nav-item ${currentView === 'grade-scales' ? 'active' : ''}`}
+            onClick={() => setCurrentView('grade-scales')}
+          >
+            <GraduationCap size={20} />
+            <span>Not Ölçekleri</span>
+          </button>
+
           <button 
             className={`nav-item ${currentView === 'logs' ? 'active' : ''}`}
             onClick={() => setCurrentView('logs')}
@@ -0,0 +1,124 @@
+import React from 'react';
+
+// main/assertions.js ile aynı anahtarlar
+const ASSERTION_TYPES = {
+  text: 'Element metni',
+  value: 'Input değeri',
+  count: 'Element sayısı',
+  url: 'Sayfa URL\'i',
+  script: 'JavaScript koşulu'
+};
+
+const ASSERTION_OPERATORS = {
+  equals: 'Eşittir',
+  not_equals: 'Eşit değildir',
+  contains: 'İçerir',
+  matches: 'Regex ile eşleşir',
+  gt: 'Büyüktür',
+  lt: 'Küçüktür',
+  gte: 'Büyük veya eşit',
+  lte: 'Küçük veya eşit'
+};
+
+const ELEMENT_TYPES = ['text', 'value', 'count'];
+
+export const DEFAULT_ASSERTION = { type: 'text', operator: 'equals', expected: '', timeout: 0 };
+
+/**
+ * Eksik alanlar (kaydetmeden önce), yoksa null.
+ */
+export function assertionProblem(assertion, hasStepSelector) {
+  if (!assertion || !ASSERTION_TYPES[assertion.type]) {
+    return 'Doğrulama tipi seçilmemiş';
+  }
+  if (ELEMENT_TYPES.includes(assertion.type) && !hasStepSelector) {
+    return 'Bu doğrulama için element seçici gerekli';
+  }
+  if (assertion.type === 'script' && !(assertion.script || '').trim()) {
+    return 'Doğrulama scripti gerekli';
+  }
+  return null;
+}
+
+// assert adımı (StepEditor ve WorkflowDesigner ortak)
+function AssertionEditor({ assertion, onChange }) {
+  const update = (field, value) => onChange({ ...assertion, [field]: value });
+
+  return (
+    <div className="assertion-editor">
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">Doğrulanacak</label>
+          <select
+            className="form-select"
+            value={assertion.type}
+            onChange={(e) => update('type', e.target.value)}
+          >
+            {Object.entries(ASSERTION_TYPES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {ELEMENT_TYPES.includes(assertion.type) && (
+          <span className="form-hint">Element, adımın seçicisiyle bulunur</span>
+        )}
+      </div>
+
+      {assertion.type === 'script' ? (
+        <div className="form-group">
+          <label className="form-label">JavaScript Koşulu</label>
+          <textarea
+            className="form-input"
+            value={assertion.script || ''}
+            onChange={(e) => update('script', e.target.value)}
+            placeholder={"const not = document.querySelector('#notGiris').value;\nreturn { pass: not === record.grade, expected: record.grade, actual: not };"}
+            rows={5}
+            style={{ resize: 'vertical', fontFamily: 'monospace' }}
+          />
+          <span className="form-hint">record ve vars kullanılabilir; true döndürürse veya {'{ pass, expected, actual }'} döndürürse değerlendirilir</span>
+        </div>
+      ) : (
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label">Karşılaştırma</label>
+            <select
+              className="form-select"
+              value={assertion.operator || 'equals'}
+              onChange={(e) => update('operator', e.target.value)}
+            >
+              {Object.entries(ASSERTION_OPERATORS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">Beklenen</label>
+            <input
+              type="text"
+              className="form-input"
+              value={assertion.expected || ''}
+              onChange={(e) => update('expected', e.target.value)}
+              placeholder={assertion.operator === 'matches' ? '/^Kaydedildi/i' : '{{grade}} veya sabit değer'}
+            />
+          </div>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label className="form-label">Bekleme (ms, 0 = tek kontrol)</label>
+        <input
+          type="number"
+          className="form-input"
+          value={assertion.timeout || 0}
+          onChange={(e) => update('timeout', parseInt(e.target.value) || 0)}
+          min="0"
+          step="500"
+        />
+        <span className="form-hint">Sayfa kaydı geç güncelliyorsa doğrulama bu süre boyunca tekrarlanır</span>
+      </div>
+    </div>
+  );
+}
+
+export default AssertionEditor;
@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+
+// call_workflow adımı: çağrılacak workflow ve parametreleri (StepEditor ve WorkflowDesigner ortak)
+function CallWorkflowEditor({ currentWorkflowId, workflowId, params = {}, onChange }) {
+  const [workflows, setWorkflows] = useState([]);
+
+  useEffect(() => {
+    window.electronAPI.invoke('db:getWorkflows')
+      .then(result => setWorkflows(result || []))
+      .catch(error => {
+        console.error('Workflow listesi yüklenemedi:', error);
+        setWorkflows([]);
+      });
+  }, []);
+
+  const entries = Object.entries(params);
+
+  const updateParam = (index, name, value) => {
+    const next = entries.map((entry, i) => (i === index ? [name, value] : entry));
+    onChange({ workflowId, params: Object.fromEntries(next) });
+  };
+
+  const addParam = () => {
+    onChange({ workflowId, params: { ...params, [`param${entries.length + 1}`]: '' } });
+  };
+
+  const removeParam = (index) => {
+    onChange({ workflowId, params: Object.fromEntries(entries.filter((_, i) => i !== index)) });
+  };
+
+  return (
+    <div className="call-workflow-editor">
+      <div className="form-group">
+        <label className="form-label">Çağrılacak Workflow</label>
+        <select
+          className="form-select"
+          value={workflowId || ''}
+          onChange={(e) => onChange({ workflowId: e.target.value ? parseInt(e.target.value) : null, params })}
+        >
+          <option value="">Workflow Seçin</option>
+          {workflows
+            .filter(workflow => String(workflow.id) !== String(currentWorkflowId))
+            .map(workflow => (
+              <option key={workflow.id} value={workflow.id}>{workflow.name}</option>
+            ))}
+        </select>
+        <span className="form-hint">
+          Alt workflow bu kaydın sütunlarını ve aşağıdaki parametreleri görür; "Sonucu sakla" değişkenleri buraya geri döner.
+        </span>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Parametreler</label>
+        {entries.map(([name, value], index) => (
+          <div key={index} className="form-row">
+            <input
+              type="text"
+              className="form-input"
+              value={name}
+              onChange={(e) => updateParam(index, e.target.value, value)}
+              placeholder="donem"
+            />
+            <input
+              type="text"
+              className="form-input"
+              value={value}
+              onChange={(e) => updateParam(index, name, e.target.value)}
+              placeholder="2025-Güz veya {{donem}}"
+            />
+            <button type="button" className="btn-secondary" onClick={() => removeParam(index)}>×</button>
+          </div>
+        ))}
+        <button type="button" className="btn-secondary" onClick={addParam}>+ Parametre</button>
+      </div>
+    </div>
+  );
+}
+
+export default CallWorkflowEditor;
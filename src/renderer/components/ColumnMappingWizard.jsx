@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import RecordFieldsEditor from './RecordFieldsEditor';
+import GradePreview from './GradePreview';
+import { DEFAULT_FIELDS, parseFields, autoMapFields, applyMapping, mappingProblems } from '../utils/field-validators';
+
+// İçe aktarma sonrası: kaynak sütunları workflow'un beklediği alanlara eşle,
+// satırları doğrula, hatalı satırları kaydetmeden önce ayıkla
+function ColumnMappingWizard({ fileName, headers, rows, onConfirm, onCancel }) {
+  const [workflows, setWorkflows] = useState([]);
+  const [workflowId, setWorkflowId] = useState('');
+  const [fields, setFields] = useState(DEFAULT_FIELDS);
+  const [mapping, setMapping] = useState(() => autoMapFields(DEFAULT_FIELDS, headers));
+  const [includedInvalid, setIncludedInvalid] = useState(new Set());
+
+  useEffect(() => {
+    window.electronAPI.invoke('db:getWorkflows')
+      .then(result => setWorkflows(result || []))
+      .catch(error => {
+        console.error('Workflow listesi yüklenemedi:', error);
+        setWorkflows([]);
+      });
+  }, []);
+
+  // Workflow seçilince onun alanları gelir; alan tanımlamamışsa varsayılanlar
+  const selectWorkflow = (id) => {
+    setWorkflowId(id);
+    const workflow = workflows.find(w => String(w.id) === String(id));
+    const declared = workflow ? parseFields(workflow.record_schema) : [];
+    const nextFields = declared.length > 0 ? declared : DEFAULT_FIELDS;
+    setFields(nextFields);
+    setMapping(autoMapFields(nextFields, headers));
+    setIncludedInvalid(new Set());
+  };
+
+  const updateFields = (nextFields) => {
+    setFields(nextFields);
+    // Yeni eklenen alanlar için otomatik eşleme; mevcut seçimler korunur
+    setMapping(prev => ({ ...autoMapFields(nextFields, headers), ...prev }));
+  };
+
+  const result = useMemo(
+    () => applyMapping(rows, fields.filter(field => field.name), mapping),
+    [rows, fields, mapping]
+  );
+  const problems = mappingProblems(fields.filter(field => field.name), mapping);
+
+  const toggleInvalid = (index) => {
+    setIncludedInvalid(prev => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
+  const selectedRecords = useMemo(() => {
+    const invalidIndexes = new Set(result.invalid.map(item => item.index));
+    return result.records.filter((_, index) => !invalidIndexes.has(index) || includedInvalid.has(index));
+  }, [result, includedInvalid]);
+  const selectedCount = selectedRecords.length;
+
+  const handleConfirm = () => {
+    const columns = [...new Set(selectedRecords.flatMap(record => Object.keys(record)))]
+      .filter(column => !column.startsWith('_'));
+    onConfirm(selectedRecords, columns);
+  };
+
+  return (
+    <div className="mapping-wizard">
+      <h4>🧭 Sütun Eşleme - {fileName}</h4>
+
+      <div className="sheet-options-row">
+        <label>
+          Hedef workflow
+          <select value={workflowId} onChange={(e) => selectWorkflow(e.target.value)}>
+            <option value="">Varsayılan alanlar</option>
+            {workflows.map(workflow => (
+              <option key={workflow.id} value={workflow.id}>{workflow.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <RecordFieldsEditor
+        fields={fields}
+        onChange={updateFields}
+        headers={headers}
+        mapping={mapping}
+        onMappingChange={setMapping}
+      />
+
+      {problems.length > 0 && (
+        <div className="csv-errors">
+          <ul>
+            {problems.map((problem, index) => <li key={index}>{problem}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {problems.length === 0 && result.invalid.length > 0 && (
+        <div className="csv-errors">
+          <h4>Hatalı Satırlar ({result.invalid.length})</h4>
+          <p className="preview-note">İşaretlenmeyen satırlar veri kaynağına alınmaz.</p>
+          <ul className="invalid-rows">
+            {result.invalid.map(item => (
+              <li key={item.index}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={includedInvalid.has(item.index)}
+                    onChange={() => toggleInvalid(item.index)}
+                  />
+                  {item.line ? `Satır ${item.line}` : `Kayıt ${item.index + 1}`}: {item.problems.join('; ')}
+                </label>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {problems.length === 0 && <GradePreview records={selectedRecords} />}
+
+      <div className="sheet-options-row">
+        <button
+          className="upload-button"
+          onClick={handleConfirm}
+          disabled={problems.length > 0 || selectedCount === 0}
+        >
+          Kaydet ({selectedCount}/{rows.length} satır)
+        </button>
+        <button className="btn-secondary" onClick={onCancel}>İptal</button>
+      </div>
+    </div>
+  );
+}
+
+export default ColumnMappingWizard;
@@ -0,0 +1,128 @@
+import React from 'react';
+import {
+  CONDITION_TYPES,
+  CONDITION_OPERATORS,
+  UNARY_OPERATORS,
+  ELEMENT_STATES
+} from '../utils/flow-options';
+
+// if / koşullu goto adımlarının koşulu (StepEditor ve WorkflowDesigner ortak)
+function ConditionEditor({ condition, onChange }) {
+  const update = (field, value) => onChange({ ...condition, [field]: value });
+
+  const changeType = (type) => {
+    onChange(type === 'element'
+      ? { type, selector: condition.selector || '', state: 'present', timeout: 0 }
+      : {
+          type,
+          selector: type === 'text' ? condition.selector || '' : undefined,
+          field: type === 'field' ? condition.field || '' : undefined,
+          operator: condition.operator || 'equals',
+          value: condition.value || ''
+        });
+  };
+
+  return (
+    <div className="condition-editor">
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">Koşul Türü</label>
+          <select
+            className="form-select"
+            value={condition.type}
+            onChange={(e) => changeType(e.target.value)}
+          >
+            {Object.entries(CONDITION_TYPES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {condition.type === 'field' && (
+          <div className="form-group">
+            <label className="form-label">Alan / Değişken</label>
+            <input
+              type="text"
+              className="form-input"
+              value={condition.field || ''}
+              onChange={(e) => update('field', e.target.value)}
+              placeholder="student_no, rowGuid, item_text"
+            />
+          </div>
+        )}
+
+        {(condition.type === 'element' || condition.type === 'text') && (
+          <div className="form-group">
+            <label className="form-label">
+              {condition.type === 'element' ? 'Element Seçici' : 'Element Seçici (boş = tüm sayfa)'}
+            </label>
+            <input
+              type="text"
+              className="form-input"
+              value={condition.selector || ''}
+              onChange={(e) => update('selector', e.target.value)}
+              placeholder=".alert-danger, #sonuc td:nth-child(3)"
+            />
+          </div>
+        )}
+      </div>
+
+      {condition.type === 'element' ? (
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label">Durum</label>
+            <select
+              className="form-select"
+              value={condition.state || 'present'}
+              onChange={(e) => update('state', e.target.value)}
+            >
+              {Object.entries(ELEMENT_STATES).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">Bekleme (ms, 0 = hemen kontrol et)</label>
+            <input
+              type="number"
+              className="form-input"
+              value={condition.timeout || 0}
+              onChange={(e) => update('timeout', parseInt(e.target.value) || 0)}
+              min="0"
+              step="500"
+            />
+          </div>
+        </div>
+      ) : (
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label">Karşılaştırma</label>
+            <select
+              className="form-select"
+              value={condition.operator || 'equals'}
+              onChange={(e) => update('operator', e.target.value)}
+            >
+              {Object.entries(CONDITION_OPERATORS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {!UNARY_OPERATORS.includes(condition.operator) && (
+            <div className="form-group">
+              <label className="form-label">Değer</label>
+              <input
+                type="text"
+                className="form-input"
+                value={condition.value || ''}
+                onChange={(e) => update('value', e.target.value)}
+                placeholder="Sabit değer veya {{sutun_adi}}"
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ConditionEditor;
@@ -1,11 +1,20 @@
 // DataSourceManager.jsx
 
-import React, { useState, useCallback, useRef } from 'react';
+import React, { useState, useCallback, useRef, useMemo } from 'react';
+import ColumnMappingWizard from './ColumnMappingWizard';
+import { readCsvFile } from '../utils/csv-parser';
+import { SPREADSHEET_EXTENSIONS, isSpreadsheetFile, readWorkbook, sheetNames, parseSheet } from '../utils/spreadsheet-parser';
+
+const FILE_SOURCE_TYPES = ['csv', 'xlsx', 'ods'];
+
 const DataSourceManager = ({ onDataSourceChange, initialDataSources = [] }) => {
   const [dataSources, setDataSources] = useState(initialDataSources);
   const [activeTab, setActiveTab] = useState('upload');
   const [csvData, setCsvData] = useState(null);
   const [csvHeaders, setCsvHeaders] = useState([]);
+  const [csvErrors, setCsvErrors] = useState([]);
+  const [spreadsheet, setSpreadsheet] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
   const [previewData, setPreviewData] = useState([]);
   const [staticData, setStaticData] = useState([]);
   const [newStaticEntry, setNewStaticEntry] = useState({ key: '', value: '' });
@@ -14,114 +23,137 @@ const DataSourceManager = ({ onDataSourceChange, initialDataSources = [] }) => {
   const [success, setSuccess] = useState('');
   const fileInputRef = useRef(null);
 
-  // CSV dosyası yükleme
-  const handleFileUpload = useCallback((event) => {
+  // Ayrıştırılmış tablo (CSV veya Excel/ODS sayfası) sütun eşleme adımına gider
+  const importRows = useCallback((fileName, sourceType, { headers, rows, errors }, detail = '') => {
+    if (headers.length === 0) {
+      setError(`${sourceType.toUpperCase()} dosyası boş görünüyor.`);
+      return;
+    }
+
+    setCsvErrors(errors);
+    setPendingImport({ fileName, sourceType, detail, headers, rows, skipped: errors.length });
+  }, []);
+
+  // Eşleme sihirbazından gelen doğrulanmış kayıtları kaydeder
+  const saveImport = useCallback(async (records, headers) => {
+    const { fileName, sourceType, detail, rows, skipped } = pendingImport;
+    const label = sourceType.toUpperCase();
+
+    setPendingImport(null);
+    setCsvHeaders(headers);
+
+    // Veriyi hazırla
+    const data = records.map((row, index) => {
+      row._id = index;
+
+      // Grade validation
+      if (row.numeric_grade && !isNaN(row.numeric_grade)) {
+        row.numeric_grade = parseFloat(row.numeric_grade);
+      }
+
+      return row;
+    });
+
+    setCsvData(data);
+    setPreviewData(data.slice(0, 10)); // İlk 10 satırı önizleme için
+
+    // Veri kaynağını güncelle
+    const newDataSource = {
+      id: `${sourceType}_${Date.now()}`,
+      name: fileName,
+      type: sourceType,
+      headers: headers,
+      data: data,
+      rowCount: data.length,
+      uploadDate: new Date().toISOString()
+    };
+
+    // Database'e kaydet - Excel/ODS de CSV ile aynı biçimde (JSON satırlar) saklanır
+    try {
+      const savedDataSource = await window.electronAPI.invoke('db:createDataSource', 
+        fileName, 
+        sourceType, 
+        `${label} dosyası${detail} - ${data.length} satır veri`, // description
+        JSON.stringify(data) // Tablo verisini JSON string olarak kaydet
+      );
+      
+      console.log(`✅ ${label} database'e kaydedildi:`, savedDataSource);
+      
+      // Saved data source'u kullan (database'den gelen ID ile)
+      newDataSource.id = savedDataSource.id;
+      
+    } catch (dbError) {
+      console.error(`❌ ${label} database'e kaydedilemedi:`, dbError);
+      setError(`${label} dosyası yüklendi ama database'e kaydedilemedi: ` + dbError.message);
+    }
+
+    const updatedDataSources = [...dataSources, newDataSource];
+    setDataSources(updatedDataSources);
+    onDataSourceChange && onDataSourceChange(updatedDataSources);
+
+    const excluded = rows.length - data.length + skipped;
+    setSuccess(excluded > 0
+      ? `${label} dosyası yüklendi: ${data.length} satır alındı, ${excluded} satır hatalı olduğu için alınmadı.`
+      : `${label} dosyası başarıyla yüklendi! ${data.length} satır veri bulundu.`);
+  }, [pendingImport, dataSources, onDataSourceChange]);
+
+  // Dosya yükleme: CSV hemen aktarılır, Excel/ODS için önce sayfa seçilir
+  const handleFileUpload = useCallback(async (event) => {
     const file = event.target.files[0];
     if (!file) return;
+    event.target.value = '';
 
-    if (!file.name.toLowerCase().endsWith('.csv')) {
-      setError('Lütfen sadece CSV dosyası yükleyin.');
+    const isCsv = file.name.toLowerCase().endsWith('.csv');
+    if (!isCsv && !isSpreadsheetFile(file.name)) {
+      setError('Lütfen CSV, Excel (.xlsx, .xls) veya ODS dosyası yükleyin.');
       return;
     }
 
     setIsLoading(true);
     setError('');
-    
-    const reader = new FileReader();
-    reader.onload = async (e) => {
-      try {
-        const text = e.target.result;
-        const lines = text.split('\n').filter(line => line.trim());
-        
-        if (lines.length === 0) {
-          setError('CSV dosyası boş görünüyor.');
-          setIsLoading(false);
-          return;
-        }
-
-        // Header'ları parse et
-        const headers = lines[0].split(',').map(header => header.trim().replace(/"/g, ''));
-        setCsvHeaders(headers);
-
-        // Veriyi parse et ve validate et
-        const data = lines.slice(1).map((line, index) => {
-          const values = line.split(',').map(value => value.trim().replace(/"/g, ''));
-          const row = {};
-          headers.forEach((header, i) => {
-            row[header] = values[i] || '';
+    setCsvErrors([]);
+    setSpreadsheet(null);
+    setPendingImport(null);
+
+    try {
+      if (isCsv) {
+        importRows(file.name, 'csv', await readCsvFile(file));
+      } else {
+        const workbook = await readWorkbook(file);
+        const sheets = sheetNames(workbook);
+        if (sheets.length === 0) {
+          setError('Dosyada veri içeren sayfa bulunamadı.');
+        } else {
+          setSpreadsheet({
+            fileName: file.name,
+            type: file.name.toLowerCase().endsWith('.ods') ? 'ods' : 'xlsx',
+            workbook,
+            sheets,
+            sheetName: sheets[0],
+            headerRow: null // null = otomatik
           });
-          row._id = index;
-          
-          // Grade validation
-          if (row.numeric_grade && !isNaN(row.numeric_grade)) {
-            row.numeric_grade = parseFloat(row.numeric_grade);
-          }
-          
-          return row;
-        });
-
-        // Validate required columns for grade entry
-        const requiredColumns = ['student_no', 'course_code'];
-        const missingColumns = requiredColumns.filter(col => !headers.includes(col));
-        
-        if (missingColumns.length > 0) {
-          setError(`CSV eksik kolonlar: ${missingColumns.join(', ')}`);
-          setIsLoading(false);
-          return;
         }
-
-        setCsvData(data);
-        setPreviewData(data.slice(0, 10)); // İlk 10 satırı önizleme için
-
-        // Veri kaynağını güncelle
-        const newDataSource = {
-          id: `csv_${Date.now()}`,
-          name: file.name,
-          type: 'csv',
-          headers: headers,
-          data: data,
-          rowCount: data.length,
-          uploadDate: new Date().toISOString()
-        };
-
-        // Database'e kaydet
-        try {
-          const savedDataSource = await window.electronAPI.invoke('db:createDataSource', 
-            file.name, 
-            'csv', 
-            `CSV dosyası - ${data.length} satır veri`, // description
-            JSON.stringify(data) // CSV data'sını JSON string olarak kaydet
-          );
-          
-          console.log('✅ CSV database\'e kaydedildi:', savedDataSource);
-          
-          // Saved data source'u kullan (database'den gelen ID ile)
-          newDataSource.id = savedDataSource.id;
-          
-        } catch (dbError) {
-          console.error('❌ CSV database\'e kaydedilemedi:', dbError);
-          setError('CSV dosyası yüklendi ama database\'e kaydedilemedi: ' + dbError.message);
-        }
-
-        const updatedDataSources = [...dataSources, newDataSource];
-        setDataSources(updatedDataSources);
-        onDataSourceChange && onDataSourceChange(updatedDataSources);
-
-        setSuccess(`CSV dosyası başarıyla yüklendi! ${data.length} satır veri bulundu.`);
-        setIsLoading(false);
-      } catch (err) {
-        setError('CSV dosyası işlenirken hata oluştu: ' + err.message);
-        setIsLoading(false);
       }
-    };
+    } catch (err) {
+      setError('Dosya işlenirken hata oluştu: ' + err.message);
+    }
+    setIsLoading(false);
+  }, [importRows]);
 
-    reader.onerror = () => {
-      setError('Dosya okuma hatası oluştu.');
-      setIsLoading(false);
-    };
+  // Seçili sayfanın önizlemesi (başlık satırı değiştikçe yeniden hesaplanır)
+  const sheetPreview = useMemo(() => {
+    if (!spreadsheet) return null;
+    return parseSheet(spreadsheet.workbook, spreadsheet.sheetName, { headerRow: spreadsheet.headerRow });
+  }, [spreadsheet]);
 
-    reader.readAsText(file);
-  }, [dataSources, onDataSourceChange]);
+  const handleSpreadsheetImport = useCallback(() => {
+    if (!spreadsheet || !sheetPreview) return;
+    setError('');
+    const { fileName, type, sheetName, sheets } = spreadsheet;
+    const name = sheets.length > 1 ? `${fileName} (${sheetName})` : fileName;
+    importRows(name, type, sheetPreview, `, ${sheetName} sayfası`);
+    setSpreadsheet(null);
+  }, [spreadsheet, sheetPreview, importRows]);
 
   // Statik veri ekleme
   const handleAddStaticData = useCallback(() => {
@@ -195,9 +227,10 @@ const DataSourceManager = ({ onDataSourceChange, initialDataSources = [] }) => {
 
     // Eğer silinen CSV ise, ilgili state'leri temizle
     const removedSource = dataSources.find(ds => ds.id === id);
-    if (removedSource && removedSource.type === 'csv') {
+    if (removedSource && FILE_SOURCE_TYPES.includes(removedSource.type)) {
       setCsvData(null);
       setCsvHeaders([]);
+      setCsvErrors([]);
       setPreviewData([]);
     }
 
@@ -220,7 +253,7 @@ const DataSourceManager = ({ onDataSourceChange, initialDataSources = [] }) => {
       <div className="data-source-header">
         <h2 className="data-source-title">Veri Kaynağı Yöneticisi</h2>
         <p className="data-source-subtitle">
-          CSV dosyalarını yükleyin ve statik verilerinizi yönetin
+          CSV veya Excel dosyalarını yükleyin ve statik verilerinizi yönetin
         </p>
       </div>
 
@@ -230,7 +263,7 @@ const DataSourceManager = ({ onDataSourceChange, initialDataSources = [] }) => {
           className={`tab-button ${activeTab === 'upload' ? 'active' : ''}`}
           onClick={() => setActiveTab('upload')}
         >
-          📁 CSV Yükleme
+          📁 Dosya Yükleme
         </button>
         <button
           className={`tab-button ${activeTab === 'static' ? 'active' : ''}`}
@@ -266,13 +299,13 @@ const DataSourceManager = ({ onDataSourceChange, initialDataSources = [] }) => {
           <div className="upload-section">
             <div className="upload-area">
               <div className="upload-icon">📄</div>
-              <h3>CSV Dosyası Yükle</h3>
-              <p>Öğrenci bilgileri, notlar veya diğer verilerinizi içeren CSV dosyasını seçin</p>
+              <h3>CSV / Excel Dosyası Yükle</h3>
+              <p>Öğrenci bilgileri, notlar veya diğer verilerinizi içeren CSV, Excel veya ODS dosyasını seçin</p>
               
               <input
                 ref={fileInputRef}
                 type="file"
-                accept=".csv"
+                accept={['.csv', ...SPREADSHEET_EXTENSIONS].join(',')}
                 onChange={handleFileUpload}
                 style={{ display: 'none' }}
               />
@@ -295,6 +328,74 @@ const DataSourceManager = ({ onDataSourceChange, initialDataSources = [] }) => {
               </button>
             </div>
 
+            {/* Excel/ODS: sayfa ve başlık satırı seçimi */}
+            {spreadsheet && sheetPreview && (
+              <div className="sheet-options">
+                <h4>📊 {spreadsheet.fileName}</h4>
+                <div className="sheet-options-row">
+                  <label>
+                    Sayfa
+                    <select
+                      value={spreadsheet.sheetName}
+                      onChange={(e) => setSpreadsheet({ ...spreadsheet, sheetName: e.target.value, headerRow: null })}
+                    >
+                      {spreadsheet.sheets.map(name => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Başlık satırı
+                    <input
+                      type="number"
+                      min="1"
+                      value={sheetPreview.headerRow || ''}
+                      onChange={(e) => setSpreadsheet({ ...spreadsheet, headerRow: parseInt(e.target.value) || null })}
+                    />
+                  </label>
+                  <button
+                    className="upload-button"
+                    onClick={handleSpreadsheetImport}
+                    disabled={isLoading || sheetPreview.headers.length === 0}
+                  >
+                    İçe Aktar ({sheetPreview.rows.length} satır)
+                  </button>
+                  <button className="close-message" onClick={() => setSpreadsheet(null)}>×</button>
+                </div>
+                <div className="headers-list">
+                  {sheetPreview.headers.map((header, index) => (
+                    <span key={index} className="header-tag">{header}</span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Sütun eşleme ve satır doğrulama */}
+            {pendingImport && (
+              <ColumnMappingWizard
+                fileName={pendingImport.fileName}
+                headers={pendingImport.headers}
+                rows={pendingImport.rows}
+                onConfirm={saveImport}
+                onCancel={() => setPendingImport(null)}
+              />
+            )}
+
+            {/* Satır hataları */}
+            {csvErrors.length > 0 && (
+              <div className="csv-errors">
+                <h4>Atlanan Satırlar ({csvErrors.length})</h4>
+                <ul>
+                  {csvErrors.slice(0, 20).map((rowError, index) => (
+                    <li key={index}>Satır {rowError.line}: {rowError.message}</li>
+                  ))}
+                </ul>
+                {csvErrors.length > 20 && (
+                  <p className="preview-note">* İlk 20 hata gösteriliyor.</p>
+                )}
+              </div>
+            )}
+
             {/* CSV Preview */}
             {previewData.length > 0 && (
               <div className="csv-preview">
@@ -406,7 +507,7 @@ const DataSourceManager = ({ onDataSourceChange, initialDataSources = [] }) => {
               <div className="empty-state">
                 <div className="empty-icon">📊</div>
                 <p>Henüz veri kaynağı eklenmemiş</p>
-                <p>CSV dosyası yükleyin veya statik veri ekleyin</p>
+                <p>CSV/Excel dosyası yükleyin veya statik veri ekleyin</p>
               </div>
             ) : (
               <div className="sources-list">
@@ -415,7 +516,7 @@ const DataSourceManager = ({ onDataSourceChange, initialDataSources = [] }) => {
                     <div className="source-header">
                       <div className="source-info">
                         <div className="source-name">
-                          {source.type === 'csv' ? '📄' : '📝'} {source.name}
+                          {FILE_SOURCE_TYPES.includes(source.type) ? '📄' : '📝'} {source.name}
                         </div>
                         <div className="source-meta">
                           <span className="source-type">{source.type.toUpperCase()}</span>
@@ -435,7 +536,7 @@ const DataSourceManager = ({ onDataSourceChange, initialDataSources = [] }) => {
                       </button>
                     </div>
                     
-                    {source.type === 'csv' && source.headers && (
+                    {FILE_SOURCE_TYPES.includes(source.type) && source.headers && (
                       <div className="source-details">
                         <div className="source-headers">
                           <strong>Sütunlar:</strong>
@@ -0,0 +1,122 @@
+import React from 'react';
+
+// "Test Et" sonucu: main/dry-run-report.js raporunun görünümü
+function DryRunReport({ report, onClose }) {
+    const issueCount = report.templateProblems.length + report.unresolvedSelectors.length
+        + report.missingVariables.length + report.problems.length;
+    const recordLabel = (recordIndex) => (recordIndex === null || recordIndex === undefined ? '-' : recordIndex + 1);
+
+    return (
+        <div className="dry-run-report">
+            <div className="dry-run-header">
+                <h3>🧪 Test Raporu</h3>
+                <button onClick={onClose} className="close-btn">✖️</button>
+            </div>
+            <p className="help-text">
+                Hiçbir alana yazılmadı, tıklanmadı ve dosya yüklenmedi.
+                {issueCount === 0 ? ' ✅ Tüm seçiciler bulundu, tüm şablonlar çözüldü.' : ` ⚠️ ${issueCount} sorun bulundu.`}
+            </p>
+
+            {report.templateProblems.length > 0 && (
+                <div className="dry-run-group">
+                    <h4>Şablon Hataları</h4>
+                    <ul>
+                        {report.templateProblems.map((problem, index) => (
+                            <li key={index}>{problem.step}: {problem.message}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {report.unresolvedSelectors.length > 0 && (
+                <div className="dry-run-group">
+                    <h4>Bulunamayan Seçiciler ({report.unresolvedSelectors.length})</h4>
+                    <table>
+                        <thead>
+                            <tr><th>Kayıt</th><th>Adım</th><th>Seçici</th></tr>
+                        </thead>
+                        <tbody>
+                            {report.unresolvedSelectors.map((entry, index) => (
+                                <tr key={index}>
+                                    <td>{recordLabel(entry.recordIndex)}</td>
+                                    <td>{entry.step}</td>
+                                    <td><code>{entry.selectors}</code></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {report.missingVariables.length > 0 && (
+                <div className="dry-run-group">
+                    <h4>Eksik Değişkenler ({report.missingVariables.length})</h4>
+                    <table>
+                        <thead>
+                            <tr><th>Kayıt</th><th>Adım</th><th>Hata</th></tr>
+                        </thead>
+                        <tbody>
+                            {report.missingVariables.map((entry, index) => (
+                                <tr key={index}>
+                                    <td>{recordLabel(entry.recordIndex)}</td>
+                                    <td>{entry.step || '-'}</td>
+                                    <td>{entry.message}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {report.problems.length > 0 && (
+                <div className="dry-run-group">
+                    <h4>Diğer Sorunlar ({report.problems.length})</h4>
+                    <table>
+                        <thead>
+                            <tr><th>Kayıt</th><th>Adım</th><th>Hata</th></tr>
+                        </thead>
+                        <tbody>
+                            {report.problems.map((entry, index) => (
+                                <tr key={index}>
+                                    <td>{recordLabel(entry.recordIndex)}</td>
+                                    <td>{entry.step || '-'}</td>
+                                    <td>{entry.message}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div className="dry-run-group">
+                <h4>Planlanan Değerler</h4>
+                {report.records.map(record => (
+                    <details key={record.recordIndex}>
+                        <summary>Kayıt {record.recordIndex + 1} ({record.planned.length} adım)</summary>
+                        <table>
+                            <thead>
+                                <tr><th>Adım</th><th>Değer</th><th>Seçici</th><th>Durum</th></tr>
+                            </thead>
+                            <tbody>
+                                {record.planned.map((planned, index) => (
+                                    <tr key={index} className={planned.found === false ? 'dry-run-missing' : ''}>
+                                        <td>{planned.step}</td>
+                                        <td>{planned.filePath || (planned.value !== null ? String(planned.value) : '')}</td>
+                                        <td><code>{planned.selectors || ''}</code></td>
+                                        <td>
+                                            {planned.found === true && '✔ bulundu '}
+                                            {planned.found === false && '✖ bulunamadı '}
+                                            {planned.skipped ? '(çalıştırılmadı)' : '(çalıştırıldı)'}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </details>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+export default DryRunReport;
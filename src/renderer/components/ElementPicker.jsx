@@ -1,6 +1,43 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { X, Target, MousePointer, Code, Copy, Check } from 'lucide-react';
 
+// Vurgulama stilleri: ana sayfaya insertCSS ile, iframe ve shadow root'lara
+// ise ilk vurgulamada <style> olarak eklenir (stiller bu sınırları geçmez)
+const PICKER_CSS = `
+  .edubot-highlight {
+    outline: 3px solid #3b82f6 !important;
+    outline-offset: 2px !important;
+    background-color: rgba(59, 130, 246, 0.1) !important;
+    cursor: crosshair !important;
+    position: relative !important;
+  }
+  
+  .edubot-highlight::after {
+    content: attr(data-edubot-selector) !important;
+    position: absolute !important;
+    top: -25px !important;
+    left: 0 !important;
+    background: #3b82f6 !important;
+    color: white !important;
+    padding: 2px 6px !important;
+    font-size: 11px !important;
+    border-radius: 3px !important;
+    white-space: nowrap !important;
+    z-index: 10000 !important;
+    font-family: monospace !important;
+  }
+  
+  .edubot-selected {
+    outline: 3px solid #10b981 !important;
+    outline-offset: 2px !important;
+    background-color: rgba(16, 185, 129, 0.2) !important;
+  }
+  
+  .edubot-selected::after {
+    background: #10b981 !important;
+  }
+`;
+
 function ElementPicker({ isOpen, onClose, onElementSelected, targetUrl }) {
   const [isLoading, setIsLoading] = useState(false);
   const [selectedElement, setSelectedElement] = useState(null);
@@ -34,40 +71,7 @@ function ElementPicker({ isOpen, onClose, onElementSelected, targetUrl }) {
     if (!webview) return;
 
     // Element picker CSS'ini inject et
-    webview.insertCSS(`
-      .edubot-highlight {
-        outline: 3px solid #3b82f6 !important;
-        outline-offset: 2px !important;
-        background-color: rgba(59, 130, 246, 0.1) !important;
-        cursor: crosshair !important;
-        position: relative !important;
-      }
-      
-      .edubot-highlight::after {
-        content: attr(data-edubot-selector) !important;
-        position: absolute !important;
-        top: -25px !important;
-        left: 0 !important;
-        background: #3b82f6 !important;
-        color: white !important;
-        padding: 2px 6px !important;
-        font-size: 11px !important;
-        border-radius: 3px !important;
-        white-space: nowrap !important;
-        z-index: 10000 !important;
-        font-family: monospace !important;
-      }
-      
-      .edubot-selected {
-        outline: 3px solid #10b981 !important;
-        outline-offset: 2px !important;
-        background-color: rgba(16, 185, 129, 0.2) !important;
-      }
-      
-      .edubot-selected::after {
-        background: #10b981 !important;
-      }
-    `);
+    webview.insertCSS(PICKER_CSS);
 
     // Element picker JavaScript'ini inject et
     webview.executeJavaScript(`
@@ -157,7 +161,61 @@ function ElementPicker({ isOpen, onClose, onElementSelected, targetUrl }) {
           return element.textContent?.trim().substring(0, 50) || '';
         }
         
-        function getElementInfo(element) {
+        // Self-healing için element parmak izi: selector'lar kırılırsa
+        // çalışma anında en çok benzeyen element bununla bulunur
+        function getElementLabels(element) {
+          const labels = [];
+          if (element.labels) {
+            Array.from(element.labels).forEach(label => labels.push(label.textContent));
+          }
+          const labelledBy = element.getAttribute('aria-labelledby');
+          if (labelledBy) {
+            labelledBy.split(/\\s+/).forEach(id => {
+              const label = document.getElementById(id);
+              if (label) labels.push(label.textContent);
+            });
+          }
+          const previous = element.previousElementSibling;
+          if (previous && previous.textContent.trim().length <= 50) {
+            labels.push(previous.textContent);
+          }
+          const row = element.closest('tr');
+          if (row && row.cells && row.cells.length > 0) {
+            labels.push(row.cells[0].textContent);
+          }
+          return labels
+            .map(label => label.replace(/\\s+/g, ' ').trim())
+            .filter(Boolean);
+        }
+        
+        function getDomPath(element) {
+          const path = [];
+          let current = element;
+          while (current && current.nodeType === Node.ELEMENT_NODE && current.tagName !== 'HTML') {
+            path.unshift(current.tagName.toLowerCase() + (current.id ? '#' + current.id : ''));
+            current = current.parentElement;
+          }
+          return path;
+        }
+        
+        function getFingerprint(element) {
+          const attributes = {};
+          ['id', 'name', 'type', 'placeholder', 'title', 'role', 'aria-label'].forEach(attribute => {
+            const value = element.getAttribute(attribute);
+            if (value) attributes[attribute] = value;
+          });
+          
+          return {
+            tagName: element.tagName.toLowerCase(),
+            attributes: attributes,
+            classes: Array.from(element.classList).filter(c => !c.startsWith('edubot-')),
+            text: (element.innerText || element.textContent || '').replace(/\\s+/g, ' ').trim().substring(0, 100),
+            labels: getElementLabels(element),
+            domPath: getDomPath(element)
+          };
+        }
+        
+        function getElementInfo(element, framePath) {
           return {
             tagName: element.tagName.toLowerCase(),
             id: element.id || '',
@@ -167,65 +225,137 @@ function ElementPicker({ isOpen, onClose, onElementSelected, targetUrl }) {
             placeholder: element.placeholder || '',
             text: getElementText(element),
             cssSelector: generateCSSSelector(element),
-            xpath: generateXPath(element)
+            xpath: generateXPath(element),
+            fingerprint: getFingerprint(element),
+            framePath: framePath || [],
+            shadowPath: getShadowPath(element)
           };
         }
         
+        // Iframe ve shadow DOM yolu: seçilen element bir iframe veya shadow
+        // root içindeyse selector'lar en içteki köke göredir, bu yollar da
+        // o köke nasıl ulaşılacağını (dıştan içe) tarif eder
+        function getShadowPath(element) {
+          const path = [];
+          let root = element.getRootNode();
+          while (root && root.host) {
+            path.unshift(generateCSSSelector(root.host));
+            root = root.host.getRootNode();
+          }
+          return path;
+        }
+        
+        const highlightedElements = new Set();
+        const attachedDocuments = new Map();
+        
+        function ensureStyles(root) {
+          if (root === document || !root || root.querySelector?.('style[data-edubot-picker]')) return;
+          const style = (root.ownerDocument || root).createElement('style');
+          style.setAttribute('data-edubot-picker', 'true');
+          style.textContent = ${JSON.stringify(PICKER_CSS)};
+          (root.head || root).appendChild(style);
+        }
+        
         function clearHighlights() {
-          document.querySelectorAll('.edubot-highlight, .edubot-selected').forEach(el => {
+          highlightedElements.forEach(el => {
             el.classList.remove('edubot-highlight', 'edubot-selected');
             el.removeAttribute('data-edubot-selector');
           });
+          highlightedElements.clear();
         }
         
         function highlightElement(element, isSelected = false) {
           clearHighlights();
+          ensureStyles(element.getRootNode());
           
           const className = isSelected ? 'edubot-selected' : 'edubot-highlight';
           element.classList.add(className);
+          highlightedElements.add(element);
           
           const selector = generateCSSSelector(element);
           element.setAttribute('data-edubot-selector', selector);
         }
         
-        function handleMouseOver(event) {
+        // Shadow DOM içindeki gerçek hedef: event.target host'a yeniden hedeflenir
+        function getEventTarget(event) {
+          const path = event.composedPath ? event.composedPath() : [];
+          return path.length > 0 && path[0].nodeType === Node.ELEMENT_NODE ? path[0] : event.target;
+        }
+        
+        function handleMouseOver(event, framePath) {
           if (!isPickerActive) return;
           
           event.preventDefault();
           event.stopPropagation();
           
-          const element = event.target;
+          const element = getEventTarget(event);
           if (element === lastHoveredElement) return;
           
           lastHoveredElement = element;
           highlightElement(element);
           
           // Hover bilgisini parent'a gönder
-          const elementInfo = getElementInfo(element);
+          const elementInfo = getElementInfo(element, framePath);
           window.postMessage({
             type: 'ELEMENT_HOVERED',
             data: elementInfo
           }, '*');
         }
         
-        function handleClick(event) {
+        function handleClick(event, framePath) {
           if (!isPickerActive) return;
           
           event.preventDefault();
           event.stopPropagation();
           
-          const element = event.target;
+          const element = getEventTarget(event);
           highlightElement(element, true);
           
           // Seçim bilgisini parent'a gönder
-          const elementInfo = getElementInfo(element);
+          const elementInfo = getElementInfo(element, framePath);
           window.postMessage({
             type: 'ELEMENT_SELECTED',
             data: elementInfo
           }, '*');
           
-          isPickerActive = false;
-          document.body.style.cursor = 'default';
+          window.toggleElementPicker(false);
+          highlightElement(element, true);
+        }
+        
+        // Aynı origin'deki iframe'lere de dinleyici ekle (farklı origin erişilemez)
+        function attachToDocument(doc, framePath) {
+          if (attachedDocuments.has(doc)) return;
+          
+          const onMouseOver = (event) => handleMouseOver(event, framePath);
+          const onClick = (event) => handleClick(event, framePath);
+          doc.addEventListener('mouseover', onMouseOver, true);
+          doc.addEventListener('click', onClick, true);
+          if (doc.body) doc.body.style.cursor = 'crosshair';
+          attachedDocuments.set(doc, { onMouseOver, onClick });
+          
+          doc.querySelectorAll('iframe, frame').forEach(frame => {
+            const childPath = framePath.concat(generateCSSSelector(frame));
+            const attachChild = () => {
+              try {
+                if (isPickerActive && frame.contentDocument) {
+                  attachToDocument(frame.contentDocument, childPath);
+                }
+              } catch (error) {
+                console.warn('Iframe erişilemiyor (farklı origin):', childPath.join(' >> '));
+              }
+            };
+            frame.addEventListener('load', attachChild);
+            attachChild();
+          });
+        }
+        
+        function detachAll() {
+          attachedDocuments.forEach((handlers, doc) => {
+            doc.removeEventListener('mouseover', handlers.onMouseOver, true);
+            doc.removeEventListener('click', handlers.onClick, true);
+            if (doc.body) doc.body.style.cursor = 'default';
+          });
+          attachedDocuments.clear();
         }
         
         // Picker'ı başlat/durdur
@@ -233,13 +363,9 @@ function ElementPicker({ isOpen, onClose, onElementSelected, targetUrl }) {
           isPickerActive = active;
           
           if (active) {
-            document.body.style.cursor = 'crosshair';
-            document.addEventListener('mouseover', handleMouseOver, true);
-            document.addEventListener('click', handleClick, true);
+            attachToDocument(document, []);
           } else {
-            document.body.style.cursor = 'default';
-            document.removeEventListener('mouseover', handleMouseOver, true);
-            document.removeEventListener('click', handleClick, true);
+            detachAll();
             clearHighlights();
           }
         };
@@ -275,7 +401,9 @@ function ElementPicker({ isOpen, onClose, onElementSelected, targetUrl }) {
           xpath: data.xpath,
           name: data.name ? `[name="${data.name}"]` : '',
           id: data.id ? `#${data.id}` : '',
-          text: data.text ? `text="${data.text}"` : ''
+          text: data.text ? `text="${data.text}"` : '',
+          frame: (data.framePath || []).join(' >> '),
+          shadow: (data.shadowPath || []).join(' >> ')
         });
         setIsPickerActive(false);
         break;
@@ -303,7 +431,10 @@ function ElementPicker({ isOpen, onClose, onElementSelected, targetUrl }) {
     if (selectedElement && onElementSelected) {
       onElementSelected({
         ...selectedElement,
-        selectors: generatedSelectors
+        selectors: generatedSelectors,
+        fingerprint: selectedElement.fingerprint,
+        framePath: selectedElement.framePath || [],
+        shadowPath: selectedElement.shadowPath || []
       });
       onClose();
     }
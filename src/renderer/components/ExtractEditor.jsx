@@ -0,0 +1,140 @@
+import React from 'react';
+
+const EXTRACT_MODES = {
+  table: 'HTML tablo',
+  list: 'Tekrarlanan elementler'
+};
+
+// extract adımı: sütun eşlemesi, sayfalama ve kaydedilecek veri kaynağı (StepEditor ve WorkflowDesigner ortak)
+function ExtractEditor({ config = {}, onChange }) {
+  const mode = config.mode || 'table';
+  const columns = config.columns || [];
+
+  const update = (field, value) => onChange({ ...config, [field]: value });
+
+  const updateColumn = (index, field, value) => {
+    update('columns', columns.map((column, i) => (i === index ? { ...column, [field]: value } : column)));
+  };
+
+  const addColumn = () => {
+    update('columns', [...columns, { name: '', header: '', selector: '', attribute: '' }]);
+  };
+
+  const removeColumn = (index) => {
+    update('columns', columns.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="extract-editor">
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">Kaynak</label>
+          <select
+            className="form-select"
+            value={mode}
+            onChange={(e) => update('mode', e.target.value)}
+          >
+            {Object.entries(EXTRACT_MODES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <span className="form-hint">
+            {mode === 'table'
+              ? 'Selector tabloyu göstermeli (ör. #notListesi)'
+              : 'Selector her satırı/kartı göstermeli (ör. .ogrenci-kart)'}
+          </span>
+        </div>
+        <div className="form-group">
+          <label className="form-label">Veri Kaynağı Adı</label>
+          <input
+            type="text"
+            className="form-input"
+            value={config.dataSourceName || ''}
+            onChange={(e) => update('dataSourceName', e.target.value)}
+            placeholder="ÖBS not listesi {{course_code}}"
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Sütunlar</label>
+        <span className="form-hint">
+          Boş bırakılırsa {mode === 'table' ? 'tablonun tüm sütunları başlık adlarıyla' : 'her elementin metni "text" sütununa'} alınır.
+          {mode === 'table' ? ' Tablo başlığı veya satıra göre selector verin.' : ' Selector elementin içinde aranır.'}
+        </span>
+        {columns.map((column, index) => (
+          <div key={index} className="form-row">
+            <input
+              type="text"
+              className="form-input"
+              value={column.name}
+              onChange={(e) => updateColumn(index, 'name', e.target.value)}
+              placeholder="Sütun adı (student_no)"
+            />
+            {mode === 'table' && (
+              <input
+                type="text"
+                className="form-input"
+                value={column.header || ''}
+                onChange={(e) => updateColumn(index, 'header', e.target.value)}
+                placeholder="Tablo başlığı (Öğrenci No)"
+              />
+            )}
+            <input
+              type="text"
+              className="form-input"
+              value={column.selector || ''}
+              onChange={(e) => updateColumn(index, 'selector', e.target.value)}
+              placeholder="Selector (td:nth-child(4) input)"
+            />
+            <input
+              type="text"
+              className="form-input"
+              value={column.attribute || ''}
+              onChange={(e) => updateColumn(index, 'attribute', e.target.value)}
+              placeholder="Attribute (boş = metin)"
+            />
+            <button type="button" className="btn-secondary" onClick={() => removeColumn(index)}>×</button>
+          </div>
+        ))}
+        <button type="button" className="btn-secondary" onClick={addColumn}>+ Sütun</button>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">Sonraki Sayfa Selector'ı</label>
+          <input
+            type="text"
+            className="form-input"
+            value={config.nextSelector || ''}
+            onChange={(e) => update('nextSelector', e.target.value)}
+            placeholder="a.next:not(.disabled) (boş = tek sayfa)"
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Maksimum Sayfa</label>
+          <input
+            type="number"
+            className="form-input"
+            value={config.maxPages || ''}
+            onChange={(e) => update('maxPages', parseInt(e.target.value) || '')}
+            placeholder="50"
+            min="1"
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Veri Kaynağı ID'sini Sakla</label>
+          <input
+            type="text"
+            className="form-input"
+            value={config.storeAs || ''}
+            onChange={(e) => update('storeAs', e.target.value)}
+            placeholder="extractedSourceId"
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ExtractEditor;
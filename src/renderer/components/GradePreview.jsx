@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { SCALE_TYPES } from '../utils/grade-options';
+
+const PREVIEW_ROWS = 10;
+
+// İçe aktarmada harf notu önizlemesi: numeric_grade olan kayıtlar atanmış
+// ölçeklerle (ders → fakülte → varsayılan) çevrilir, veri kaynağı değişmez
+function GradePreview({ records }) {
+  const [preview, setPreview] = useState(null);
+
+  const hasGrades = records.some(record => record.numeric_grade !== undefined && record.numeric_grade !== '');
+
+  useEffect(() => {
+    if (!hasGrades) {
+      setPreview(null);
+      return undefined;
+    }
+    // Eşleme değiştikçe her tuşta IPC çağrısı yapmamak için kısa gecikme
+    const timer = setTimeout(async () => {
+      try {
+        const result = await window.electronAPI.gradeScales.preview(records);
+        setPreview(result.success ? result.data : null);
+      } catch (error) {
+        console.error('Harf notu önizlemesi alınamadı:', error);
+        setPreview(null);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [records, hasGrades]);
+
+  if (!hasGrades || !preview) return null;
+
+  const samples = preview.records
+    .filter(record => record.numeric_grade !== undefined && record.numeric_grade !== '')
+    .slice(0, PREVIEW_ROWS);
+
+  return (
+    <div className="grade-preview">
+      <h4>🎓 Harf Notu Önizlemesi</h4>
+
+      {preview.courses.length > 0 && (
+        <table className="preview-table">
+          <thead>
+            <tr>
+              <th>Ders</th>
+              <th>Ölçek</th>
+              <th>Yöntem</th>
+              <th>Öğrenci</th>
+              <th>Ortalama</th>
+              <th>Std. Sapma</th>
+              <th>Dağılım</th>
+            </tr>
+          </thead>
+          <tbody>
+            {preview.courses.map((course, index) => (
+              <tr key={index}>
+                <td>{course.course || '-'}</td>
+                <td>{course.scale.name}</td>
+                <td>{SCALE_TYPES[course.mode]}</td>
+                <td>{course.count}</td>
+                <td>{course.mean !== null ? course.mean.toFixed(2) : '-'}</td>
+                <td>{course.sd !== null ? course.sd.toFixed(2) : '-'}</td>
+                <td>
+                  {Object.entries(course.distribution)
+                    .map(([letter, count]) => `${letter}: ${count}`)
+                    .join(', ')}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {samples.length > 0 && (
+        <table className="preview-table">
+          <thead>
+            <tr>
+              <th>Öğrenci No</th>
+              <th>Ders</th>
+              <th>Sayısal Not</th>
+              <th>{'{{letter_grade}}'}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {samples.map((record, index) => (
+              <tr key={index}>
+                <td>{record.student_no}</td>
+                <td>{record.course_code}</td>
+                <td>{record.numeric_grade}</td>
+                <td>{record.letter_grade || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {preview.problems.length > 0 && (
+        <div className="csv-errors">
+          <ul>
+            {preview.problems.slice(0, PREVIEW_ROWS).map((problem, index) => (
+              <li key={index}>{problem}</li>
+            ))}
+          </ul>
+          {preview.problems.length > PREVIEW_ROWS && (
+            <p className="preview-note">* İlk {PREVIEW_ROWS} sorun gösteriliyor ({preview.problems.length} sorun).</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GradePreview;
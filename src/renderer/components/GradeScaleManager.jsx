@@ -0,0 +1,339 @@
+/**
+ * GradeScaleManager.jsx
+ * Grade scale definitions and their course/faculty assignments
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Plus, Edit2, Trash2, Save, X } from 'lucide-react';
+import { SCALE_TYPES, ASSIGNMENT_TARGETS, emptyScale } from '../utils/grade-options';
+import { LETTER_GRADES } from '../utils/field-validators';
+import './GradeScaleManager.css';
+
+// Harf / alt sınır satırları (mutlak nota veya T-skoruna göre); harf önerileri #letter-grades listesinden
+const BandsEditor = ({ bands, onChange, minLabel }) => {
+    const update = (index, field, value) => {
+        onChange(bands.map((band, i) => (i === index ? { ...band, [field]: value } : band)));
+    };
+
+    return (
+        <div className="bands-editor">
+            {bands.map((band, index) => (
+                <div key={index} className="band-row">
+                    <input
+                        type="text"
+                        list="letter-grades"
+                        value={band.letter}
+                        onChange={(e) => update(index, 'letter', e.target.value.toUpperCase())}
+                        placeholder="AA"
+                    />
+                    <span>{minLabel} ≥</span>
+                    <input
+                        type="number"
+                        value={band.min}
+                        onChange={(e) => update(index, 'min', e.target.value === '' ? '' : parseFloat(e.target.value))}
+                        step="0.5"
+                    />
+                    <button className="icon-btn" onClick={() => onChange(bands.filter((_, i) => i !== index))}>
+                        <X size={14} />
+                    </button>
+                </div>
+            ))}
+            <button className="link-btn" onClick={() => onChange([...bands, { letter: '', min: 0 }])}>
+                <Plus size={14} /> Aralık ekle
+            </button>
+        </div>
+    );
+};
+
+const GradeScaleManager = () => {
+    const [scales, setScales] = useState([]);
+    const [assignments, setAssignments] = useState([]);
+    const [editing, setEditing] = useState(null);
+    const [newAssignment, setNewAssignment] = useState({ targetType: 'course', target: '', scaleId: '' });
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        loadScales();
+        loadAssignments();
+    }, []);
+
+    const loadScales = async () => {
+        try {
+            const result = await window.electronAPI.gradeScales.getAll();
+            if (result.success) {
+                setScales(result.data);
+            }
+        } catch (error) {
+            console.error('Not ölçekleri yüklenemedi:', error);
+        }
+    };
+
+    const loadAssignments = async () => {
+        try {
+            const result = await window.electronAPI.gradeScales.getAssignments();
+            if (result.success) {
+                setAssignments(result.data);
+            }
+        } catch (error) {
+            console.error('Ölçek atamaları yüklenemedi:', error);
+        }
+    };
+
+    const updateDefinition = (field, value) => {
+        setEditing(prev => ({ ...prev, definition: { ...prev.definition, [field]: value } }));
+    };
+
+    const changeType = (type) => {
+        // Tip değişince o tipin varsayılan aralıkları gelir
+        setEditing(prev => ({ ...emptyScale(type), id: prev.id, name: prev.name, faculty: prev.faculty, is_default: prev.is_default }));
+    };
+
+    const handleSave = async () => {
+        const result = await window.electronAPI.gradeScales.save(editing);
+        if (!result.success) {
+            setError(result.message);
+            return;
+        }
+        setError('');
+        setEditing(null);
+        loadScales();
+    };
+
+    const handleDelete = async (scale) => {
+        if (!confirm(`"${scale.name}" ölçeği ve atamaları silinsin mi?`)) return;
+        await window.electronAPI.gradeScales.delete(scale.id);
+        loadScales();
+        loadAssignments();
+    };
+
+    const handleAssign = async () => {
+        const result = await window.electronAPI.gradeScales.assign(
+            newAssignment.targetType,
+            newAssignment.target,
+            parseInt(newAssignment.scaleId)
+        );
+        if (!result.success) {
+            setError(result.message);
+            return;
+        }
+        setError('');
+        setAssignments(result.data);
+        setNewAssignment(prev => ({ ...prev, target: '' }));
+    };
+
+    const handleUnassign = async (id) => {
+        const result = await window.electronAPI.gradeScales.unassign(id);
+        if (result.success) {
+            setAssignments(result.data);
+        }
+    };
+
+    return (
+        <div className="grade-scale-manager">
+            <datalist id="letter-grades">
+                {LETTER_GRADES.map(letter => <option key={letter} value={letter} />)}
+            </datalist>
+
+            <div className="grade-scale-header">
+                <h2>🎓 Not Ölçekleri</h2>
+                <button className="add-scale-btn" onClick={() => setEditing(emptyScale())}>
+                    <Plus size={18} /> Yeni Ölçek
+                </button>
+            </div>
+
+            {error && <div className="grade-scale-error">❌ {error}</div>}
+
+            <div className="scale-list">
+                {scales.length === 0 && (
+                    <p className="empty-note">Henüz ölçek yok. Harf notu hesaplamak için bir ölçek ekleyin ve varsayılan yapın.</p>
+                )}
+                {scales.map(scale => (
+                    <div key={scale.id} className="scale-item">
+                        <div>
+                            <strong>{scale.name}</strong>
+                            {scale.is_default && <span className="scale-badge">Varsayılan</span>}
+                            <div className="scale-meta">
+                                {SCALE_TYPES[scale.type]}{scale.faculty ? ` · ${scale.faculty}` : ''}
+                                {' · '}
+                                {(scale.definition.bands || []).map(band => `${band.letter} ≥ ${band.min}`).join(', ')}
+                            </div>
+                        </div>
+                        <div className="scale-actions">
+                            <button className="icon-btn" onClick={() => setEditing(scale)}><Edit2 size={16} /></button>
+                            <button className="icon-btn" onClick={() => handleDelete(scale)}><Trash2 size={16} /></button>
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {editing && (
+                <div className="scale-editor">
+                    <h3>{editing.id ? 'Ölçeği Düzenle' : 'Yeni Ölçek'}</h3>
+                    <div className="scale-form-row">
+                        <label>
+                            Ad
+                            <input
+                                type="text"
+                                value={editing.name}
+                                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                                placeholder="Mühendislik Fakültesi Bağıl"
+                            />
+                        </label>
+                        <label>
+                            Tip
+                            <select value={editing.type} onChange={(e) => changeType(e.target.value)}>
+                                {Object.entries(SCALE_TYPES).map(([key, label]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label>
+                            Fakülte / Yönetmelik
+                            <input
+                                type="text"
+                                value={editing.faculty || ''}
+                                onChange={(e) => setEditing({ ...editing, faculty: e.target.value })}
+                                placeholder="Mühendislik"
+                            />
+                            <span className="field-hint">Bu fakülteye ayrıca atama yapılmamışsa kayıtların faculty alanıyla eşleşir</span>
+                        </label>
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={!!editing.is_default}
+                                onChange={(e) => setEditing({ ...editing, is_default: e.target.checked })}
+                            />
+                            Varsayılan
+                        </label>
+                    </div>
+
+                    {editing.type === 'relative' && (
+                        <div className="scale-form-row">
+                            <label>
+                                Başarısız sınırı (ham not)
+                                <input
+                                    type="number"
+                                    value={editing.definition.failBelow ?? ''}
+                                    onChange={(e) => updateDefinition('failBelow', e.target.value === '' ? '' : parseFloat(e.target.value))}
+                                />
+                            </label>
+                            <label>
+                                Başarısız harfi
+                                <input
+                                    type="text"
+                                    list="letter-grades"
+                                    value={editing.definition.failLetter || ''}
+                                    onChange={(e) => updateDefinition('failLetter', e.target.value.toUpperCase())}
+                                />
+                            </label>
+                            <label>
+                                En az öğrenci (bağıl için)
+                                <input
+                                    type="number"
+                                    value={editing.definition.minClassSize ?? ''}
+                                    onChange={(e) => updateDefinition('minClassSize', parseInt(e.target.value) || '')}
+                                    min="2"
+                                />
+                            </label>
+                        </div>
+                    )}
+
+                    <div className="scale-bands">
+                        <div>
+                            <h4>{editing.type === 'relative' ? 'T-skoru Aralıkları' : 'Not Aralıkları'}</h4>
+                            <BandsEditor
+                                bands={editing.definition.bands || []}
+                                onChange={(bands) => updateDefinition('bands', bands)}
+                                minLabel={editing.type === 'relative' ? 'T' : 'Not'}
+                            />
+                        </div>
+                        {editing.type === 'relative' && (
+                            <div>
+                                <h4>Küçük Sınıf (mutlak) Aralıkları</h4>
+                                <BandsEditor
+                                    bands={editing.definition.absoluteBands || []}
+                                    onChange={(bands) => updateDefinition('absoluteBands', bands)}
+                                    minLabel="Not"
+                                />
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="scale-editor-actions">
+                        <button className="add-scale-btn" onClick={handleSave}><Save size={16} /> Kaydet</button>
+                        <button className="link-btn" onClick={() => { setEditing(null); setError(''); }}>İptal</button>
+                    </div>
+                </div>
+            )}
+
+            <div className="scale-assignments">
+                <h3>Atamalar</h3>
+                <p className="empty-note">Kaydın ders koduna atanmış ölçek, yoksa fakültesinin ölçeği, o da yoksa varsayılan ölçek kullanılır.</p>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Tip</th>
+                            <th>Ders / Fakülte</th>
+                            <th>Ölçek</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {assignments.map(assignment => (
+                            <tr key={assignment.id}>
+                                <td>{ASSIGNMENT_TARGETS[assignment.target_type]}</td>
+                                <td>{assignment.target}</td>
+                                <td>{assignment.scale_name}</td>
+                                <td>
+                                    <button className="icon-btn" onClick={() => handleUnassign(assignment.id)}><Trash2 size={14} /></button>
+                                </td>
+                            </tr>
+                        ))}
+                        <tr>
+                            <td>
+                                <select
+                                    value={newAssignment.targetType}
+                                    onChange={(e) => setNewAssignment({ ...newAssignment, targetType: e.target.value })}
+                                >
+                                    {Object.entries(ASSIGNMENT_TARGETS).map(([key, label]) => (
+                                        <option key={key} value={key}>{label}</option>
+                                    ))}
+                                </select>
+                            </td>
+                            <td>
+                                <input
+                                    type="text"
+                                    value={newAssignment.target}
+                                    onChange={(e) => setNewAssignment({ ...newAssignment, target: e.target.value })}
+                                    placeholder={newAssignment.targetType === 'course' ? 'MAT101' : 'Mühendislik'}
+                                />
+                            </td>
+                            <td>
+                                <select
+                                    value={newAssignment.scaleId}
+                                    onChange={(e) => setNewAssignment({ ...newAssignment, scaleId: e.target.value })}
+                                >
+                                    <option value="">Ölçek seçin</option>
+                                    {scales.map(scale => (
+                                        <option key={scale.id} value={scale.id}>{scale.name}</option>
+                                    ))}
+                                </select>
+                            </td>
+                            <td>
+                                <button
+                                    className="add-scale-btn"
+                                    onClick={handleAssign}
+                                    disabled={!newAssignment.target.trim() || !newAssignment.scaleId}
+                                >
+                                    Ata
+                                </button>
+                            </td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default GradeScaleManager;
@@ -5,6 +5,7 @@
 
 import React, { useState, useEffect } from 'react';
 import './HybridImportManager.css';
+import { readCsvFile } from '../utils/csv-parser';
 
 const HybridImportManager = () => {
     const [csvData, setCsvData] = useState(null);
@@ -18,6 +19,7 @@ const HybridImportManager = () => {
     });
     const [previewData, setPreviewData] = useState([]);
     const [selectedRecords, setSelectedRecords] = useState(new Set());
+    const [csvErrors, setCsvErrors] = useState([]);
 
     const handleCSVUpload = async (event) => {
         const file = event.target.files[0];
@@ -26,30 +28,25 @@ const HybridImportManager = () => {
         try {
             setImportStatus('processing');
             
-            // CSV'yi parse et
-            const text = await file.text();
-            const lines = text.split('\n').filter(line => line.trim());
-            const headers = lines[0].split(',').map(h => h.trim());
+            // CSV'yi parse et (ayırıcı ve kodlama otomatik)
+            const { rows, errors, delimiter, encoding } = await readCsvFile(file);
             
-            const data = lines.slice(1).map((line, index) => {
-                const values = line.split(',').map(v => v.trim());
-                const record = {};
-                headers.forEach((header, i) => {
-                    record[header] = values[i] || '';
-                });
+            const data = rows.map((record, index) => {
                 record._index = index;
                 return record;
             });
 
+            setCsvErrors(errors);
             setCsvData(data);
             setPreviewData(data.slice(0, 10)); // İlk 10 kayıt preview
             setImportStats(prev => ({ ...prev, totalRecords: data.length }));
             setImportStatus('complete');
             
-            console.log('📊 CSV loaded:', data.length, 'records');
+            console.log('📊 CSV loaded:', data.length, 'records', { delimiter, encoding, skipped: errors.length });
             
         } catch (error) {
             console.error('❌ CSV upload failed:', error);
+            setCsvErrors([{ line: 0, message: error.message }]);
             setImportStatus('idle');
         }
     };
@@ -120,6 +117,18 @@ const HybridImportManager = () => {
                         📂 CSV Dosyası Seç
                     </label>
                 </div>
+                {csvErrors.length > 0 && (
+                    <div className="csv-errors">
+                        <strong>⚠️ {csvErrors.length} satır atlandı:</strong>
+                        <ul>
+                            {csvErrors.slice(0, 20).map((rowError, index) => (
+                                <li key={index}>
+                                    {rowError.line > 0 ? `Satır ${rowError.line}: ` : ''}{rowError.message}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
             </div>
 
             {/* Step 2: Preview & Select */}
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+
+// Log satırına bağlı ekran görüntüsü ve DOM görüntüsü (main/artifact-store.js).
+// İçerik ilk açılışta yüklenir; DOM betiksiz, izole bir iframe'de gösterilir.
+
+const LogArtifacts = ({ screenshotId, snapshotId, autoOpen }) => {
+  // autoOpen: hata satırlarında ekran görüntüsü doğrudan açık gelir
+  const [open, setOpen] = useState(autoOpen && screenshotId ? 'screenshot' : null);
+  const [contents, setContents] = useState({});
+  const [showSource, setShowSource] = useState(false);
+  const [zoomed, setZoomed] = useState(false);
+
+  const ids = { screenshot: screenshotId, dom: snapshotId };
+
+  const load = async (kind) => {
+    if (contents[kind]) return;
+    try {
+      const result = await window.electronAPI.artifacts.get(ids[kind]);
+      setContents(prev => ({
+        ...prev,
+        [kind]: result.success ? { content: result.data.content } : { error: result.message }
+      }));
+    } catch (error) {
+      setContents(prev => ({ ...prev, [kind]: { error: error.message } }));
+    }
+  };
+
+  useEffect(() => {
+    if (open) load(open);
+  }, [open]);
+
+  const toggle = (kind) => setOpen(open === kind ? null : kind);
+
+  const current = open ? contents[open] : null;
+
+  return (
+    <div className="log-artifacts">
+      <div className="log-artifact-buttons">
+        {screenshotId && (
+          <button className={`log-artifact-btn ${open === 'screenshot' ? 'active' : ''}`} onClick={() => toggle('screenshot')}>
+            📷 Ekran görüntüsü
+          </button>
+        )}
+        {snapshotId && (
+          <button className={`log-artifact-btn ${open === 'dom' ? 'active' : ''}`} onClick={() => toggle('dom')}>
+            🧩 DOM
+          </button>
+        )}
+        {open === 'dom' && current && current.content && (
+          <button className="log-artifact-btn" onClick={() => setShowSource(!showSource)}>
+            {showSource ? '🖼️ Görünüm' : '</> Kaynak'}
+          </button>
+        )}
+      </div>
+
+      {open && !current && <div className="log-artifact-status">Yükleniyor...</div>}
+      {current && current.error && <div className="log-artifact-status">⚠️ {current.error}</div>}
+
+      {open === 'screenshot' && current && current.content && (
+        <img
+          className={`log-artifact-image ${zoomed ? 'zoomed' : ''}`}
+          src={current.content}
+          alt="Adım ekran görüntüsü"
+          title={zoomed ? 'Küçültmek için tıklayın' : 'Büyütmek için tıklayın'}
+          onClick={() => setZoomed(!zoomed)}
+        />
+      )}
+
+      {open === 'dom' && current && current.content && (
+        showSource ? (
+          <pre className="log-artifact-source">{current.content}</pre>
+        ) : (
+          <iframe
+            className="log-artifact-frame"
+            title="DOM görüntüsü"
+            sandbox=""
+            srcDoc={current.content}
+          />
+        )
+      )}
+    </div>
+  );
+};
+
+export default LogArtifacts;
@@ -1,296 +1,417 @@
-const LogViewer = ({ isVisible, onClose, workflowId }) => {
-  const [logs, setLogs] = useState([]);
-  const [filter, setFilter] = useState('all');
-  const [searchTerm, setSearchTerm] = useState('');
-  const [isAutoScroll, setIsAutoScroll] = useState(true);
+import React, { useState, useEffect } from 'react';
+import LogArtifacts from './LogArtifacts';
+import RunHistory from './RunHistory';
+import { parseTimestamp, dayStart, dayEnd } from '../utils/log-format';
+import './LogViewer.css';
+
+// Loglar: çalışma geçmişinin log satırları (main/run-store.js). Filtreleme ve
+// sayfalama main process'te yapılır (logs:query), canlı mod yeni satırları
+// logs.subscribe akışından alır; yüz binlerce satırda da yalnızca bir sayfa yüklenir.
+
+const PAGE_SIZE = 200;
+// Canlı modda bellekte tutulan en fazla satır; eskiler "Daha eski" ile yeniden yüklenebilir
+const MAX_LIVE_ROWS = 2000;
+
+// Log seviyeleri ve renkleri
+const logLevels = {
+  info: { label: 'Bilgi', color: '#17a2b8', icon: 'ℹ️' },
+  success: { label: 'Başarılı', color: '#28a745', icon: '✅' },
+  warning: { label: 'Uyarı', color: '#ffc107', icon: '⚠️' },
+  error: { label: 'Hata', color: '#dc3545', icon: '❌' },
+  debug: { label: 'Debug', color: '#6c757d', icon: '🔧' }
+};
+
+const EMPTY_FILTERS = {
+  workflowId: '',
+  runId: '',
+  recordIndex: undefined,
+  level: 'all',
+  from: '',
+  to: '',
+  text: ''
+};
+
+// Ekrandaki filtreler → main/log-query.js filtreleri
+const toQuery = (filters) => {
+  const query = {};
+  if (filters.workflowId) query.workflowId = parseInt(filters.workflowId);
+  if (filters.runId) query.runId = parseInt(filters.runId);
+  if (filters.recordIndex !== undefined) query.recordIndex = filters.recordIndex;
+  if (filters.level !== 'all') query.levels = [filters.level];
+  if (filters.from) query.from = dayStart(filters.from);
+  if (filters.to) query.to = dayEnd(filters.to);
+  if (filters.text.trim()) query.text = filters.text.trim();
+  return query;
+};
+
+const toLogEntry = (row) => ({
+  id: row.id,
+  timestamp: parseTimestamp(row.created_at).toISOString(),
+  level: logLevels[row.status] ? row.status : 'info',
+  message: row.message || '',
+  details: row.error_details || '',
+  stepId: row.step_id,
+  runId: row.run_id,
+  recordIndex: row.record_index,
+  executionTime: row.execution_time,
+  screenshotId: row.screenshot_id || null,
+  snapshotId: row.snapshot_id || null
+});
+
+const LogViewer = ({ onBack, workflowId }) => {
+  const [tab, setTab] = useState('logs');
+  const [workflows, setWorkflows] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [filters, setFilters] = useState({ ...EMPTY_FILTERS, workflowId: workflowId ? String(workflowId) : '' });
+  // Metin araması her tuşta sorgu atmasın diye gecikmeli uygulanır
+  const [appliedText, setAppliedText] = useState('');
+  const [page, setPage] = useState({ logs: [], nextCursor: null });
+  const [isLoading, setIsLoading] = useState(false);
   const [isRealTime, setIsRealTime] = useState(false);
-  const logContainerRef = useRef(null);
-
-  // Log seviyeleri ve renkleri
-  const logLevels = {
-    info: { label: 'Bilgi', color: '#17a2b8', icon: 'ℹ️' },
-    success: { label: 'Başarılı', color: '#28a745', icon: '✅' },
-    warning: { label: 'Uyarı', color: '#ffc107', icon: '⚠️' },
-    error: { label: 'Hata', color: '#dc3545', icon: '❌' },
-    debug: { label: 'Debug', color: '#6c757d', icon: '🔧' }
-  };
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const query = toQuery({ ...filters, text: appliedText });
+  const queryKey = JSON.stringify(query);
 
-  // Örnek log verileri
   useEffect(() => {
-    if (isVisible) {
-      const sampleLogs = [
-        {
-          id: 1,
-          timestamp: new Date().toISOString(),
-          level: 'info',
-          message: 'Workflow başlatıldı',
-          details: 'Workflow ID: ' + workflowId,
-          stepId: null
-        },
-        {
-          id: 2,
-          timestamp: new Date(Date.now() - 1000).toISOString(),
-          level: 'info',
-          message: 'Element aranıyor: #username',
-          details: 'CSS Selector kullanılıyor',
-          stepId: 1
-        },
-        {
-          id: 3,
-          timestamp: new Date(Date.now() - 2000).toISOString(),
-          level: 'success',
-          message: 'Element bulundu ve tıklandı',
-          details: 'Element: input[name="username"]',
-          stepId: 1
-        },
-        {
-          id: 4,
-          timestamp: new Date(Date.now() - 3000).toISOString(),
-          level: 'info',
-          message: 'Veri girişi yapılıyor',
-          details: 'Değer: "test_user"',
-          stepId: 2
-        },
-        {
-          id: 5,
-          timestamp: new Date(Date.now() - 4000).toISOString(),
-          level: 'warning',
-          message: 'Element yavaş yükleniyor',
-          details: 'Bekleme süresi: 3 saniye',
-          stepId: 3
-        },
-        {
-          id: 6,
-          timestamp: new Date(Date.now() - 5000).toISOString(),
-          level: 'error',
-          message: 'Element bulunamadı',
-          details: 'Selector: #submit-button, Timeout: 10s',
-          stepId: 4
-        }
-      ];
-      setLogs(sampleLogs);
-    }
-  }, [isVisible, workflowId]);
+    window.electronAPI.invoke('db:getWorkflows')
+      .then(result => setWorkflows(result || []))
+      .catch(error => {
+        console.error('Workflow listesi yüklenemedi:', error);
+        setWorkflows([]);
+      });
+  }, []);
 
-  // Otomatik kaydırma
+  // Çalışma filtresi seçilen workflow'un son çalışmalarını listeler
   useEffect(() => {
-    if (isAutoScroll && logContainerRef.current) {
-      logContainerRef.current.scrollTop = logContainerRef.current.scrollHeight;
-    }
-  }, [logs, isAutoScroll]);
+    window.electronAPI.runs.getAll({ workflowId: filters.workflowId ? parseInt(filters.workflowId) : undefined, limit: 50 })
+      .then(result => setRuns(result.success ? result.data : []))
+      .catch(error => {
+        console.error('Çalışmalar yüklenemedi:', error);
+        setRuns([]);
+      });
+  }, [filters.workflowId]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setAppliedText(filters.text), 300);
+    return () => clearTimeout(timer);
+  }, [filters.text]);
+
+  useEffect(() => {
+    loadPage(null);
+  }, [queryKey]);
 
-  // Real-time log simülasyonu
+  // Canlı mod: filtreye uyan yeni satırlar main process'ten toplu gelir
   useEffect(() => {
-    let interval;
-    if (isRealTime && isVisible) {
-      interval = setInterval(() => {
-        const newLog = {
-          id: Date.now(),
-          timestamp: new Date().toISOString(),
-          level: ['info', 'success', 'warning'][Math.floor(Math.random() * 3)],
-          message: 'Yeni log mesajı',
-          details: 'Real-time log güncellemesi',
-          stepId: Math.floor(Math.random() * 5) + 1
-        };
-        setLogs(prev => [...prev, newLog]);
-      }, 2000);
+    if (!isRealTime) return undefined;
+    return window.electronAPI.logs.subscribe(query, (rows) => {
+      const entries = rows.map(toLogEntry).reverse();
+      setPage(prev => {
+        const logs = [...entries, ...prev.logs];
+        if (logs.length <= MAX_LIVE_ROWS) {
+          return { ...prev, logs };
+        }
+        const kept = logs.slice(0, MAX_LIVE_ROWS);
+        return { logs: kept, nextCursor: kept[kept.length - 1].id };
+      });
+    });
+  }, [isRealTime, queryKey]);
+
+  const loadPage = async (cursor) => {
+    setIsLoading(true);
+    try {
+      const result = await window.electronAPI.logs.query(cursor ? { ...query, cursor } : query, PAGE_SIZE);
+      if (!result.success) {
+        setError(result.message);
+        return;
+      }
+      setError('');
+      const logs = result.data.logs.map(toLogEntry);
+      setPage(prev => ({
+        logs: cursor ? [...prev.logs, ...logs] : logs,
+        nextCursor: result.data.nextCursor
+      }));
+    } catch (error) {
+      console.error('Loglar yüklenemedi:', error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
     }
-    return () => clearInterval(interval);
-  }, [isRealTime, isVisible]);
-
-  // Log filtreleme
-  const filteredLogs = logs.filter(log => {
-    const matchesFilter = filter === 'all' || log.level === filter;
-    const matchesSearch = searchTerm === '' || 
-      log.message.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      log.details.toLowerCase().includes(searchTerm.toLowerCase());
-    return matchesFilter && matchesSearch;
-  });
+  };
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => {
+      const next = { ...prev, [field]: value };
+      // Kayıt filtresi yalnızca geçmişten gelinen çalışma için anlamlı
+      if (field === 'workflowId' || field === 'runId') next.recordIndex = undefined;
+      if (field === 'workflowId') next.runId = '';
+      return next;
+    });
+  };
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setAppliedText('');
+  };
+
+  // Çalışma geçmişinden gelen: { runId, recordIndex? }
+  const showRunLogs = ({ runId, recordIndex }) => {
+    setFilters({ ...EMPTY_FILTERS, runId: String(runId), recordIndex });
+    setAppliedText('');
+    setTab('logs');
+  };
 
   // Zaman formatı
   const formatTime = (timestamp) => {
-    return new Date(timestamp).toLocaleTimeString('tr-TR', {
+    return new Date(timestamp).toLocaleString('tr-TR', {
+      day: '2-digit',
+      month: '2-digit',
       hour: '2-digit',
       minute: '2-digit',
-      second: '2-digit',
-      fractionalSecondDigits: 3
+      second: '2-digit'
     });
   };
 
-  // Log temizleme
-  const clearLogs = () => {
-    setLogs([]);
-  };
-
-  // Log export
-  const exportLogs = () => {
-    const logText = logs.map(log => 
-      `[${formatTime(log.timestamp)}] ${log.level.toUpperCase()}: ${log.message} - ${log.details}`
-    ).join('\n');
-    
-    const blob = new Blob([logText], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `workflow-logs-${workflowId}-${new Date().toISOString().split('T')[0]}.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  // Log export: filtreye uyan tüm satırlar (yalnızca yüklenenler değil) main process'te dosyaya yazılır
+  const exportLogs = async (format) => {
+    setNotice('');
+    try {
+      const result = await window.electronAPI.logs.export(query, format);
+      if (!result.success) {
+        setError(result.message);
+        return;
+      }
+      if (result.data) {
+        setNotice(`${result.data.count} satır kaydedildi: ${result.data.filePath}`);
+      }
+    } catch (error) {
+      console.error('Loglar dışa aktarılamadı:', error);
+      setError(error.message);
+    }
   };
 
-  if (!isVisible) return null;
+  const recordLabel = filters.recordIndex === null
+    ? 'Genel loglar'
+    : (filters.recordIndex !== undefined ? `Kayıt ${filters.recordIndex + 1}` : null);
 
   return (
-    <div className="log-viewer-overlay">
+    <div className="log-viewer-page">
       <div className="log-viewer-modal">
         <div className="log-viewer-header">
           <h2 className="log-viewer-title">
-            📊 Workflow Logları
-            {workflowId && <span className="workflow-id">#{workflowId}</span>}
+            📊 Loglar
+            <span className="log-tabs">
+              <button className={`log-tab ${tab === 'logs' ? 'active' : ''}`} onClick={() => setTab('logs')}>
+                Log Satırları
+              </button>
+              <button className={`log-tab ${tab === 'runs' ? 'active' : ''}`} onClick={() => setTab('runs')}>
+                Çalışma Geçmişi
+              </button>
+            </span>
           </h2>
-          <button className="log-viewer-close" onClick={onClose}>
-            ✕
-          </button>
+          {onBack && (
+            <button className="log-viewer-close" onClick={onBack}>
+              ✕
+            </button>
+          )}
         </div>
 
-        <div className="log-viewer-controls">
-          <div className="log-controls-left">
-            <div className="filter-group">
-              <label className="control-label">Filtre:</label>
-              <select 
-                className="log-filter-select"
-                value={filter}
-                onChange={(e) => setFilter(e.target.value)}
-              >
-                <option value="all">Tümü</option>
-                {Object.entries(logLevels).map(([key, level]) => (
-                  <option key={key} value={key}>{level.label}</option>
-                ))}
-              </select>
-            </div>
+        {tab === 'runs' && <RunHistory workflows={workflows} onShowLogs={showRunLogs} />}
 
-            <div className="search-group">
-              <label className="control-label">Ara:</label>
-              <input
-                type="text"
-                className="log-search-input"
-                placeholder="Log içeriğinde ara..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-              />
-            </div>
-          </div>
-
-          <div className="log-controls-right">
-            <div className="toggle-group">
-              <label className="toggle-label">
-                <input
-                  type="checkbox"
-                  checked={isAutoScroll}
-                  onChange={(e) => setIsAutoScroll(e.target.checked)}
-                />
-                Otomatik Kaydır
-              </label>
-            </div>
+        {tab === 'logs' && (
+          <>
+            <div className="log-viewer-controls">
+              <div className="log-controls-left">
+                <div className="filter-group">
+                  <label className="control-label">Workflow:</label>
+                  <select
+                    className="log-filter-select"
+                    value={filters.workflowId}
+                    onChange={(e) => updateFilter('workflowId', e.target.value)}
+                  >
+                    <option value="">Tümü</option>
+                    {workflows.map(workflow => (
+                      <option key={workflow.id} value={workflow.id}>{workflow.name}</option>
+                    ))}
+                  </select>
+                </div>
 
-            <div className="toggle-group">
-              <label className="toggle-label">
-                <input
-                  type="checkbox"
-                  checked={isRealTime}
-                  onChange={(e) => setIsRealTime(e.target.checked)}
-                />
-                Canlı Güncelleme
-              </label>
-            </div>
+                <div className="filter-group">
+                  <label className="control-label">Çalışma:</label>
+                  <select
+                    className="log-filter-select"
+                    value={filters.runId}
+                    onChange={(e) => updateFilter('runId', e.target.value)}
+                  >
+                    <option value="">Tümü</option>
+                    {filters.runId && !runs.some(run => String(run.id) === filters.runId) && (
+                      <option value={filters.runId}>#{filters.runId}</option>
+                    )}
+                    {runs.map(run => (
+                      <option key={run.id} value={run.id}>
+                        #{run.id} {run.workflow_name} ({parseTimestamp(run.started_at).toLocaleString('tr-TR')})
+                      </option>
+                    ))}
+                  </select>
+                </div>
 
-            <button className="log-action-btn clear-btn" onClick={clearLogs}>
-              🗑️ Temizle
-            </button>
+                {recordLabel && (
+                  <span className="workflow-id log-chip">
+                    {recordLabel}
+                    <button onClick={() => updateFilter('recordIndex', undefined)}>✕</button>
+                  </span>
+                )}
 
-            <button className="log-action-btn export-btn" onClick={exportLogs}>
-              📥 Export
-            </button>
-          </div>
-        </div>
+                <div className="filter-group">
+                  <label className="control-label">Seviye:</label>
+                  <select
+                    className="log-filter-select"
+                    value={filters.level}
+                    onChange={(e) => updateFilter('level', e.target.value)}
+                  >
+                    <option value="all">Tümü</option>
+                    {Object.entries(logLevels).map(([key, level]) => (
+                      <option key={key} value={key}>{level.label}</option>
+                    ))}
+                  </select>
+                </div>
 
-        <div className="log-stats">
-          <div className="stat-item">
-            <span className="stat-label">Toplam:</span>
-            <span className="stat-value">{logs.length}</span>
-          </div>
-          <div className="stat-item">
-            <span className="stat-label">Filtrelenmiş:</span>
-            <span className="stat-value">{filteredLogs.length}</span>
-          </div>
-          {Object.entries(logLevels).map(([key, level]) => {
-            const count = logs.filter(log => log.level === key).length;
-            return count > 0 ? (
-              <div key={key} className="stat-item">
-                <span className="stat-label" style={{ color: level.color }}>
-                  {level.icon} {level.label}:
-                </span>
-                <span className="stat-value">{count}</span>
-              </div>
-            ) : null;
-          })}
-        </div>
+                <div className="filter-group">
+                  <label className="control-label">Tarih:</label>
+                  <input
+                    type="date"
+                    className="log-search-input log-date-input"
+                    value={filters.from}
+                    onChange={(e) => updateFilter('from', e.target.value)}
+                  />
+                  <span>–</span>
+                  <input
+                    type="date"
+                    className="log-search-input log-date-input"
+                    value={filters.to}
+                    onChange={(e) => updateFilter('to', e.target.value)}
+                  />
+                </div>
 
-        <div className="log-container" ref={logContainerRef}>
-          {filteredLogs.length === 0 ? (
-            <div className="no-logs">
-              {logs.length === 0 ? (
-                <div className="empty-state">
-                  <div className="empty-icon">📝</div>
-                  <h3>Henüz log bulunmuyor</h3>
-                  <p>Workflow çalıştırıldığında loglar burada görünecek</p>
+                <div className="search-group">
+                  <label className="control-label">Ara:</label>
+                  <input
+                    type="text"
+                    className="log-search-input"
+                    placeholder="Mesaj veya hata detayında ara..."
+                    value={filters.text}
+                    onChange={(e) => updateFilter('text', e.target.value)}
+                  />
                 </div>
-              ) : (
-                <div className="empty-state">
-                  <div className="empty-icon">🔍</div>
-                  <h3>Filtre kriterlerine uygun log bulunamadı</h3>
-                  <p>Farklı filtre seçeneklerini deneyin</p>
+              </div>
+
+              <div className="log-controls-right">
+                <div className="toggle-group">
+                  <label className="toggle-label">
+                    <input
+                      type="checkbox"
+                      checked={isRealTime}
+                      onChange={(e) => setIsRealTime(e.target.checked)}
+                    />
+                    Canlı Güncelleme
+                  </label>
                 </div>
-              )}
+
+                <button className="log-action-btn clear-btn" onClick={resetFilters}>
+                  ♻️ Filtreleri Temizle
+                </button>
+
+                <button className="log-action-btn export-btn" onClick={() => exportLogs('csv')}>
+                  📥 CSV
+                </button>
+                <button className="log-action-btn export-btn" onClick={() => exportLogs('jsonl')}>
+                  📥 JSONL
+                </button>
+              </div>
             </div>
-          ) : (
-            <div className="log-list">
-              {filteredLogs.map((log) => (
-                <div key={log.id} className={`log-entry log-${log.level}`}>
-                  <div className="log-header">
-                    <div className="log-level">
-                      <span className="log-icon">{logLevels[log.level].icon}</span>
-                      <span className="log-level-text">{logLevels[log.level].label}</span>
-                    </div>
-                    <div className="log-timestamp">{formatTime(log.timestamp)}</div>
-                    {log.stepId && (
-                      <div className="log-step">Adım #{log.stepId}</div>
-                    )}
+
+            <div className="log-stats">
+              <div className="stat-item">
+                <span className="stat-label">Yüklenen:</span>
+                <span className="stat-value">{page.logs.length}{page.nextCursor ? '+' : ''}</span>
+              </div>
+              {Object.entries(logLevels).map(([key, level]) => {
+                const count = page.logs.filter(log => log.level === key).length;
+                return count > 0 ? (
+                  <div key={key} className="stat-item">
+                    <span className="stat-label" style={{ color: level.color }}>
+                      {level.icon} {level.label}:
+                    </span>
+                    <span className="stat-value">{count}</span>
                   </div>
-                  <div className="log-message">{log.message}</div>
-                  {log.details && (
-                    <div className="log-details">{log.details}</div>
+                ) : null;
+              })}
+            </div>
+
+            <div className="log-container">
+              {error && <div className="run-error log-error-banner">❌ {error}</div>}
+              {notice && <div className="log-notice-banner">✅ {notice}</div>}
+              {page.logs.length === 0 ? (
+                <div className="no-logs">
+                  <div className="empty-state">
+                    <div className="empty-icon">{isLoading ? '⏳' : '📝'}</div>
+                    <h3>{isLoading ? 'Yükleniyor...' : 'Filtre kriterlerine uygun log bulunamadı'}</h3>
+                    <p>Workflow çalıştırıldığında loglar burada görünecek</p>
+                  </div>
+                </div>
+              ) : (
+                <div className="log-list">
+                  {page.logs.map((log) => (
+                    <div key={log.id} className={`log-entry log-${log.level}`}>
+                      <div className="log-header">
+                        <div className="log-level">
+                          <span className="log-icon">{logLevels[log.level].icon}</span>
+                          <span className="log-level-text">{logLevels[log.level].label}</span>
+                        </div>
+                        <div className="log-timestamp">{formatTime(log.timestamp)}</div>
+                        <div className="log-step">Çalışma #{log.runId}</div>
+                        {log.recordIndex !== null && (
+                          <div className="log-step">Kayıt {log.recordIndex + 1}</div>
+                        )}
+                        {log.stepId && (
+                          <div className="log-step">Adım #{log.stepId}</div>
+                        )}
+                        {log.executionTime > 0 && (
+                          <div className="log-step">{log.executionTime} ms</div>
+                        )}
+                      </div>
+                      <div className="log-message">{log.message}</div>
+                      {log.details && (
+                        <div className="log-details">{log.details}</div>
+                      )}
+                      {(log.screenshotId || log.snapshotId) && (
+                        <LogArtifacts
+                          screenshotId={log.screenshotId}
+                          snapshotId={log.snapshotId}
+                          autoOpen={log.level === 'error'}
+                        />
+                      )}
+                    </div>
+                  ))}
+
+                  {page.nextCursor && (
+                    <button
+                      className="log-action-btn export-btn log-more-btn"
+                      onClick={() => loadPage(page.nextCursor)}
+                      disabled={isLoading}
+                    >
+                      {isLoading ? 'Yükleniyor...' : '⬇️ Daha eski loglar'}
+                    </button>
                   )}
                 </div>
-              ))}
+              )}
             </div>
-          )}
-        </div>
-
-        <div className="log-viewer-footer">
-          <div className="footer-info">
-            Son güncelleme: {new Date().toLocaleTimeString('tr-TR')}
-          </div>
-          <div className="footer-actions">
-            <button className="btn btn-secondary" onClick={onClose}>
-              Kapat
-            </button>
-          </div>
-        </div>
+          </>
+        )}
       </div>
     </div>
   );
 };
 
-export default LogViewer;
\ No newline at end of file
+export default LogViewer;
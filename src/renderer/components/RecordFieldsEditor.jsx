@@ -0,0 +1,101 @@
+import React from 'react';
+import { FIELD_TYPES, VALIDATORS, EMPTY_FIELD } from '../utils/field-validators';
+
+// Kayıt alanları: workflow'un beklediği alanlar (WorkflowDesigner) ve
+// içe aktarmada sütun eşlemesi (ColumnMappingWizard, headers verilince)
+function RecordFieldsEditor({ fields, onChange, headers = null, mapping = {}, onMappingChange }) {
+  const updateField = (index, key, value) => {
+    onChange(fields.map((field, i) => (i === index ? { ...field, [key]: value } : field)));
+  };
+
+  const addField = () => onChange([...fields, { ...EMPTY_FIELD }]);
+
+  const removeField = (index) => onChange(fields.filter((_, i) => i !== index));
+
+  return (
+    <div className="record-fields-editor">
+      <table className="preview-table">
+        <thead>
+          <tr>
+            <th>Alan</th>
+            {headers && <th>Kaynak Sütun</th>}
+            <th>Tip</th>
+            <th>Zorunlu</th>
+            <th>Doğrulama</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {fields.map((field, index) => (
+            <tr key={index}>
+              <td>
+                <input
+                  type="text"
+                  value={field.name}
+                  onChange={(e) => updateField(index, 'name', e.target.value.trim())}
+                  placeholder="student_no"
+                />
+              </td>
+              {headers && (
+                <td>
+                  <select
+                    value={mapping[field.name] || ''}
+                    onChange={(e) => onMappingChange({ ...mapping, [field.name]: e.target.value })}
+                  >
+                    <option value="">(eşlenmedi)</option>
+                    {headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </td>
+              )}
+              <td>
+                <select
+                  value={field.type || 'string'}
+                  onChange={(e) => updateField(index, 'type', e.target.value)}
+                >
+                  {Object.entries(FIELD_TYPES).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                <input
+                  type="checkbox"
+                  checked={!!field.required}
+                  onChange={(e) => updateField(index, 'required', e.target.checked)}
+                />
+              </td>
+              <td>
+                <select
+                  value={field.validator || ''}
+                  onChange={(e) => updateField(index, 'validator', e.target.value)}
+                >
+                  <option value="">Yok</option>
+                  {Object.entries(VALIDATORS).map(([key, validator]) => (
+                    <option key={key} value={key}>{validator.label}</option>
+                  ))}
+                </select>
+                {field.validator === 'student_no' && (
+                  <input
+                    type="text"
+                    value={field.pattern || ''}
+                    onChange={(e) => updateField(index, 'pattern', e.target.value)}
+                    placeholder="^\d{6,12}$"
+                    title="Öğrenci numarası için düzenli ifade (boş = 6-12 hane)"
+                  />
+                )}
+              </td>
+              <td>
+                <button type="button" className="btn-secondary" onClick={() => removeField(index)}>×</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button type="button" className="btn-secondary" onClick={addField}>+ Alan</button>
+    </div>
+  );
+}
+
+export default RecordFieldsEditor;
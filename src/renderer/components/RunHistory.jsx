@@ -0,0 +1,260 @@
+import React, { useState, useEffect } from 'react';
+import { parseTimestamp } from '../utils/log-format';
+
+// Çalışma geçmişi: çalışmalar → kayıt sonuçları; bir kayda tıklanınca
+// adım logları LogViewer'ın log sekmesinde o kayda filtrelenmiş açılır.
+// Çalışmanın logları CSV/JSONL, raporu HTML/PDF olarak dışa aktarılabilir.
+
+const runStatuses = {
+  running: { label: 'Çalışıyor', icon: '⏳' },
+  completed: { label: 'Tamamlandı', icon: '✅' },
+  stopped: { label: 'Durduruldu', icon: '⏹️' },
+  failed: { label: 'Başarısız', icon: '❌' },
+  interrupted: { label: 'Yarıda kesildi', icon: '⚠️' }
+};
+
+const recordStatuses = {
+  success: { label: 'Başarılı', icon: '✅' },
+  error: { label: 'Hata', icon: '❌' },
+  skipped: { label: 'Atlandı', icon: '⤼' },
+  stopped: { label: 'Durduruldu', icon: '⏹️' }
+};
+
+const formatDateTime = (value) => (value ? parseTimestamp(value).toLocaleString('tr-TR') : '-');
+
+const formatDuration = (run) => {
+  if (!run.ended_at) return '-';
+  const seconds = Math.round((parseTimestamp(run.ended_at) - parseTimestamp(run.started_at)) / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)} dk ${seconds % 60} sn` : `${seconds} sn`;
+};
+
+// Kayıt satırında gösterilecek kısa özet: ilk birkaç alan
+const describeRecord = (data) => {
+  if (!data) return '';
+  return Object.entries(data)
+    .filter(([key]) => !key.startsWith('_'))
+    .slice(0, 3)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ');
+};
+
+const RunHistory = ({ workflows, onShowLogs }) => {
+  const [workflowFilter, setWorkflowFilter] = useState('');
+  const [runs, setRuns] = useState([]);
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [runRecords, setRunRecords] = useState([]);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    loadRuns();
+  }, [workflowFilter]);
+
+  const loadRuns = async () => {
+    try {
+      const result = await window.electronAPI.runs.getAll({
+        workflowId: workflowFilter ? parseInt(workflowFilter) : undefined
+      });
+      setRuns(result.success ? result.data : []);
+    } catch (error) {
+      console.error('Çalışma geçmişi yüklenemedi:', error);
+      setRuns([]);
+    }
+  };
+
+  const openRun = async (run) => {
+    setSelectedRun(run);
+    try {
+      const result = await window.electronAPI.runs.getRecords(run.id);
+      setRunRecords(result.success ? result.data : []);
+    } catch (error) {
+      console.error('Kayıt sonuçları yüklenemedi:', error);
+      setRunRecords([]);
+    }
+  };
+
+  const closeRun = () => {
+    setSelectedRun(null);
+    setRunRecords([]);
+    setNotice(null);
+    loadRuns();
+  };
+
+  // İptal edilen kaydetme penceresi sessizce geçilir
+  const runExport = async (label, request) => {
+    setNotice(null);
+    try {
+      const result = await request();
+      if (!result.success) {
+        setNotice({ error: true, text: result.message });
+      } else if (result.data) {
+        setNotice({ error: false, text: `${label} kaydedildi: ${result.data.filePath || result.data}` });
+      }
+    } catch (error) {
+      console.error(`${label} kaydedilemedi:`, error);
+      setNotice({ error: true, text: error.message });
+    }
+  };
+
+  const exportLogs = (format) => runExport('Loglar', () =>
+    window.electronAPI.logs.export({ runId: selectedRun.id }, format));
+
+  const exportReport = (format) => runExport('Rapor', () =>
+    window.electronAPI.runs.exportReport(selectedRun.id, format));
+
+  const deleteRun = async (run) => {
+    if (!confirm(`#${run.id} numaralı çalışma ve logları silinsin mi?`)) return;
+    await window.electronAPI.runs.delete(run.id);
+    closeRun();
+  };
+
+  if (!selectedRun) {
+    return (
+      <>
+        <div className="log-viewer-controls">
+          <div className="log-controls-left">
+            <div className="filter-group">
+              <label className="control-label">Workflow:</label>
+              <select
+                className="log-filter-select"
+                value={workflowFilter}
+                onChange={(e) => setWorkflowFilter(e.target.value)}
+              >
+                <option value="">Tümü</option>
+                {workflows.map(workflow => (
+                  <option key={workflow.id} value={workflow.id}>{workflow.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="log-controls-right">
+            <button className="log-action-btn export-btn" onClick={loadRuns}>
+              🔄 Yenile
+            </button>
+          </div>
+        </div>
+
+        <div className="log-container">
+          {runs.length === 0 ? (
+            <div className="no-logs">
+              <div className="empty-state">
+                <div className="empty-icon">📝</div>
+                <h3>Henüz çalışma bulunmuyor</h3>
+                <p>Workflow çalıştırıldığında geçmişi burada görünecek</p>
+              </div>
+            </div>
+          ) : (
+            <table className="run-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Başlangıç</th>
+                  <th>Workflow</th>
+                  <th>Durum</th>
+                  <th>Kayıt</th>
+                  <th>Süre</th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map(run => (
+                  <tr key={run.id} className="run-row" onClick={() => openRun(run)}>
+                    <td>{run.id}</td>
+                    <td>{formatDateTime(run.started_at)}</td>
+                    <td>{run.workflow_name || `Workflow ${run.workflow_id}`}</td>
+                    <td>{runStatuses[run.status]?.icon} {runStatuses[run.status]?.label || run.status}</td>
+                    <td>
+                      ✅ {run.success_count} · ❌ {run.error_count} · ⤼ {run.skipped_count} / {run.total_records}
+                    </td>
+                    <td>{formatDuration(run)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <div className="log-viewer-controls">
+        <div className="log-controls-left">
+          <span className="control-label">
+            #{selectedRun.id} {selectedRun.workflow_name || `Workflow ${selectedRun.workflow_id}`}
+          </span>
+        </div>
+        <div className="log-controls-right">
+          <button className="log-action-btn export-btn" onClick={() => onShowLogs({ runId: selectedRun.id })}>
+            📜 Tüm Loglar
+          </button>
+          <button className="log-action-btn export-btn" onClick={() => onShowLogs({ runId: selectedRun.id, recordIndex: null })}>
+            📋 Genel Loglar
+          </button>
+          <button className="log-action-btn export-btn" onClick={() => exportLogs('csv')}>📥 CSV</button>
+          <button className="log-action-btn export-btn" onClick={() => exportLogs('jsonl')}>📥 JSONL</button>
+          <button className="log-action-btn export-btn" onClick={() => exportReport('html')}>📄 HTML Rapor</button>
+          <button className="log-action-btn export-btn" onClick={() => exportReport('pdf')}>🖨️ PDF Rapor</button>
+          <button className="log-action-btn clear-btn" onClick={() => deleteRun(selectedRun)}>🗑️ Sil</button>
+          <button className="log-action-btn clear-btn" onClick={closeRun}>← Geri</button>
+        </div>
+      </div>
+
+      <div className="log-container">
+        {notice && (
+          <div className={notice.error ? 'run-error log-error-banner' : 'log-notice-banner'}>
+            {notice.error ? '❌' : '✅'} {notice.text}
+          </div>
+        )}
+        <div className="run-detail">
+          <div className="run-summary">
+            <div><span className="control-label">Durum:</span> {runStatuses[selectedRun.status]?.icon} {runStatuses[selectedRun.status]?.label || selectedRun.status}</div>
+            <div><span className="control-label">Başlangıç:</span> {formatDateTime(selectedRun.started_at)}</div>
+            <div><span className="control-label">Bitiş:</span> {formatDateTime(selectedRun.ended_at)}</div>
+            <div><span className="control-label">Operatör:</span> {selectedRun.operator || '-'}</div>
+            <div><span className="control-label">Workflow sürümü:</span> <code>{selectedRun.workflow_version || '-'}</code></div>
+            <div><span className="control-label">Veri kaynağı:</span> {selectedRun.data_source_id ? `#${selectedRun.data_source_id}` : 'Yok (tek sefer)'}</div>
+            {selectedRun.resumed_from !== null && (
+              <div><span className="control-label">Devam edilen kayıt:</span> {selectedRun.resumed_from + 1}</div>
+            )}
+            <div><span className="control-label">Seçenekler:</span> <code>{JSON.stringify(selectedRun.options)}</code></div>
+            {selectedRun.error_message && (
+              <div className="run-error">❌ {selectedRun.error_message}</div>
+            )}
+          </div>
+
+          <table className="run-table">
+            <thead>
+              <tr>
+                <th>Kayıt</th>
+                <th>Veri</th>
+                <th>Durum</th>
+                <th>Süre</th>
+                <th>Mesaj</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runRecords.map(record => (
+                <tr
+                  key={record.id}
+                  className="run-row"
+                  onClick={() => onShowLogs({ runId: selectedRun.id, recordIndex: record.record_index })}
+                >
+                  <td>{record.record_index + 1}</td>
+                  <td>{describeRecord(record.record_data)}</td>
+                  <td>{recordStatuses[record.status]?.icon} {recordStatuses[record.status]?.label || record.status}</td>
+                  <td>{record.duration !== null ? `${record.duration} ms` : '-'}</td>
+                  <td>
+                    {record.message || ''}
+                    {record.has_screenshot && <span title="Hata ekran görüntüsü raporda"> 📷</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default RunHistory;
@@ -12,8 +12,28 @@ X,
   Trash2,
   AlertCircle,
   CheckCircle,
-  Settings
+  Settings,
+  Target,
+  Wand2,
+  Hand,
+  RotateCcw,
+  GitBranch,
+  GitFork,
+  CornerDownRight,
+  CornerUpLeft,
+  Tag,
+  Repeat,
+  Layers,
+  Table,
+  CheckSquare
 }  from 'lucide-react';
+import ElementPicker from './ElementPicker';
+import ConditionEditor from './ConditionEditor';
+import CallWorkflowEditor from './CallWorkflowEditor';
+import ExtractEditor from './ExtractEditor';
+import AssertionEditor, { DEFAULT_ASSERTION, assertionProblem } from './AssertionEditor';
+import { RETRY_ERROR_CLASSES, BACKOFF_CURVES, DEFAULT_STEP_RETRY } from '../utils/retry-options';
+import { DEFAULT_CONDITION, DEFAULT_MAX_ITERATIONS, FLOW_ACTIONS, conditionProblem } from '../utils/flow-options';
 
 const STEP_TYPES = {
   click: {
@@ -87,9 +107,108 @@ const STEP_TYPES = {
     needsSelector: false,
     needsInput: true,
     needsWait: true
+  },
+  manual_confirm: {
+    icon: Hand,
+    label: 'Manuel Onay',
+    description: 'Kullanıcı onayını bekle',
+    needsSelector: false,
+    needsInput: true,
+    needsWait: false
+  },
+  call_workflow: {
+    icon: Layers,
+    label: 'Alt Workflow',
+    description: 'Başka bir workflow\'u bu kayıt için çalıştır',
+    needsSelector: false,
+    needsInput: false,
+    needsWait: true
+  },
+  extract: {
+    icon: Table,
+    label: 'Veri Çıkar',
+    description: 'Tablo/listeyi yeni veri kaynağına kaydet',
+    needsSelector: true,
+    needsInput: false,
+    needsWait: true
+  },
+  assert: {
+    icon: CheckSquare,
+    label: 'Doğrula',
+    description: 'Sonucu kontrol et, tutmazsa kaydı hatalı say',
+    needsSelector: true,
+    // URL ve script doğrulamaları element gerektirmez
+    optionalSelector: true,
+    needsInput: false,
+    needsWait: false
+  },
+  // Akış kontrolü: bloklar end_if / end_for_each ile kapatılır
+  if: {
+    icon: GitBranch,
+    label: 'Eğer',
+    description: 'Koşul sağlanırsa bloğu çalıştır',
+    needsSelector: false,
+    needsInput: false,
+    needsWait: false,
+    needsCondition: true
+  },
+  else: {
+    icon: GitFork,
+    label: 'Değilse',
+    description: 'Koşul sağlanmazsa çalışacak blok',
+    needsSelector: false,
+    needsInput: false,
+    needsWait: false
+  },
+  end_if: {
+    icon: CornerDownRight,
+    label: 'Eğer Sonu',
+    description: 'if bloğunu kapat',
+    needsSelector: false,
+    needsInput: false,
+    needsWait: false
+  },
+  label: {
+    icon: Tag,
+    label: 'Etiket',
+    description: 'goto için atlama noktası',
+    needsSelector: false,
+    needsInput: true,
+    needsWait: false
+  },
+  goto: {
+    icon: CornerUpLeft,
+    label: 'Atla',
+    description: 'Etikete atla (koşullu olabilir)',
+    needsSelector: false,
+    needsInput: true,
+    needsWait: false,
+    optionalCondition: true
+  },
+  for_each_element: {
+    icon: Repeat,
+    label: 'Her Element İçin',
+    description: 'Eşleşen her element için bloğu tekrarla',
+    needsSelector: true,
+    needsInput: true,
+    needsWait: false
+  },
+  end_for_each: {
+    icon: CornerDownRight,
+    label: 'Döngü Sonu',
+    description: 'for_each_element bloğunu kapat',
+    needsSelector: false,
+    needsInput: false,
+    needsWait: false
   }
 };
 
+const CONFIRM_TIMEOUT_POLICIES = {
+  continue: 'Devam et',
+  skip: 'Kaydı atla',
+  abort: 'Kaydı hatalı say'
+};
+
 const WAIT_CONDITIONS = {
   none: 'Bekleme Yok',
   time: 'Süre Bekle',
@@ -104,7 +223,8 @@ function StepEditor({
   step = null, 
   workflowId, 
   stepOrder, 
-  onSave 
+  onSave,
+  targetUrl = ''
 }) {
   const [formData, setFormData] = useState({
     actionType: 'click',
@@ -125,12 +245,26 @@ function StepEditor({
       timeout: 5000,
       selector: ''
     },
+    // null: workflow'un tekrar deneme ayarı kullanılır
+    retry: null,
+    // if / koşullu goto
+    condition: null,
+    // Element aramayı içinde bulunulan for_each_element elementiyle sınırla
+    withinItem: false,
+    // call_workflow: { workflowId, params }
+    call: { workflowId: null, params: {} },
+    // extract: { mode, columns, nextSelector, maxPages, dataSourceName, storeAs }
+    extract: { mode: 'table', columns: [] },
+    assertion: { ...DEFAULT_ASSERTION },
     description: ''
   });
 
   const [errors, setErrors] = useState({});
   const [isLoading, setSaving] = useState(false);
   const [activeTab, setActiveTab] = useState('basic');
+  const [isPickerOpen, setIsPickerOpen] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [acceptedSuggestionId, setAcceptedSuggestionId] = useState(null);
 
   useEffect(() => {
     if (step) {
@@ -149,6 +283,21 @@ function StepEditor({
                 storeAs: config.storeAs || '',
                 waitTime: 1000 
               };
+            } else if (FLOW_ACTIONS.includes(step.action_type)) {
+              return {
+                value: config.value || '',
+                maxIterations: config.maxIterations || DEFAULT_MAX_ITERATIONS,
+                maxItems: config.maxItems || '',
+                waitTime: 1000
+              };
+            } else if (step.action_type === 'manual_confirm') {
+              return {
+                value: config.value || '',
+                timeout: config.timeout || 0,
+                onTimeout: config.onTimeout || 'abort',
+                screenshot: !!config.screenshot,
+                waitTime: 1000
+              };
             } else {
               return { 
                 value: config.value || '', 
@@ -165,6 +314,42 @@ function StepEditor({
         waitCondition: step.wait_condition ? 
           JSON.parse(step.wait_condition) : 
           { type: 'time', timeout: 5000, selector: '' },
+        retry: (() => {
+          try {
+            return step.config ? JSON.parse(step.config).retry || null : null;
+          } catch (error) {
+            return null;
+          }
+        })(),
+        ...(() => {
+          try {
+            const config = step.config ? JSON.parse(step.config) : {};
+            return {
+              condition: config.condition || null,
+              withinItem: !!config.withinItem,
+              call: { workflowId: config.workflowId || null, params: config.params || {} },
+              extract: step.action_type === 'extract'
+                ? {
+                    mode: config.mode || 'table',
+                    columns: config.columns || [],
+                    nextSelector: config.nextSelector || '',
+                    maxPages: config.maxPages || '',
+                    dataSourceName: config.dataSourceName || '',
+                    storeAs: config.storeAs || ''
+                  }
+                : { mode: 'table', columns: [] },
+              assertion: config.assert || { ...DEFAULT_ASSERTION }
+            };
+          } catch (error) {
+            return {
+              condition: null,
+              withinItem: false,
+              call: { workflowId: null, params: {} },
+              extract: { mode: 'table', columns: [] },
+              assertion: { ...DEFAULT_ASSERTION }
+            };
+          }
+        })(),
         description: step.description || ''
       });
     } else {
@@ -174,21 +359,45 @@ function StepEditor({
         elementSelectors: { css: '', xpath: '', text: '', id: '', className: '' },
         inputData: { value: '', filePath: '', waitTime: 1000 },
         waitCondition: { type: 'time', timeout: 5000, selector: '' },
+        retry: null,
+        condition: null,
+        withinItem: false,
+        call: { workflowId: null, params: {} },
+        extract: { mode: 'table', columns: [] },
+        assertion: { ...DEFAULT_ASSERTION },
         description: ''
       });
     }
     setErrors({});
+    setAcceptedSuggestionId(null);
   }, [step, isOpen]);
 
+  // Self-healing ile onarılmış selector önerilerini yükle
+  useEffect(() => {
+    if (!isOpen || !step || !step.id || !window.electronAPI?.selectors) {
+      setSuggestions([]);
+      return;
+    }
+
+    window.electronAPI.selectors.getSuggestions(workflowId)
+      .then(result => {
+        const pending = result && result.success ? result.data : [];
+        setSuggestions(pending.filter(suggestion => suggestion.step_id === step.id));
+      })
+      .catch(error => {
+        console.error('Selector önerileri yüklenemedi:', error);
+        setSuggestions([]);
+      });
+  }, [step, isOpen, workflowId]);
+
   const validateForm = () => {
     const newErrors = {};
     const stepType = STEP_TYPES[formData.actionType];
 
     // Element selector kontrolü
-    if (stepType.needsSelector) {
-      const hasSelector = Object.values(formData.elementSelectors)
-        .some(value => value && value.trim());
-      
+    const hasSelector = Object.values(formData.elementSelectors)
+      .some(value => typeof value === 'string' && value.trim());
+    if (stepType.needsSelector && !stepType.optionalSelector) {
       if (!hasSelector) {
         newErrors.selector = 'En az bir element seçici gerekli';
       }
@@ -208,6 +417,31 @@ function StepEditor({
       if (formData.actionType === 'upload' && !formData.inputData.filePath.trim()) {
         newErrors.inputValue = 'Dosya yolu gerekli';
       }
+      if (formData.actionType === 'manual_confirm' && !formData.inputData.value.trim()) {
+        newErrors.inputValue = 'Kullanıcıya gösterilecek mesaj gerekli';
+      }
+      if ((formData.actionType === 'label' || formData.actionType === 'goto') && !formData.inputData.value.trim()) {
+        newErrors.inputValue = 'Etiket adı gerekli';
+      }
+    }
+
+    if (formData.actionType === 'assert') {
+      const problem = assertionProblem(formData.assertion, hasSelector);
+      if (problem) {
+        newErrors.assertion = problem;
+      }
+    }
+
+    if (formData.actionType === 'call_workflow' && !formData.call.workflowId) {
+      newErrors.call = 'Çağrılacak workflow seçilmeli';
+    }
+
+    // Koşul kontrolü (if zorunlu, goto'da opsiyonel)
+    if (stepType.needsCondition || (stepType.optionalCondition && formData.condition)) {
+      const problem = conditionProblem(formData.condition);
+      if (problem) {
+        newErrors.condition = problem;
+      }
     }
 
     // Wait condition kontrolü
@@ -227,28 +461,71 @@ function StepEditor({
     setSaving(true);
     try {
       // Create config based on action type
-      let config;
+      let configData;
       if (formData.actionType === 'execute_script') {
-        config = JSON.stringify({
+        configData = {
           script: formData.inputData.value,
           storeAs: formData.inputData.storeAs || ''
-        });
+        };
+      } else if (formData.actionType === 'manual_confirm') {
+        configData = {
+          value: formData.inputData.value,
+          timeout: formData.inputData.timeout || 0,
+          onTimeout: formData.inputData.onTimeout || 'abort',
+          screenshot: !!formData.inputData.screenshot
+        };
+      } else if (formData.actionType === 'assert') {
+        configData = { assert: formData.assertion };
+      } else if (formData.actionType === 'extract') {
+        configData = {
+          ...formData.extract,
+          columns: (formData.extract.columns || []).filter(column => column.name && column.name.trim())
+        };
+      } else if (formData.actionType === 'call_workflow') {
+        configData = {
+          workflowId: formData.call.workflowId,
+          params: formData.call.params
+        };
+      } else if (FLOW_ACTIONS.includes(formData.actionType)) {
+        configData = { value: formData.inputData.value || '' };
+        if (formData.actionType === 'goto') {
+          configData.maxIterations = formData.inputData.maxIterations || DEFAULT_MAX_ITERATIONS;
+        }
+        if (formData.actionType === 'for_each_element' && formData.inputData.maxItems) {
+          configData.maxItems = formData.inputData.maxItems;
+        }
       } else {
-        config = JSON.stringify({
+        configData = {
           value: formData.inputData.value || formData.inputData.waitTime || ''
-        });
+        };
+      }
+      const stepType = STEP_TYPES[formData.actionType];
+      if (formData.condition && (stepType.needsCondition || stepType.optionalCondition)) {
+        configData.condition = formData.condition;
+      }
+      if (formData.withinItem) {
+        configData.withinItem = true;
       }
+      if (formData.retry) {
+        configData.retry = formData.retry;
+      }
+      const config = JSON.stringify(configData);
 
       const stepData = {
         workflow_id: workflowId,
         step_order: stepOrder,
         action_type: formData.actionType,
-        selector: formData.elementSelectors.primarySelector || '',
+        selector: formData.elementSelectors.primarySelector || formData.elementSelectors.css || '',
+        element_selectors: JSON.stringify(formData.elementSelectors),
         config: config,
         description: formData.description
       };
 
       await onSave(stepData);
+
+      if (acceptedSuggestionId) {
+        await window.electronAPI.selectors.resolveSuggestion(acceptedSuggestionId, 'accepted');
+      }
       onClose();
     } catch (error) {
       console.error('Step kaydedilemedi:', error);
@@ -268,10 +545,62 @@ function StepEditor({
     }));
   };
 
+  // ElementPicker'dan gelen selector'lar ve parmak izi
+  const handleElementPicked = (element) => {
+    const picked = element.selectors || {};
+    setFormData(prev => ({
+      ...prev,
+      elementSelectors: {
+        ...prev.elementSelectors,
+        css: picked.css || '',
+        xpath: picked.xpath || '',
+        id: element.id || '',
+        className: typeof element.className === 'string' ? element.className : '',
+        text: element.text || '',
+        fingerprint: element.fingerprint || null,
+        framePath: element.framePath || [],
+        shadowPath: element.shadowPath || []
+      }
+    }));
+  };
+
+  // Iframe / shadow DOM yolları dizi olarak saklanır, formda " >> " ile gösterilir
+  const handlePathChange = (field, text) => {
+    const segments = text.split('>>').map(segment => segment.trim());
+    handleInputChange('elementSelectors', field, text.trim() ? segments : []);
+  };
+
+  const formatPath = (path) => (Array.isArray(path) ? path.join(' >> ') : (path || ''));
+
+  const handleAcceptSuggestion = (suggestion) => {
+    setFormData(prev => ({
+      ...prev,
+      elementSelectors: {
+        ...prev.elementSelectors,
+        css: suggestion.suggested_css,
+        xpath: suggestion.suggested_xpath || prev.elementSelectors.xpath
+      }
+    }));
+    setAcceptedSuggestionId(suggestion.id);
+    setSuggestions([]);
+  };
+
+  const handleDismissSuggestion = async (suggestion) => {
+    try {
+      await window.electronAPI.selectors.resolveSuggestion(suggestion.id, 'dismissed');
+      setSuggestions(prev => prev.filter(s => s.id !== suggestion.id));
+    } catch (error) {
+      console.error('Öneri yoksayılamadı:', error);
+    }
+  };
+
   const handleActionTypeChange = (actionType) => {
     setFormData(prev => ({
       ...prev,
       actionType,
+      condition: STEP_TYPES[actionType].needsCondition
+        ? prev.condition || { ...DEFAULT_CONDITION }
+        : (STEP_TYPES[actionType].optionalCondition ? prev.condition : null),
       // Reset relevant fields when action type changes
       inputData: actionType === 'wait' 
         ? { ...prev.inputData, waitTime: 1000 }
@@ -331,6 +660,10 @@ function StepEditor({
               {formData.actionType === 'wait' && 'Bekleme Süresi (ms)'}
               {formData.actionType === 'upload' && 'Dosya Yolu'}
               {formData.actionType === 'execute_script' && 'JavaScript Kodu'}
+              {formData.actionType === 'manual_confirm' && 'Kullanıcıya Gösterilecek Mesaj'}
+              {formData.actionType === 'label' && 'Etiket Adı'}
+              {formData.actionType === 'goto' && 'Hedef Etiket'}
+              {formData.actionType === 'for_each_element' && 'Döngü Değişkeni'}
             </label>
             
             {formData.actionType === 'wait' ? (
@@ -343,6 +676,50 @@ function StepEditor({
                 min="100"
                 step="100"
               />
+            ) : formData.actionType === 'manual_confirm' ? (
+              <div>
+                <textarea
+                  className={`form-input ${errors.inputValue ? 'error' : ''}`}
+                  value={formData.inputData.value}
+                  onChange={(e) => handleInputChange('inputData', 'value', e.target.value)}
+                  placeholder="Örn: {{student_no}} için captcha'yı çözüp Devam Et'e basın"
+                  rows={3}
+                  style={{ resize: 'vertical' }}
+                />
+                <div className="form-row" style={{ marginTop: '8px' }}>
+                  <div className="form-group">
+                    <label className="form-label">Zaman Aşımı (sn, 0 = sınırsız)</label>
+                    <input
+                      type="number"
+                      className="form-input"
+                      value={Math.round((formData.inputData.timeout || 0) / 1000)}
+                      onChange={(e) => handleInputChange('inputData', 'timeout', (parseInt(e.target.value) || 0) * 1000)}
+                      min="0"
+                      step="10"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">Süre Dolunca</label>
+                    <select
+                      className="form-select"
+                      value={formData.inputData.onTimeout || 'abort'}
+                      onChange={(e) => handleInputChange('inputData', 'onTimeout', e.target.value)}
+                    >
+                      {Object.entries(CONFIRM_TIMEOUT_POLICIES).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <label className="form-label">
+                  <input
+                    type="checkbox"
+                    checked={!!formData.inputData.screenshot}
+                    onChange={(e) => handleInputChange('inputData', 'screenshot', e.target.checked)}
+                  />
+                  Onay ekranında sayfanın ekran görüntüsünü göster
+                </label>
+              </div>
             ) : formData.actionType === 'execute_script' ? (
               <div>
                 <textarea
@@ -369,9 +746,11 @@ function StepEditor({
                 value={formData.inputData.value}
                 onChange={(e) => handleInputChange('inputData', 'value', e.target.value)}
                 placeholder={
-                  formData.actionType === 'type' ? 'Yazılacak metin...' :
-                  formData.actionType === 'navigate' ? 'https://example.com' :
+                  formData.actionType === 'type' ? 'Yazılacak metin veya {{student_no}}' :
+                  formData.actionType === 'navigate' ? 'https://example.com/ogrenci/{{student_no}}' :
                   formData.actionType === 'upload' ? 'C:\\path\\to\\file.pdf' :
+                  formData.actionType === 'label' || formData.actionType === 'goto' ? 'sonraki_sayfa' :
+                  formData.actionType === 'for_each_element' ? 'item' :
                   'Değer...'
                 }
               />
@@ -383,6 +762,129 @@ function StepEditor({
                 {errors.inputValue}
               </span>
             )}
+            {formData.actionType === 'for_each_element' && (
+              <span className="form-hint">
+                {`Sonraki adımlarda {{${formData.inputData.value || 'item'}_index}} (1'den başlar) ve {{${formData.inputData.value || 'item'}_text}} kullanılabilir. Element seçiciyi "Element Seçici" sekmesinden girin.`}
+              </span>
+            )}
+          </div>
+        )}
+
+        {formData.actionType === 'goto' && (
+          <div className="form-group">
+            <label className="form-label">Maksimum Atlama (kayıt başına)</label>
+            <input
+              type="number"
+              className="form-input"
+              value={formData.inputData.maxIterations || DEFAULT_MAX_ITERATIONS}
+              onChange={(e) => handleInputChange('inputData', 'maxIterations', parseInt(e.target.value) || DEFAULT_MAX_ITERATIONS)}
+              min="1"
+            />
+            <span className="form-hint">Bu sayı aşılırsa kayıt sonsuz döngü hatasıyla durdurulur</span>
+          </div>
+        )}
+
+        {formData.actionType === 'for_each_element' && (
+          <div className="form-group">
+            <label className="form-label">Maksimum Element (boş = sınırsız)</label>
+            <input
+              type="number"
+              className="form-input"
+              value={formData.inputData.maxItems || ''}
+              onChange={(e) => handleInputChange('inputData', 'maxItems', parseInt(e.target.value) || '')}
+              min="1"
+            />
+          </div>
+        )}
+
+        {formData.actionType === 'call_workflow' && (
+          <div className="form-group">
+            <CallWorkflowEditor
+              currentWorkflowId={workflowId}
+              workflowId={formData.call.workflowId}
+              params={formData.call.params}
+              onChange={(call) => setFormData(prev => ({ ...prev, call }))}
+            />
+            {errors.call && (
+              <span className="error-message">
+                <AlertCircle size={14} />
+                {errors.call}
+              </span>
+            )}
+          </div>
+        )}
+
+        {formData.actionType === 'assert' && (
+          <div className="form-group">
+            <AssertionEditor
+              assertion={formData.assertion}
+              onChange={(assertion) => setFormData(prev => ({ ...prev, assertion }))}
+            />
+            {errors.assertion && (
+              <span className="error-message">
+                <AlertCircle size={14} />
+                {errors.assertion}
+              </span>
+            )}
+          </div>
+        )}
+
+        {formData.actionType === 'extract' && (
+          <div className="form-group">
+            <ExtractEditor
+              config={formData.extract}
+              onChange={(extract) => setFormData(prev => ({ ...prev, extract }))}
+            />
+          </div>
+        )}
+
+        {/* Koşul (if / koşullu goto) */}
+        {(stepType.needsCondition || stepType.optionalCondition) && (
+          <div className="form-group">
+            {stepType.optionalCondition ? (
+              <label className="checkbox-group checkbox-label">
+                <input
+                  type="checkbox"
+                  className="checkbox-input"
+                  checked={!!formData.condition}
+                  onChange={(e) => setFormData(prev => ({
+                    ...prev,
+                    condition: e.target.checked ? { ...DEFAULT_CONDITION } : null
+                  }))}
+                />
+                Sadece koşul sağlanırsa atla
+              </label>
+            ) : (
+              <label className="form-label">
+                <GitBranch size={16} />
+                Koşul
+              </label>
+            )}
+            {formData.condition && (
+              <>
+                <ConditionEditor
+                  condition={formData.condition}
+                  onChange={(condition) => setFormData(prev => ({ ...prev, condition }))}
+                />
+                {formData.condition.type !== 'field' && (
+                  <label className="checkbox-group checkbox-label">
+                    <input
+                      type="checkbox"
+                      className="checkbox-input"
+                      checked={formData.withinItem}
+                      onChange={(e) => setFormData(prev => ({ ...prev, withinItem: e.target.checked }))}
+                    />
+                    Döngü elementinin içinde ara
+                  </label>
+                )}
+              </>
+            )}
+            {errors.condition && (
+              <span className="error-message">
+                <AlertCircle size={14} />
+                {errors.condition}
+              </span>
+            )}
           </div>
         )}
       </div>
@@ -407,8 +909,56 @@ function StepEditor({
       <div className="step-editor-tab">
         <div className="selectors-info">
           <p>Element seçmek için en az bir yöntem kullanın. CSS Selector en yaygın kullanılan yöntemdir.</p>
+          {targetUrl && (
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={() => setIsPickerOpen(true)}
+            >
+              <Target size={16} />
+              Sayfadan Seç
+            </button>
+          )}
+          <label className="checkbox-group checkbox-label">
+            <input
+              type="checkbox"
+              className="checkbox-input"
+              checked={formData.withinItem}
+              onChange={(e) => setFormData(prev => ({ ...prev, withinItem: e.target.checked }))}
+            />
+            Döngü elementinin içinde ara
+          </label>
+          <span className="form-hint">Adım bir for_each_element bloğundaysa seçiciler o anki elementin (ör. tablo satırı) içinde aranır</span>
+          {formData.elementSelectors.fingerprint && (
+            <span className="form-hint">
+              <CheckCircle size={14} />
+              Parmak izi kayıtlı: selector'lar kırılırsa element otomatik bulunmaya çalışılır
+            </span>
+          )}
         </div>
 
+        {/* Self-healing önerileri */}
+        {suggestions.map(suggestion => (
+          <div key={suggestion.id} className="step-preview">
+            <h4>
+              <Wand2 size={16} />
+              Önerilen Selector (benzerlik: %{Math.round((suggestion.score || 0) * 100)})
+            </h4>
+            <div className="step-preview-content">
+              <p>Kayıtlı selector'lar {suggestion.hit_count} çalıştırmada bulunamadı. Parmak izine göre bulunan element:</p>
+              <code>{suggestion.suggested_css}</code>
+              <div className="footer-actions">
+                <button type="button" className="btn-secondary" onClick={() => handleDismissSuggestion(suggestion)}>
+                  Yoksay
+                </button>
+                <button type="button" className="btn-primary" onClick={() => handleAcceptSuggestion(suggestion)}>
+                  Uygula
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+
         {/* CSS Selector */}
         <div className="form-group">
           <label className="form-label">CSS Selector (Önerilen)</label>
@@ -474,6 +1024,32 @@ function StepEditor({
           <span className="form-hint">XPath expression</span>
         </div>
 
+        {/* Iframe Path */}
+        <div className="form-group">
+          <label className="form-label">Iframe Yolu (Gelişmiş)</label>
+          <input
+            type="text"
+            className="form-input"
+            value={formatPath(formData.elementSelectors.framePath)}
+            onChange={(e) => handlePathChange('framePath', e.target.value)}
+            placeholder="iframe#notGirisFrame >> iframe[name='icerik']"
+          />
+          <span className="form-hint">Element iframe içindeyse, dıştan içe iframe selector'ları (&gt;&gt; ile ayırın)</span>
+        </div>
+
+        {/* Shadow DOM Path */}
+        <div className="form-group">
+          <label className="form-label">Shadow DOM Yolu (Gelişmiş)</label>
+          <input
+            type="text"
+            className="form-input"
+            value={formatPath(formData.elementSelectors.shadowPath)}
+            onChange={(e) => handlePathChange('shadowPath', e.target.value)}
+            placeholder="grade-form >> grade-input"
+          />
+          <span className="form-hint">Element shadow DOM içindeyse, dıştan içe shadow host selector'ları. Diğer selector'lar en içteki köke göredir.</span>
+        </div>
+
         {errors.selector && (
           <div className="error-message">
             <AlertCircle size={14} />
@@ -552,10 +1128,107 @@ function StepEditor({
     );
   };
 
+  const handleRetryChange = (field, value) => {
+    setFormData(prev => ({ ...prev, retry: { ...prev.retry, [field]: value } }));
+  };
+
+  const toggleRetryErrorClass = (errorClass) => {
+    const current = formData.retry.retryOn || [];
+    handleRetryChange('retryOn', current.includes(errorClass)
+      ? current.filter(name => name !== errorClass)
+      : [...current, errorClass]);
+  };
+
+  const renderRetryTab = () => {
+    const retry = formData.retry;
+
+    return (
+      <div className="step-editor-tab">
+        <div className="form-group">
+          <label className="form-label">
+            <input
+              type="checkbox"
+              checked={!!retry}
+              onChange={(e) => setFormData(prev => ({
+                ...prev,
+                retry: e.target.checked ? { ...DEFAULT_STEP_RETRY, maxAttempts: 3 } : null
+              }))}
+            />
+            Bu adım için özel tekrar deneme ayarı
+          </label>
+          <span className="form-hint">İşaretlenmezse workflow'un tekrar deneme ayarı kullanılır</span>
+        </div>
+
+        {retry && (
+          <>
+            <div className="form-group">
+              <label className="form-label">Maksimum Deneme</label>
+              <input
+                type="number"
+                className="form-input"
+                value={retry.maxAttempts}
+                onChange={(e) => handleRetryChange('maxAttempts', parseInt(e.target.value) || 1)}
+                min="1"
+                max="10"
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Bekleme Eğrisi</label>
+              <select
+                className="form-select"
+                value={retry.backoff}
+                onChange={(e) => handleRetryChange('backoff', e.target.value)}
+              >
+                {Object.entries(BACKOFF_CURVES).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">İlk Bekleme (ms)</label>
+              <input
+                type="number"
+                className="form-input"
+                value={retry.initialDelay}
+                onChange={(e) => handleRetryChange('initialDelay', parseInt(e.target.value) || 0)}
+                min="0"
+                step="500"
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Tekrar Denenecek Hatalar</label>
+              {Object.entries(RETRY_ERROR_CLASSES).map(([key, label]) => (
+                <label key={key} className="checkbox-group checkbox-label">
+                  <input
+                    type="checkbox"
+                    className="checkbox-input"
+                    checked={(retry.retryOn || []).includes(key)}
+                    onChange={() => toggleRetryErrorClass(key)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
   if (!isOpen) return null;
 
   return (
     <div className="step-editor-overlay">
+      <ElementPicker
+        isOpen={isPickerOpen}
+        onClose={() => setIsPickerOpen(false)}
+        onElementSelected={handleElementPicked}
+        targetUrl={targetUrl}
+      />
+
       <div className="step-editor-modal">
         {/* Header */}
         <div className="step-editor-header">
@@ -591,6 +1264,13 @@ function StepEditor({
             <Clock size={16} />
             Bekleme
           </button>
+          <button
+            className={`tab-button ${activeTab === 'retry' ? 'active' : ''}`}
+            onClick={() => setActiveTab('retry')}
+          >
+            <RotateCcw size={16} />
+            Tekrar Deneme
+          </button>
         </div>
 
         {/* Content */}
@@ -598,6 +1278,7 @@ function StepEditor({
           {activeTab === 'basic' && renderBasicTab()}
           {activeTab === 'selectors' && renderSelectorsTab()}
           {activeTab === 'wait' && renderWaitTab()}
+          {activeTab === 'retry' && renderRetryTab()}
         </div>
 
         {/* Footer */}
@@ -1,6 +1,19 @@
 // src/renderer/components/WorkflowDesigner.jsx
 import React, { useState, useEffect } from 'react';
 import './WorkflowDesigner.css';
+import ConditionEditor from './ConditionEditor';
+import CallWorkflowEditor from './CallWorkflowEditor';
+import ExtractEditor from './ExtractEditor';
+import AssertionEditor, { DEFAULT_ASSERTION } from './AssertionEditor';
+import RecordFieldsEditor from './RecordFieldsEditor';
+import { parseFields } from '../utils/field-validators';
+import { DEFAULT_CONDITION, blockDepths } from '../utils/flow-options';
+import {
+  RETRY_ERROR_CLASSES,
+  BACKOFF_CURVES,
+  DEFAULT_STEP_RETRY,
+  DEFAULT_RECORD_RETRY
+} from '../utils/retry-options';
 
 const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
   const [workflow, setWorkflow] = useState({
@@ -13,7 +26,13 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
   });
   const [screens, setScreens] = useState([]);
   const [steps, setSteps] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
+  const [acceptedSuggestionIds, setAcceptedSuggestionIds] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [retryPolicy, setRetryPolicy] = useState({ step: DEFAULT_STEP_RETRY, record: DEFAULT_RECORD_RETRY });
+  const [loginDetector, setLoginDetector] = useState({ urlPattern: '', selector: '', text: '' });
+  const [flowProblems, setFlowProblems] = useState([]);
+  const [recordFields, setRecordFields] = useState([]);
 
   useEffect(() => {
     loadScreens();
@@ -23,6 +42,26 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
     }
   }, [workflowId]);
 
+  // Seçili ekranın login algılama kuralları (screens.login_detector)
+  useEffect(() => {
+    const screen = screens.find(s => String(s.id) === String(workflow.screen_id));
+    let detector = {};
+    if (screen && screen.login_detector) {
+      try {
+        detector = typeof screen.login_detector === 'string'
+          ? JSON.parse(screen.login_detector)
+          : screen.login_detector;
+      } catch (error) {
+        console.error('Login ayarı okunamadı:', error);
+      }
+    }
+    setLoginDetector({ urlPattern: '', selector: '', text: '', ...detector });
+  }, [workflow.screen_id, screens]);
+
+  const updateLoginDetector = (field, value) => {
+    setLoginDetector(prev => ({ ...prev, [field]: value }));
+  };
+
   const loadScreens = async () => {
     try {
       const result = await window.electronAPI.screens.getAll();
@@ -39,6 +78,14 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
       console.log('📋 Loaded workflow:', result);
       if (result) {
         setWorkflow(result);
+        setRecordFields(parseFields(result.record_schema));
+        if (result.retry_policy) {
+          const saved = JSON.parse(result.retry_policy);
+          setRetryPolicy({
+            step: { ...DEFAULT_STEP_RETRY, ...saved.step },
+            record: { ...DEFAULT_RECORD_RETRY, ...saved.record }
+          });
+        }
       }
     } catch (error) {
       console.error('Workflow yüklenemedi:', error);
@@ -49,23 +96,98 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
     try {
       const result = await window.electronAPI.steps.getAll(workflowId);
       setSteps(result);
+      loadSuggestions();
     } catch (error) {
       console.error('Adımlar yüklenemedi:', error);
     }
   };
 
+  // Self-healing ile bulunan selector önerileri (kullanıcı onayı bekler)
+  const loadSuggestions = async () => {
+    try {
+      const result = await window.electronAPI.selectors.getSuggestions(workflowId);
+      setSuggestions(result && result.success ? result.data : []);
+    } catch (error) {
+      console.error('Selector önerileri yüklenemedi:', error);
+    }
+  };
+
+  // Çalıştırıcı element_selectors.css'i selector'dan önce kullanır; öneri ikisine de yazılır
+  const acceptSuggestion = (index, suggestion) => {
+    const step = steps[index];
+    const stored = typeof step.element_selectors === 'string'
+      ? JSON.parse(step.element_selectors || 'null')
+      : step.element_selectors;
+    if (stored && typeof stored === 'object') {
+      const next = { ...stored, css: suggestion.suggested_css };
+      if (suggestion.suggested_xpath) next.xpath = suggestion.suggested_xpath;
+      updateStep(index, 'element_selectors', typeof step.element_selectors === 'string' ? JSON.stringify(next) : next);
+    }
+    updateStep(index, 'selector', suggestion.suggested_css);
+    setAcceptedSuggestionIds(prev => [...prev, suggestion.id]);
+    setSuggestions(prev => prev.filter(s => s.step_id !== suggestion.step_id));
+  };
+
+  const dismissSuggestion = async (suggestion) => {
+    try {
+      await window.electronAPI.selectors.resolveSuggestion(suggestion.id, 'dismissed');
+      setSuggestions(prev => prev.filter(s => s.id !== suggestion.id));
+    } catch (error) {
+      console.error('Öneri yoksayılamadı:', error);
+    }
+  };
+
+  const updateRetryPolicy = (level, field, value) => {
+    setRetryPolicy(prev => ({ ...prev, [level]: { ...prev[level], [field]: value } }));
+  };
+
+  const toggleStepRetryErrorClass = (errorClass) => {
+    const current = retryPolicy.step.retryOn || [];
+    updateRetryPolicy('step', 'retryOn', current.includes(errorClass)
+      ? current.filter(name => name !== errorClass)
+      : [...current, errorClass]);
+  };
+
   const handleSave = async () => {
+    // if/else/goto/for_each blokları veya alt workflow çağrıları bozuksa kaydetme
+    const validation = await window.electronAPI.workflow.validateFlow(steps, workflowId);
+    if (validation && validation.success && validation.data.length > 0) {
+      setFlowProblems(validation.data);
+      alert('Akış hataları var, workflow kaydedilmedi. Adımlar listesinin üstündeki hataları düzeltin.');
+      return;
+    }
+    setFlowProblems([]);
+
     setLoading(true);
     try {
-      console.log('💾 Saving workflow - ID:', workflowId, 'Data:', workflow);
+      const namedFields = recordFields.filter(field => field.name);
+      const workflowData = {
+        ...workflow,
+        retry_policy: JSON.stringify(retryPolicy),
+        record_schema: namedFields.length > 0 ? JSON.stringify(namedFields) : null
+      };
+      console.log('💾 Saving workflow - ID:', workflowId, 'Data:', workflowData);
       let savedWorkflowId = workflowId;
       
       if (workflowId) {
-        await window.electronAPI.workflows.update(workflowId, workflow);
+        await window.electronAPI.workflows.update(workflowId, workflowData);
       } else {
         // Yeni workflow oluşturma henüz workflows.create ile uyumlu değil, invoke kullan
-        savedWorkflowId = await window.electronAPI.invoke('db:createWorkflow', workflow);
+        savedWorkflowId = await window.electronAPI.invoke('db:createWorkflow', workflowData);
+      }
+
+      if (workflow.screen_id) {
+        const hasRule = Object.values(loginDetector).some(value => value && value.trim());
+        await window.electronAPI.screens.update(workflow.screen_id, {
+          login_detector: hasRule ? JSON.stringify(loginDetector) : null
+        });
+      }
+
+      // Kabul edilen selector önerilerini kapat (step ID'leri aşağıda yeniden oluşacak)
+      for (const suggestionId of acceptedSuggestionIds) {
+        await window.electronAPI.selectors.resolveSuggestion(suggestionId, 'accepted');
       }
+      setAcceptedSuggestionIds([]);
 
       // 🔄 DELETE-THEN-RECREATE: Duplicate'leri önlemek için tüm step'leri temizle ve yeniden oluştur
       if (savedWorkflowId) {
@@ -76,6 +198,7 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
         console.log('✅ Silinen step sayısı:', deletedCount);
         
         // 2. Yeni step'leri sırayla oluştur
+        const stepIds = {};
         for (let i = 0; i < steps.length; i++) {
           const step = steps[i];
           // Build payload: for execute_script use config JSON, otherwise use value
@@ -86,7 +209,9 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
             description: step.description || '',
             selector: step.selector || '',
             wait_after: step.wait_after || 500,
-            is_optional: step.is_optional || false
+            is_optional: step.is_optional || false,
+            // StepEditor/ElementPicker'dan gelen selector seti ve parmak izi korunur
+            element_selectors: step.element_selectors || null
           };
 
           if (step.action_type === 'execute_script') {
@@ -94,12 +219,23 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
             newStep.config = JSON.stringify({ script: step.script || step.value || '', storeAs: step.storeAs || '' });
           } else {
             newStep.value = step.value || '';
+            // StepEditor ayarları (ör. manuel onay zaman aşımı) config'te kalır, değer buradan güncellenir
+            if (step.config) {
+              const config = typeof step.config === 'string' ? JSON.parse(step.config) : step.config;
+              newStep.config = JSON.stringify({ ...config, value: newStep.value });
+            }
           }
 
           console.log('➕ Yeni step oluşturuluyor:', { order: i + 1, action: step.action_type, value: newStep.value, hasScript: !!newStep.config });
           const newStepId = await window.electronAPI.invoke('db:createStep', newStep);
           console.log('✅ Step oluşturuldu ID:', newStepId);
+          if (step.id) {
+            stepIds[step.id] = newStepId && typeof newStepId === 'object' ? newStepId.id : newStepId;
+          }
         }
+
+        // 3. Bekleyen selector önerileri yeni step ID'lerine taşınır, silinen adımlarınkiler kapanır
+        await window.electronAPI.selectors.rekeySuggestions(savedWorkflowId, stepIds);
         
         console.log('🎉 Workflow kayıt tamamlandı - toplam step:', steps.length);
       }
@@ -133,6 +269,38 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
     setSteps(newSteps);
   };
 
+  // StepEditor ile aynı config alanları (condition, withinItem, maxIterations...)
+  const getStepConfig = (step) => {
+    if (!step.config) return {};
+    if (typeof step.config !== 'string') return step.config;
+    try {
+      return JSON.parse(step.config);
+    } catch (error) {
+      return {};
+    }
+  };
+
+  const updateStepConfig = (index, field, value) => {
+    const newSteps = [...steps];
+    const config = { ...getStepConfig(newSteps[index]) };
+    if (value === null || value === undefined) {
+      delete config[field];
+    } else {
+      config[field] = value;
+    }
+    newSteps[index].config = config;
+    setSteps(newSteps);
+  };
+
+  const updateActionType = (index, actionType) => {
+    updateStep(index, 'action_type', actionType);
+    if (actionType === 'if' && !getStepConfig(steps[index]).condition) {
+      updateStepConfig(index, 'condition', { ...DEFAULT_CONDITION });
+    }
+  };
+
+  const depths = blockDepths(steps.map(step => step.action_type));
+
   const deleteStep = (index) => {
     const newSteps = steps.filter((_, i) => i !== index);
     // Sıraları yeniden düzenle
@@ -227,6 +395,44 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
             </select>
           </div>
 
+          {workflow.screen_id && (
+            <div className="login-detector">
+              <label>Oturum Algılama (bu ekrandaki tüm workflow'lar için):</label>
+              <p className="login-detector-hint">
+                Çalışma sırasında sayfa bu kurallardan birine uyarsa workflow login bekler ve giriş yapılınca kaydı baştan çalıştırır.
+              </p>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Login URL'i:</label>
+                  <input
+                    type="text"
+                    value={loginDetector.urlPattern}
+                    onChange={(e) => updateLoginDetector('urlPattern', e.target.value)}
+                    placeholder="/Account/Login veya /giris|login/i"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Login Elementi:</label>
+                  <input
+                    type="text"
+                    value={loginDetector.selector}
+                    onChange={(e) => updateLoginDetector('selector', e.target.value)}
+                    placeholder="#loginForm input[type='password']"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Sayfa Metni:</label>
+                  <input
+                    type="text"
+                    value={loginDetector.text}
+                    onChange={(e) => updateLoginDetector('text', e.target.value)}
+                    placeholder="Oturumunuz sona erdi"
+                  />
+                </div>
+              </div>
+            </div>
+          )}
+
           <div className="form-group">
             <label>
               <input
@@ -237,6 +443,73 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
               Aktif
             </label>
           </div>
+
+          <div className="retry-policy">
+            <label>Tekrar Deneme:</label>
+            <div className="form-row">
+              <div className="form-group">
+                <label>Adım Deneme Sayısı:</label>
+                <input
+                  type="number"
+                  value={retryPolicy.step.maxAttempts}
+                  onChange={(e) => updateRetryPolicy('step', 'maxAttempts', parseInt(e.target.value) || 1)}
+                  min="1"
+                  max="10"
+                />
+              </div>
+              <div className="form-group">
+                <label>Bekleme Eğrisi:</label>
+                <select
+                  value={retryPolicy.step.backoff}
+                  onChange={(e) => updateRetryPolicy('step', 'backoff', e.target.value)}
+                >
+                  {Object.entries(BACKOFF_CURVES).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>İlk Bekleme (ms):</label>
+                <input
+                  type="number"
+                  value={retryPolicy.step.initialDelay}
+                  onChange={(e) => updateRetryPolicy('step', 'initialDelay', parseInt(e.target.value) || 0)}
+                  min="0"
+                  step="500"
+                />
+              </div>
+              <div className="form-group">
+                <label>Kayıt Deneme Sayısı:</label>
+                <input
+                  type="number"
+                  value={retryPolicy.record.maxAttempts}
+                  onChange={(e) => updateRetryPolicy('record', 'maxAttempts', parseInt(e.target.value) || 1)}
+                  min="1"
+                  max="5"
+                />
+              </div>
+            </div>
+            <div className="retry-error-classes">
+              {Object.entries(RETRY_ERROR_CLASSES).map(([key, label]) => (
+                <label key={key}>
+                  <input
+                    type="checkbox"
+                    checked={(retryPolicy.step.retryOn || []).includes(key)}
+                    onChange={() => toggleStepRetryErrorClass(key)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="record-fields">
+            <label>Kayıt Alanları:</label>
+            <p className="flow-hint">
+              Veri kaynağında bulunması gereken alanlar. İçe aktarırken sütunlar bu alanlara eşlenip doğrulanır; zorunlu alanı olmayan veri kaynağıyla çalıştırma başlamaz.
+            </p>
+            <RecordFieldsEditor fields={recordFields} onChange={setRecordFields} />
+          </div>
         </div>
 
         <div className="steps-section">
@@ -245,9 +518,24 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
             <button onClick={addStep} className="btn-add">+ Adım Ekle</button>
           </div>
 
+          {flowProblems.length > 0 && (
+            <div className="flow-problems">
+              <strong>Akış hataları:</strong>
+              <ul>
+                {flowProblems.map((problem, i) => (
+                  <li key={i}>{problem.step ? `${problem.step}: ` : ''}{problem.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <div className="steps-list">
             {steps.map((step, index) => (
-              <div key={index} className="step-item">
+              <div
+                key={index}
+                className="step-item"
+                style={depths[index] > 0 ? { marginLeft: `${depths[index] * 24}px` } : undefined}
+              >
                 <div className="step-order">#{step.step_order}</div>
                 
                 <div className="step-fields">
@@ -268,7 +556,7 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
                       <label>Aksiyon:</label>
                       <select
                         value={step.action_type}
-                        onChange={(e) => updateStep(index, 'action_type', e.target.value)}
+                        onChange={(e) => updateActionType(index, e.target.value)}
                       >
                         <option value="navigate">Git (Navigate)</option>
                         <option value="click">Tıkla</option>
@@ -278,6 +566,19 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
                         <option value="wait_for_element">Element Bekle</option>
                         <option value="execute_script">Script Çalıştır</option>
                         <option value="screenshot">Ekran Görüntüsü</option>
+                        <option value="manual_confirm">Manuel Onay</option>
+                        <option value="call_workflow">Alt Workflow Çağır</option>
+                        <option value="extract">Veri Çıkar (tablo/liste)</option>
+                        <option value="assert">Doğrula (assert)</option>
+                        <optgroup label="Akış Kontrolü">
+                          <option value="if">Eğer (if)</option>
+                          <option value="else">Değilse (else)</option>
+                          <option value="end_if">Eğer Sonu (end_if)</option>
+                          <option value="label">Etiket (label)</option>
+                          <option value="goto">Etikete Atla (goto)</option>
+                          <option value="for_each_element">Her Element İçin</option>
+                          <option value="end_for_each">Döngü Sonu</option>
+                        </optgroup>
                       </select>
                     </div>
 
@@ -289,6 +590,16 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
                         onChange={(e) => updateStep(index, 'selector', e.target.value)}
                         placeholder="#id, .class, [name='field']"
                       />
+                      {suggestions
+                        .filter(suggestion => step.id && suggestion.step_id === step.id)
+                        .slice(0, 1)
+                        .map(suggestion => (
+                          <div key={suggestion.id} className="selector-suggestion">
+                            <span>💡 Önerilen: <code>{suggestion.suggested_css}</code> (%{Math.round((suggestion.score || 0) * 100)})</span>
+                            <button type="button" onClick={() => acceptSuggestion(index, suggestion)}>Uygula</button>
+                            <button type="button" onClick={() => dismissSuggestion(suggestion)}>Yoksay</button>
+                          </div>
+                        ))}
                     </div>
                   </div>
 
@@ -299,7 +610,7 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
                         type="text"
                         value={step.value || ''}
                         onChange={(e) => updateStep(index, 'value', e.target.value)}
-                        placeholder="Girilecek değer veya veri kaynağı"
+                        placeholder="Girilecek değer veya {{sutun_adi | upper}}"
                       />
                     </div>
 
@@ -314,6 +625,68 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
                     </div>
                   </div>
 
+                  {step.action_type === 'call_workflow' && (
+                    <div className="flow-condition">
+                      <CallWorkflowEditor
+                        currentWorkflowId={workflowId}
+                        workflowId={getStepConfig(step).workflowId}
+                        params={getStepConfig(step).params || {}}
+                        onChange={(call) => {
+                          updateStepConfig(index, 'workflowId', call.workflowId);
+                          updateStepConfig(index, 'params', call.params);
+                        }}
+                      />
+                    </div>
+                  )}
+
+                  {step.action_type === 'assert' && (
+                    <div className="flow-condition">
+                      <AssertionEditor
+                        assertion={getStepConfig(step).assert || DEFAULT_ASSERTION}
+                        onChange={(assertion) => updateStepConfig(index, 'assert', assertion)}
+                      />
+                    </div>
+                  )}
+
+                  {step.action_type === 'extract' && (
+                    <div className="flow-condition">
+                      <ExtractEditor
+                        config={getStepConfig(step)}
+                        onChange={(config) => updateStep(index, 'config', config)}
+                      />
+                    </div>
+                  )}
+
+                  {step.action_type === 'goto' && (
+                    <div className="form-row">
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={!!getStepConfig(step).condition}
+                          onChange={(e) => updateStepConfig(index, 'condition', e.target.checked ? { ...DEFAULT_CONDITION } : null)}
+                        />
+                        Sadece koşul sağlanırsa atla
+                      </label>
+                    </div>
+                  )}
+
+                  {(step.action_type === 'if' || step.action_type === 'goto') && getStepConfig(step).condition && (
+                    <div className="flow-condition">
+                      <ConditionEditor
+                        condition={getStepConfig(step).condition}
+                        onChange={(condition) => updateStepConfig(index, 'condition', condition)}
+                      />
+                    </div>
+                  )}
+
+                  {['label', 'goto', 'for_each_element'].includes(step.action_type) && (
+                    <p className="flow-hint">
+                      {step.action_type === 'for_each_element'
+                        ? `Selector: tekrarlanacak elementler. Değer: döngü değişkeni ({{${step.value || 'item'}_index}}, {{${step.value || 'item'}_text}})`
+                        : 'Değer: etiket adı'}
+                    </p>
+                  )}
+
                   <div className="form-row">
                     <label>
                       <input
@@ -323,6 +696,14 @@ const WorkflowDesigner = ({ workflowId, onSave, onCancel, onBack }) => {
                       />
                       Opsiyonel
                     </label>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={!!getStepConfig(step).withinItem}
+                        onChange={(e) => updateStepConfig(index, 'withinItem', e.target.checked || null)}
+                      />
+                      Döngü elementinin içinde ara
+                    </label>
                   </div>
                 </div>
 
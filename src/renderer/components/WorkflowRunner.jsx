@@ -1,6 +1,12 @@
 import React, { useState, useEffect } from 'react';
+import DryRunReport from './DryRunReport';
 import './WorkflowRunner.css';
 
+// Ekranda tutulan en fazla log satırı; her kayıt × adım bir satır ürettiğinden
+// büyük çalışmalarda eskiler atılır. Tüm geçmiş Loglar sayfasındadır (run_logs).
+const MAX_LOG_LINES = 500;
+let logSequence = 0;
+
 function WorkflowRunner({ workflow, onClose }) {
     const [dataSources, setDataSources] = useState([]);
     const [selectedDataSource, setSelectedDataSource] = useState(null);
@@ -9,6 +15,7 @@ function WorkflowRunner({ workflow, onClose }) {
     const [isPaused, setIsPaused] = useState(false);
     const [isWaitingForUser, setIsWaitingForUser] = useState(false);
     const [waitMessage, setWaitMessage] = useState('');
+    const [waitScreenshot, setWaitScreenshot] = useState(null);
     const [showBrowserSelection, setShowBrowserSelection] = useState(false);
     const [browserChoices, setBrowserChoices] = useState([]);
     const [currentIndex, setCurrentIndex] = useState(0);
@@ -21,6 +28,9 @@ function WorkflowRunner({ workflow, onClose }) {
     });
     const [logs, setLogs] = useState([]);
     const [startTime, setStartTime] = useState(null);
+    const [dryRunReport, setDryRunReport] = useState(null);
+    // Kapalıyken yalnızca başarısız adımlarda ekran görüntüsü ve DOM alınır
+    const [captureEveryStep, setCaptureEveryStep] = useState(false);
 
     // Veri kaynaklarını yükle
     useEffect(() => {
@@ -44,7 +54,9 @@ function WorkflowRunner({ workflow, onClose }) {
             const data = args[0] || {};
             setIsWaitingForUser(true);
             setWaitMessage(data.message || 'Lütfen gerekli işlemi yapın ve devam etmek için tıklayın.');
-            addLog('info', `⏸️ Kullanıcı müdahalesi bekleniyor: ${data.stepName || 'N/A'}`);
+            setWaitScreenshot(data.screenshot || null);
+            addLog('info', `⏸️ Kullanıcı müdahalesi bekleniyor: ${data.stepName || 'N/A'}` +
+                (data.timeout ? ` (${Math.round(data.timeout / 1000)} sn)` : ''));
         };
 
         const handleWorkflowComplete = (event, data) => {
@@ -52,6 +64,8 @@ function WorkflowRunner({ workflow, onClose }) {
             setIsRunning(false);
             setIsWaitingForUser(false);
             addLog('success', 'Workflow tamamlandı');
+            // extract adımları yeni veri kaynağı oluşturmuş olabilir
+            loadDataSources();
         };
 
         const handleWorkflowError = (event, data) => {
@@ -74,7 +88,24 @@ function WorkflowRunner({ workflow, onClose }) {
             console.log('🔐 Frontend: Login gerekli:', data);
             setIsWaitingForUser(true);
             setWaitMessage(data.message || 'Lütfen tarayıcıda login yapın ve devam edin.');
-            addLog('warning', '🔐 Login gerekli - manuel işlem bekleniyor');
+            addLog('warning', `🔐 Login gerekli - ${data.reason || 'manuel işlem bekleniyor'}`);
+        };
+
+        const handleStateChanged = (data) => {
+            console.log('🔄 Frontend: Workflow durumu:', data);
+            setIsPaused(data.state === 'paused');
+            if (data.previous === 'waiting-for-user') {
+                // Onay verildi, süre doldu ya da workflow durduruldu
+                setIsWaitingForUser(false);
+                setWaitMessage('');
+                setWaitScreenshot(null);
+            }
+            if (typeof data.recordIndex === 'number') {
+                setCurrentIndex(data.recordIndex);
+            }
+            if (data.state === 'paused') {
+                addLog('warning', `⏸️ Workflow güvenli noktada duraklatıldı (kayıt ${data.recordIndex + 1})`);
+            }
         };
 
         // Event listener'ları ekle
@@ -96,17 +127,10 @@ function WorkflowRunner({ workflow, onClose }) {
             window.electronAPI.on('login-required', handleLoginRequired);
             console.log('✅ Frontend: login-required listener eklendi');
             
-            console.log('✅ Frontend: Tüm event listener\'lar başarıyla eklendi!');
-            
-            // Test event gönder
-            setTimeout(() => {
-                console.log('🧪 Frontend: Test event gönderiliyor...');
-                handleWaitingForUser({
-                    message: 'Test mesajı',
-                    stepName: 'Test Step'
-                });
-            }, 2000);
+            window.electronAPI.on('workflow-state-changed', handleStateChanged);
+            console.log('✅ Frontend: workflow-state-changed listener eklendi');
             
+            console.log('✅ Frontend: Tüm event listener\'lar başarıyla eklendi!');
         } catch (error) {
             console.error('❌ Frontend: Event listener ekleme hatası:', error);
         }
@@ -116,9 +140,48 @@ function WorkflowRunner({ workflow, onClose }) {
             window.electronAPI.removeListener('workflow-waiting-for-user', handleWaitingForUser);
             window.electronAPI.removeListener('workflow-complete', handleWorkflowComplete);
             window.electronAPI.removeListener('workflow-error', handleWorkflowError);
+            window.electronAPI.removeListener('workflow-state-changed', handleStateChanged);
         };
     }, []);
 
+    // Canlı ilerleme: her kayıt ve adım için execution:progress
+    useEffect(() => {
+        if (!window.electronAPI?.execution?.onProgress) return;
+
+        const unsubscribe = window.electronAPI.execution.onProgress((event) => {
+            if (event.stats) {
+                setStats(event.stats);
+            }
+
+            if (event.type === 'record') {
+                const label = `Kayıt ${event.recordIndex + 1}/${event.stats?.total || '?'}`;
+                if (event.status === 'running') {
+                    setCurrentIndex(event.recordIndex);
+                    addLog('info', `▶️ ${label} işleniyor`);
+                } else if (event.status === 'success') {
+                    addLog('success', `✅ ${label} tamamlandı (${event.duration}ms)`);
+                } else if (event.status === 'error') {
+                    addLog('error', `❌ ${label} başarısız: ${event.message}`);
+                }
+                return;
+            }
+
+            const value = event.resolved?.value;
+            const detail = value !== null && value !== undefined && value !== '' ? ` → ${value}` : '';
+            if (event.status === 'success') {
+                addLog('success', `  ✔ ${event.stepName}${detail} (${event.duration}ms)`);
+            } else if (event.status === 'retrying') {
+                addLog('warning', `  ↻ ${event.stepName} deneme ${event.attempt} başarısız, tekrar denenecek: ${event.message}`);
+            } else if (event.status === 'skipped') {
+                addLog('warning', `  ⤼ ${event.stepName} atlandı: ${event.message}`);
+            } else if (event.status === 'error') {
+                addLog('error', `  ✖ ${event.stepName}: ${event.message}`);
+            }
+        });
+
+        return unsubscribe;
+    }, []);
+
     const loadDataSources = async () => {
         try {
             const sources = await window.electronAPI.dataSources.getAll();
@@ -182,7 +245,23 @@ function WorkflowRunner({ workflow, onClose }) {
             if (!confirmNoData) return;
         }
 
+        // Yarım kalmış çalışma varsa kaldığı yerden devam etmeyi öner
+        let resume = false;
+        const dataSourceId = selectedDataSource ? selectedDataSource.id : null;
+        try {
+            const checkpoint = await window.electronAPI.execution.getCheckpoint(workflow.id, dataSourceId);
+            if (checkpoint.success && checkpoint.data && checkpoint.data.record_index > 0) {
+                resume = window.confirm(
+                    `Önceki çalışma ${checkpoint.data.record_index}/${checkpoint.data.total_records} kayıtta yarım kaldı.\n\n` +
+                    'Kaldığı yerden devam edilsin mi? (İptal: baştan başla)'
+                );
+            }
+        } catch (error) {
+            console.warn('Kontrol noktası okunamadı:', error);
+        }
+
         setIsRunning(true);
+        setDryRunReport(null);
         setStartTime(Date.now());
         addLog('info', `Workflow başlatıldı: ${workflow.name}`);
         if (!selectedDataSource) {
@@ -193,9 +272,11 @@ function WorkflowRunner({ workflow, onClose }) {
             // ✅ YENİ: WorkflowExecutor kullanarak çalıştır
             const result = await window.electronAPI.execution.execute(
                 workflow.id, 
-                selectedDataSource ? selectedDataSource.id : null, // null gönderilebilir
+                dataSourceId, // null gönderilebilir
                 {
+                    resume,
                     delayBetweenRecords: 1000, // Kayıtlar arası 1 saniye bekle
+                    captureArtifacts: captureEveryStep ? 'always' : 'failure',
                     browserOptions: {
                         headless: false, // Browser görünür olsun
                         slowMo: 100      // İşlemleri yavaşlat
@@ -215,6 +296,9 @@ function WorkflowRunner({ workflow, onClose }) {
                 const duration = ((Date.now() - startTime) / 1000).toFixed(2);
                 addLog('success', `🎉 Workflow tamamlandı! Süre: ${duration} saniye`);
                 addLog('info', `📊 Başarılı: ${result.data.successCount} | Başarısız: ${result.data.errorCount}`);
+                if (result.data.runId) {
+                    addLog('info', `📚 Çalışma #${result.data.runId} geçmişe kaydedildi (Loglar sayfasından incelenebilir)`);
+                }
             } else {
                 addLog('error', `❌ Workflow başarısız: ${result.message}`);
             }
@@ -225,6 +309,36 @@ function WorkflowRunner({ workflow, onClose }) {
         }
     };
 
+    // Test Et: her kayıt için sayfalar açılır, seçici ve şablonlar çözülür;
+    // tıklama, yazma ve yükleme yapılmaz
+    const handleTest = async () => {
+        const dataSourceId = selectedDataSource ? selectedDataSource.id : null;
+
+        setIsRunning(true);
+        setDryRunReport(null);
+        setStartTime(Date.now());
+        addLog('info', `🧪 Test başlatıldı: ${workflow.name} (tıklama, yazma ve yükleme yapılmayacak)`);
+
+        try {
+            const result = await window.electronAPI.execution.execute(workflow.id, dataSourceId, {
+                dryRun: true,
+                browserOptions: { headless: false }
+            });
+
+            if (result.success) {
+                setDryRunReport(result.data.report);
+                addLog(result.data.errorCount > 0 ? 'warning' : 'success',
+                    `🧪 Test tamamlandı: ${result.data.successCount} kayıt sorunsuz, ${result.data.errorCount} kayıtta sorun var`);
+            } else {
+                addLog('error', `❌ Test başarısız: ${result.message}`);
+            }
+        } catch (error) {
+            addLog('error', `❌ Test hatası: ${error.message}`);
+        } finally {
+            setIsRunning(false);
+        }
+    };
+
     // Tarayıcıyı debug mode'da başlat
     const handleLaunchBrowser = async (browserType) => {
         try {
@@ -274,9 +388,10 @@ function WorkflowRunner({ workflow, onClose }) {
             if (result.success) {
                 setIsWaitingForUser(false);
                 setWaitMessage('');
+                setWaitScreenshot(null);
                 addLog('info', '✅ Devam ediliyor...');
             } else {
-                addLog('error', 'Devam etme hatası: ' + result.error);
+                addLog('error', 'Devam etme hatası: ' + (result.message || result.error));
             }
         } catch (error) {
             console.error('🚨 FRONTEND: Continue hatası:', error);
@@ -344,7 +459,7 @@ function WorkflowRunner({ workflow, onClose }) {
             const result = await window.electronAPI.execution.pause();
             if (result.success) {
                 setIsPaused(true);
-                addLog('warning', '⏸️ Workflow duraklatıldı');
+                addLog('warning', '⏸️ Duraklatma istendi - mevcut adım bitince duracak');
             }
         } catch (error) {
             addLog('error', `❌ Duraklat hatası: ${error.message}`);
@@ -383,7 +498,10 @@ function WorkflowRunner({ workflow, onClose }) {
     // Log ekle
     const addLog = (type, message) => {
         const timestamp = new Date().toLocaleTimeString('tr-TR');
-        setLogs(prev => [...prev, { type, message, timestamp }]);
+        setLogs(prev => {
+            const next = [...prev, { id: ++logSequence, type, message, timestamp }];
+            return next.length > MAX_LOG_LINES ? next.slice(-MAX_LOG_LINES) : next;
+        });
     };
 
     // Progress yüzdesi
@@ -470,20 +588,43 @@ function WorkflowRunner({ workflow, onClose }) {
                         </div>
                     )}
                     
+                    <label className="capture-option">
+                        <input
+                            type="checkbox"
+                            checked={captureEveryStep}
+                            onChange={(e) => setCaptureEveryStep(e.target.checked)}
+                        />
+                        📷 Her adımda ekran görüntüsü ve DOM kaydet (yalnızca hatalarda değil)
+                    </label>
+
                     <div className="records-preview">
                         <button onClick={handleStart} className="start-btn">
                             ▶️ Başlat
                         </button>
+                        <button onClick={handleTest} className="test-btn">
+                            🧪 Test Et
+                        </button>
                     </div>
                 </div>
             )}
 
+            {!isRunning && dryRunReport && (
+                <DryRunReport report={dryRunReport} onClose={() => setDryRunReport(null)} />
+            )}
+
             {/* Waiting for User Section */}
             {isWaitingForUser && (
                 <div className="waiting-for-user-section">
                     <div className="waiting-message">
                         <h3>⏸️ Kullanıcı Müdahalesi Gerekiyor</h3>
                         <p>{waitMessage}</p>
+                        {waitScreenshot && (
+                            <img
+                                src={waitScreenshot}
+                                alt="Sayfanın ekran görüntüsü"
+                                className="waiting-screenshot"
+                            />
+                        )}
                         <button onClick={handleContinue} className="continue-btn">
                             ✅ Devam Et
                         </button>
@@ -543,9 +684,14 @@ function WorkflowRunner({ workflow, onClose }) {
             {/* Real-time Logs */}
             <div className="logs-section">
                 <h3>📝 Loglar</h3>
+                {logs.length >= MAX_LOG_LINES && (
+                    <p className="help-text">
+                        Son {MAX_LOG_LINES} satır gösteriliyor; çalışmanın tüm logları Loglar sayfasındaki çalışma geçmişinde.
+                    </p>
+                )}
                 <div className="logs-container">
-                    {logs.map((log, index) => (
-                        <div key={index} className={`log-entry log-${log.type}`}>
+                    {logs.map((log) => (
+                        <div key={log.id} className={`log-entry log-${log.type}`}>
                             <span className="log-time">{log.timestamp}</span>
                             <span className="log-message">{log.message}</span>
                         </div>
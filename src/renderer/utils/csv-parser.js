@@ -0,0 +1,232 @@
+// CSV okuyucu - DataSourceManager ve HybridImportManager ortak kullanır
+//
+// RFC 4180: tırnaklı alanlarda virgül, satır sonu ve "" kaçışı desteklenir.
+// Ayırıcı (, ; TAB |) ve kodlama (UTF-8, BOM'lu UTF-8, Windows-1254)
+// otomatik bulunur. Hatalı satırlar atlanır ve satır numarasıyla raporlanır.
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const SAMPLE_LINES = 10;
+
+/**
+ * Dosyanın baytlarını metne çevirir. BOM varsa UTF-8; geçerli UTF-8 değilse
+ * Excel TR'nin varsayılanı olan Windows-1254 kabul edilir.
+ * @param {ArrayBuffer} buffer
+ * @returns {{ text: string, encoding: string }}
+ */
+export function decodeCsv(buffer) {
+  const bytes = new Uint8Array(buffer);
+
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8-bom' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1254').decode(bytes), encoding: 'windows-1254' };
+  }
+}
+
+/**
+ * İlk satırlarda (tırnak dışında) en tutarlı geçen ayırıcı.
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const lines = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length && lines.length < SAMPLE_LINES; i++) {
+    const char = text[i];
+    if (char === '"') quoted = !quoted;
+    if ((char === '\n' || char === '\r') && !quoted) {
+      if (current.trim()) lines.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim() && lines.length < SAMPLE_LINES) lines.push(current);
+
+  let best = ',';
+  let bestScore = 0;
+
+  for (const delimiter of DELIMITERS) {
+    const counts = lines.map(line => countOutsideQuotes(line, delimiter));
+    const first = counts[0] || 0;
+    if (first === 0) continue;
+    // Başlıkla aynı sayıda ayırıcı içeren satırlar puan kazanır
+    const score = counts.filter(count => count === first).length * first;
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+function countOutsideQuotes(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (char === delimiter && !quoted) count++;
+  }
+  return count;
+}
+
+/**
+ * Metni kayıtlara ayırır. İlk kayıt başlıktır.
+ * @param {string} text
+ * @param {Object} options - { delimiter } (boşsa bulunur)
+ * @returns {{ headers: string[], rows: Object[], errors: { line: number, message: string }[], delimiter: string }}
+ *   rows[i]._line dosyadaki satır numarasıdır
+ */
+export function parseCsv(text, options = {}) {
+  const source = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  const delimiter = options.delimiter || detectDelimiter(source);
+  const { records, errors } = tokenize(source, delimiter);
+
+  if (records.length === 0) {
+    return { headers: [], rows: [], errors, delimiter };
+  }
+
+  const headers = uniqueHeaders(records[0].fields);
+  const rows = [];
+
+  for (const record of records.slice(1)) {
+    if (record.invalid) continue;
+    if (record.fields.length !== headers.length) {
+      errors.push({
+        line: record.line,
+        message: `${headers.length} sütun bekleniyordu, ${record.fields.length} bulundu`
+      });
+      continue;
+    }
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = record.fields[index];
+    });
+    row._line = record.line;
+    rows.push(row);
+  }
+
+  errors.sort((a, b) => a.line - b.line);
+  return { headers, rows, errors, delimiter };
+}
+
+/**
+ * File nesnesini okur, kodlamasını ve ayırıcısını bulup ayrıştırır.
+ * @param {File} file
+ * @returns {Promise<{ headers, rows, errors, delimiter, encoding }>}
+ */
+export async function readCsvFile(file, options = {}) {
+  const { text, encoding } = decodeCsv(await file.arrayBuffer());
+  return { ...parseCsv(text, options), encoding };
+}
+
+// Boş satırlar atlanır; her kayıt başladığı satırın numarasını taşır
+function tokenize(text, delimiter) {
+  const records = [];
+  const errors = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;      // alan tırnakla başladı
+  let inQuotes = false;    // şu an tırnak içindeyiz
+  let line = 1;
+  let recordLine = 1;
+  let invalid = false;
+
+  const endField = () => {
+    fields.push(quoted ? field : field.trim());
+    field = '';
+    quoted = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields, invalid });
+    }
+    fields = [];
+    invalid = false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      if (field.trim() === '' && !quoted) {
+        field = '';
+        quoted = true;
+        inQuotes = true;
+      } else {
+        // Tırnaksız alanın ortasındaki tırnak olduğu gibi alınır
+        field += char;
+      }
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else if (quoted) {
+      // Kapanan tırnaktan sonra ayırıcıya kadar gelen karakterler
+      if (char.trim() && !invalid) {
+        errors.push({ line, message: 'Kapanan tırnaktan sonra beklenmeyen karakter' });
+        invalid = true;
+      }
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    errors.push({ line: recordLine, message: 'Kapanmamış tırnak; satır dosya sonuna kadar okunamadı' });
+  } else if (field !== '' || quoted || fields.length > 0) {
+    endRecord();
+  }
+
+  return { records, errors };
+}
+
+/**
+ * Boş başlıklara column_N, tekrar edenlere _2, _3 eki verir.
+ */
+export function uniqueHeaders(fields) {
+  const seen = {};
+  return fields.map((name, index) => {
+    const base = name || `column_${index + 1}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] === 1 ? base : `${base}_${seen[base]}`;
+  });
+}
+
+/**
+ * Satır hatalarını kısa bir özet metnine çevirir (ilk birkaç tanesi).
+ */
+export function describeCsvErrors(errors, limit = 5) {
+  const shown = errors.slice(0, limit).map(error => `Satır ${error.line}: ${error.message}`);
+  if (errors.length > limit) {
+    shown.push(`... ve ${errors.length - limit} hata daha`);
+  }
+  return shown.join('\n');
+}
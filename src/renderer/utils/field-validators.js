@@ -0,0 +1,182 @@
+// Kayıt alanı tipleri ve doğrulayıcılar - main/record-schema.js ile aynı alan biçimi
+//
+// Alan: { name, type, required, validator, pattern? }
+// İçe aktarma sihirbazı kaynak sütunları alanlara eşler, değerleri tipine
+// çevirir ve her satırı doğrular.
+
+export const FIELD_TYPES = {
+  string: 'Metin',
+  number: 'Sayı',
+  date: 'Tarih'
+};
+
+// Harf notları (AA-FF) ve sık kullanılan özel notlar
+export const LETTER_GRADES = ['AA', 'BA', 'BB', 'CB', 'CC', 'DC', 'DD', 'FD', 'FF', 'DZ', 'GR', 'MU', 'YT', 'YZ'];
+
+export const DEFAULT_STUDENT_NO_PATTERN = '^\\d{6,12}$';
+
+export const VALIDATORS = {
+  student_no: {
+    label: 'Öğrenci numarası',
+    check: (value, field) => new RegExp(field.pattern || DEFAULT_STUDENT_NO_PATTERN).test(String(value))
+      ? null
+      : `Geçersiz öğrenci numarası: "${value}"`
+  },
+  grade_range: {
+    label: 'Not (0-100)',
+    check: (value) => {
+      const number = toNumber(value);
+      return !isNaN(number) && number >= 0 && number <= 100
+        ? null
+        : `Not 0-100 arasında olmalı: "${value}"`;
+    }
+  },
+  letter_grade: {
+    label: 'Harf notu (AA-FF)',
+    normalize: (value) => String(value).trim().toLocaleUpperCase('tr-TR'),
+    check: (value) => LETTER_GRADES.includes(value)
+      ? null
+      : `Geçersiz harf notu: "${value}"`
+  }
+};
+
+// Workflow alan tanımlamadığında eski zorunlu sütunlar
+export const DEFAULT_FIELDS = [
+  { name: 'student_no', type: 'string', required: true, validator: 'student_no' },
+  { name: 'course_code', type: 'string', required: true, validator: '' }
+];
+
+export const EMPTY_FIELD = { name: '', type: 'string', required: false, validator: '' };
+
+/**
+ * workflows.record_schema (JSON metin veya dizi) -> alan listesi
+ */
+export function parseFields(value) {
+  if (!value) return [];
+  try {
+    const fields = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(fields) ? fields.filter(field => field && field.name) : [];
+  } catch (error) {
+    console.error('Kayıt alanları okunamadı:', error);
+    return [];
+  }
+}
+
+/**
+ * Alan adlarını aynı (büyük/küçük harf, boşluk ve _ farkı gözetmeden)
+ * kaynak sütunlarına eşler. { alan: sütun }
+ */
+export function autoMapFields(fields, headers) {
+  const key = (text) => String(text).toLocaleLowerCase('tr-TR').replace(/[\s_-]+/g, '');
+  const mapping = {};
+  for (const field of fields) {
+    const match = headers.find(header => key(header) === key(field.name));
+    mapping[field.name] = match || '';
+  }
+  return mapping;
+}
+
+/**
+ * Satırları alanlara çevirir ve doğrular. Eşlenmeyen sütunlar olduğu gibi
+ * kalır, böylece workflow'un şablonları onlara da erişebilir.
+ * @returns {{ records: Object[], invalid: { index: number, line: number, problems: string[] }[] }}
+ *   invalid[].index records içindeki sırası
+ */
+export function applyMapping(rows, fields, mapping) {
+  const records = [];
+  const invalid = [];
+
+  rows.forEach((row, index) => {
+    const record = { ...row };
+    const problems = [];
+
+    for (const field of fields) {
+      const column = mapping[field.name];
+      const raw = column ? row[column] : undefined;
+      const empty = raw === undefined || raw === null || String(raw).trim() === '';
+
+      if (column && column !== field.name) {
+        delete record[column];
+      }
+
+      if (empty) {
+        record[field.name] = '';
+        if (field.required) {
+          problems.push(`${field.name} boş`);
+        }
+        continue;
+      }
+
+      const validator = VALIDATORS[field.validator];
+      const converted = convert(raw, field.type);
+      if (converted.problem) {
+        record[field.name] = converted.value;
+        problems.push(`${field.name}: ${converted.problem}`);
+        continue;
+      }
+
+      const value = validator && validator.normalize ? validator.normalize(converted.value) : converted.value;
+      record[field.name] = value;
+      const message = validator && validator.check(value, field);
+      if (message) {
+        problems.push(message);
+      }
+    }
+
+    records.push(record);
+    if (problems.length > 0) {
+      invalid.push({ index, line: row._line, problems });
+    }
+  });
+
+  return { records, invalid };
+}
+
+/**
+ * Eşleme eksikleri: zorunlu ama sütun seçilmemiş alanlar, yoksa boş dizi.
+ */
+export function mappingProblems(fields, mapping) {
+  return fields
+    .filter(field => field.required && !mapping[field.name])
+    .map(field => `Zorunlu alan eşlenmedi: ${field.name}`);
+}
+
+function convert(raw, type) {
+  if (type === 'number') {
+    const number = toNumber(raw);
+    return isNaN(number)
+      ? { value: raw, problem: `sayı değil: "${raw}"` }
+      : { value: number };
+  }
+  if (type === 'date') {
+    const date = toIsoDate(raw);
+    return date
+      ? { value: date }
+      : { value: raw, problem: `tarih değil: "${raw}"` };
+  }
+  return { value: String(raw).trim() };
+}
+
+// "85,5" (TR) ve "85.5" ikisi de sayı
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim().replace(',', '.');
+  return text === '' ? NaN : Number(text);
+}
+
+// "2025-01-31", "31.01.2025" veya "31/01/2025" -> "2025-01-31"
+function toIsoDate(value) {
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return formatDate(match[1], match[2], match[3]);
+  match = text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+  if (match) return formatDate(match[3], match[2], match[1]);
+  return null;
+}
+
+function formatDate(year, month, day) {
+  const m = Number(month);
+  const d = Number(day);
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  return `${year}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
@@ -0,0 +1,78 @@
+// Akış kontrolü seçenekleri - main/conditions.js ve main/flow-compiler.js ile aynı anahtarlar
+
+export const CONDITION_TYPES = {
+  element: 'Element var/yok',
+  text: 'Metin',
+  field: 'Kayıt alanı / değişken'
+};
+
+export const CONDITION_OPERATORS = {
+  equals: 'Eşittir',
+  not_equals: 'Eşit değildir',
+  contains: 'İçerir',
+  not_contains: 'İçermez',
+  empty: 'Boş',
+  not_empty: 'Boş değil',
+  gt: 'Büyüktür (sayı)',
+  lt: 'Küçüktür (sayı)'
+};
+
+// Değer girişi gerektirmeyen operatörler
+export const UNARY_OPERATORS = ['empty', 'not_empty'];
+
+export const ELEMENT_STATES = {
+  present: 'Sayfada var',
+  absent: 'Sayfada yok'
+};
+
+export const DEFAULT_CONDITION = {
+  type: 'field',
+  field: '',
+  operator: 'equals',
+  value: ''
+};
+
+export const DEFAULT_MAX_ITERATIONS = 100;
+
+// Blok açan / kapatan adımlar (girintileme için)
+const BLOCK_OPENERS = ['if', 'for_each_element'];
+const BLOCK_CLOSERS = ['end_if', 'end_for_each'];
+
+export const FLOW_ACTIONS = ['if', 'else', 'end_if', 'label', 'goto', 'for_each_element', 'end_for_each'];
+
+/**
+ * Her adımın blok derinliği; else kendi if'i ile aynı hizada durur.
+ */
+export function blockDepths(actionTypes) {
+  let depth = 0;
+  return actionTypes.map(actionType => {
+    if (BLOCK_CLOSERS.includes(actionType)) {
+      depth = Math.max(0, depth - 1);
+      return depth;
+    }
+    if (actionType === 'else') {
+      return Math.max(0, depth - 1);
+    }
+    const current = depth;
+    if (BLOCK_OPENERS.includes(actionType)) {
+      depth++;
+    }
+    return current;
+  });
+}
+
+/**
+ * Koşulun eksik alanları (kaydetmeden önce), yoksa null.
+ */
+export function conditionProblem(condition) {
+  if (!condition || !CONDITION_TYPES[condition.type]) {
+    return 'Koşul tipi seçilmemiş';
+  }
+  if (condition.type === 'element' && !(condition.selector || '').trim()) {
+    return 'Element koşulu için seçici gerekli';
+  }
+  if (condition.type === 'field' && !(condition.field || '').trim()) {
+    return 'Alan koşulu için alan adı gerekli';
+  }
+  return null;
+}
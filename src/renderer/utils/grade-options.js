@@ -0,0 +1,54 @@
+// Not ölçeği seçenekleri - main/grade-converter.js ile aynı anahtarlar
+
+export const SCALE_TYPES = {
+  absolute: 'Mutlak (ham nota göre)',
+  relative: 'Bağıl (T-skoruna göre)'
+};
+
+export const ASSIGNMENT_TARGETS = {
+  course: 'Ders kodu',
+  faculty: 'Fakülte'
+};
+
+export const DEFAULT_ABSOLUTE_BANDS = [
+  { letter: 'AA', min: 90 },
+  { letter: 'BA', min: 85 },
+  { letter: 'BB', min: 80 },
+  { letter: 'CB', min: 75 },
+  { letter: 'CC', min: 70 },
+  { letter: 'DC', min: 65 },
+  { letter: 'DD', min: 60 },
+  { letter: 'FD', min: 50 },
+  { letter: 'FF', min: 0 }
+];
+
+// T-skoru aralıkları (ortalama 50, standart sapma 10)
+export const DEFAULT_RELATIVE_BANDS = [
+  { letter: 'AA', min: 63 },
+  { letter: 'BA', min: 58 },
+  { letter: 'BB', min: 53 },
+  { letter: 'CB', min: 48 },
+  { letter: 'CC', min: 43 },
+  { letter: 'DC', min: 38 },
+  { letter: 'DD', min: 33 },
+  { letter: 'FD', min: 28 },
+  { letter: 'FF', min: 0 }
+];
+
+export function emptyScale(type = 'absolute') {
+  return {
+    name: '',
+    type,
+    faculty: '',
+    is_default: false,
+    definition: type === 'relative'
+      ? {
+        bands: DEFAULT_RELATIVE_BANDS,
+        failBelow: 40,
+        failLetter: 'FF',
+        minClassSize: 10,
+        absoluteBands: DEFAULT_ABSOLUTE_BANDS
+      }
+      : { bands: DEFAULT_ABSOLUTE_BANDS }
+  };
+}
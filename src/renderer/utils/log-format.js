@@ -0,0 +1,16 @@
+// Log ve çalışma geçmişi zaman yardımcıları
+
+// SQLite CURRENT_TIMESTAMP UTC'dir ve saat dilimi eki olmadan yazılır
+export function parseTimestamp(value) {
+  const text = String(value);
+  return new Date(text.includes('T') ? text : `${text.replace(' ', 'T')}Z`);
+}
+
+// <input type="date"> değeri (yerel gün) → gün başı / gün sonu ISO zaman damgası
+export function dayStart(date) {
+  return date ? new Date(`${date}T00:00:00`).toISOString() : undefined;
+}
+
+export function dayEnd(date) {
+  return date ? new Date(`${date}T23:59:59`).toISOString() : undefined;
+}
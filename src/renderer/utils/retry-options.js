@@ -0,0 +1,30 @@
+// Retry policy seçenekleri - main/retry-policy.js ile aynı anahtarlar
+
+export const RETRY_ERROR_CLASSES = {
+  'element-not-found': 'Element bulunamadı',
+  'navigation-timeout': 'Sayfa yükleme zaman aşımı',
+  'timeout': 'Tüm zaman aşımları',
+  'detached-frame': 'Frame/oturum koptu',
+  'assertion': 'Doğrulama başarısız',
+  'any': 'Her hata'
+};
+
+export const BACKOFF_CURVES = {
+  fixed: 'Sabit',
+  linear: 'Doğrusal',
+  exponential: 'Üstel (1s, 2s, 4s...)'
+};
+
+export const DEFAULT_STEP_RETRY = {
+  maxAttempts: 1,
+  backoff: 'exponential',
+  initialDelay: 1000,
+  retryOn: ['element-not-found', 'navigation-timeout', 'detached-frame']
+};
+
+export const DEFAULT_RECORD_RETRY = {
+  maxAttempts: 1,
+  backoff: 'exponential',
+  initialDelay: 1000,
+  retryOn: ['any']
+};
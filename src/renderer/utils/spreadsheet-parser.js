@@ -0,0 +1,179 @@
+// Excel (.xlsx/.xls) ve ODS okuyucu - SheetJS ile
+//
+// Sonuç csv-parser ile aynı biçimdedir ({ headers, rows, errors }), böylece
+// DataSourceManager tabloyu CSV gibi db:createDataSource ile kaydeder.
+// Başlık satırı bulunur (üstteki başlık/açıklama satırları atlanır),
+// birleştirilmiş hücreler aralığın tamamına yayılır, tarih ve sayı
+// hücreleri tiplerine göre çevrilir.
+
+import * as XLSX from 'xlsx';
+import { uniqueHeaders } from './csv-parser';
+
+export const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xls', '.ods'];
+
+const HEADER_SCAN_ROWS = 20;
+
+export function isSpreadsheetFile(fileName) {
+  const name = fileName.toLowerCase();
+  return SPREADSHEET_EXTENSIONS.some(extension => name.endsWith(extension));
+}
+
+/**
+ * @param {File} file
+ * @returns {Promise<Object>} SheetJS workbook
+ */
+export async function readWorkbook(file) {
+  const buffer = await file.arrayBuffer();
+  return XLSX.read(buffer, { type: 'array', cellDates: false, cellNF: true });
+}
+
+/**
+ * Boş olmayan sayfaların adları, kitaptaki sırasıyla.
+ */
+export function sheetNames(workbook) {
+  return workbook.SheetNames.filter(name => workbook.Sheets[name] && workbook.Sheets[name]['!ref']);
+}
+
+/**
+ * Sayfayı kayıtlara çevirir.
+ * @param {Object} workbook
+ * @param {string} sheetName
+ * @param {Object} options - { headerRow } 1 tabanlı; boşsa bulunur
+ * @returns {{ headers: string[], rows: Object[], errors: { line: number, message: string }[], headerRow: number }}
+ *   rows[i]._line sayfadaki satır numarasıdır
+ */
+export function parseSheet(workbook, sheetName, options = {}) {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet || !sheet['!ref']) {
+    return { headers: [], rows: [], errors: [], headerRow: 0 };
+  }
+
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const grid = readGrid(sheet, range);
+  const headerIndex = options.headerRow
+    ? options.headerRow - 1 - range.s.r
+    : detectHeaderRow(grid);
+
+  if (headerIndex < 0 || headerIndex >= grid.length) {
+    return { headers: [], rows: [], errors: [], headerRow: 0 };
+  }
+
+  // Başlık bulunduktan sonra birleştirilmiş hücreler yayılır
+  spreadMerges(grid, sheet['!merges'] || [], range);
+
+  const headers = uniqueHeaders(grid[headerIndex].map(cell => String(cell.value).trim()));
+  const rows = [];
+  const errors = [];
+
+  grid.slice(headerIndex + 1).forEach((cells, offset) => {
+    const line = range.s.r + headerIndex + offset + 2;
+    if (cells.every(cell => cell.value === '')) return;
+
+    const broken = cells.find(cell => cell.error);
+    if (broken) {
+      errors.push({ line, message: `${broken.address} hücresinde formül hatası (${broken.error})` });
+      return;
+    }
+
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = cells[index] ? cells[index].value : '';
+    });
+    row._line = line;
+    rows.push(row);
+  });
+
+  return { headers, rows, errors, headerRow: range.s.r + headerIndex + 1 };
+}
+
+function readGrid(sheet, range) {
+  const grid = [];
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const cells = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const address = XLSX.utils.encode_cell({ r, c });
+      cells.push({ address, ...cellValue(sheet[address]) });
+    }
+    grid.push(cells);
+  }
+  return grid;
+}
+
+// Hücre tipi: n sayı (tarih biçimliyse tarih), d tarih, b mantıksal, e hata, s metin
+function cellValue(cell) {
+  if (!cell || cell.v === undefined || cell.v === null) {
+    return { value: '' };
+  }
+
+  switch (cell.t) {
+    case 'n':
+      if (cell.z && XLSX.SSF.is_date(cell.z)) {
+        return { value: formatDateCode(cell.v) };
+      }
+      return { value: cell.v };
+    case 'd':
+      return { value: formatDate(cell.v) };
+    case 'b':
+      return { value: cell.v };
+    case 'e':
+      return { value: '', error: cell.w || '#HATA' };
+    default:
+      return { value: String(cell.v).trim() };
+  }
+}
+
+// Excel seri tarihi -> "2025-01-31" veya "2025-01-31 14:30"; saat dilimine bağlı değil
+function formatDateCode(serial) {
+  const parts = XLSX.SSF.parse_date_code(serial);
+  if (!parts) return serial;
+  const date = `${parts.y}-${pad(parts.m)}-${pad(parts.d)}`;
+  return parts.H || parts.M ? `${date} ${pad(parts.H)}:${pad(parts.M)}` : date;
+}
+
+function formatDate(value) {
+  if (!(value instanceof Date) || isNaN(value)) return String(value);
+  const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  return value.getHours() || value.getMinutes()
+    ? `${date} ${pad(value.getHours())}:${pad(value.getMinutes())}`
+    : date;
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+/**
+ * İlk satırlardan, en dolu satırın metin hücrelerinin çoğunu taşıyan ilki.
+ * Üstteki "2025 Güz Not Listesi" gibi tek hücreli başlıklar böylece atlanır.
+ */
+function detectHeaderRow(grid) {
+  const scanned = grid.slice(0, HEADER_SCAN_ROWS);
+  const widths = scanned.map(cells => cells.filter(cell => cell.value !== '').length);
+  const widest = Math.max(0, ...widths);
+  if (widest === 0) return -1;
+
+  const index = scanned.findIndex(cells => {
+    const labels = new Set(cells
+      .filter(cell => typeof cell.value === 'string' && cell.value !== '')
+      .map(cell => cell.value));
+    return labels.size >= Math.ceil(widest * 0.6);
+  });
+
+  return index >= 0 ? index : widths.findIndex(width => width > 0);
+}
+
+function spreadMerges(grid, merges, range) {
+  for (const merge of merges) {
+    const origin = grid[merge.s.r - range.s.r] && grid[merge.s.r - range.s.r][merge.s.c - range.s.c];
+    if (!origin) continue;
+    for (let r = merge.s.r; r <= merge.e.r; r++) {
+      for (let c = merge.s.c; c <= merge.e.c; c++) {
+        const cell = grid[r - range.s.r] && grid[r - range.s.r][c - range.s.c];
+        if (cell && cell !== origin) {
+          cell.value = origin.value;
+          cell.error = origin.error;
+        }
+      }
+    }
+  }
+}